@@ -0,0 +1,181 @@
+/**
+ * Backtester for walk-forward model evaluation
+ * Retrains (or rolls) a model through history and simulates long/flat/short trading on its out-of-sample predictions
+ */
+
+class Backtester {
+    constructor(options = {}) {
+        this.options = { ...BACKTEST_CONFIG, ...options };
+    }
+
+    /**
+     * Walk-forward predictions over labelled, chronological rows
+     * The first initialTrainRatio of rows is the initial training window; the rest is cut into `folds` blocks.
+     * With retrain on, a fresh model is fitted on every row before each block (expanding window);
+     * otherwise the model fitted on the initial window rolls forward through all blocks.
+     * control is an optional TrainingControl; cancelling it aborts the run with a CANCELLED error
+     * Returns [{ timestamp, reference, predicted, actual }] with next-candle prices for every out-of-sample row
+     */
+    async walkForward(rows, { modelType, cryptoKey, featureSchema, config = null, control = null, onFold = null, onProgress = null }) {
+        const { initialTrainRatio, folds, retrain } = this.options;
+        const start = Math.floor(rows.length * initialTrainRatio);
+        const blockSize = Math.ceil((rows.length - start) / folds);
+        if (start === 0 || blockSize <= 0) {
+            throw new PlatformError(ERROR_TYPES.DATA_ERROR, `Not enough rows for a ${folds}-fold walk-forward backtest`);
+        }
+
+        // Rows whose labels reach into the block (plus the embargo) are purged from each training window
+        const horizon = CrossValidator.horizonOf(rows);
+        const gap = CrossValidator.gapFor(rows);
+        const signals = [];
+        let builder = null;
+
+        try {
+            for (let fold = 0; fold < folds; fold++) {
+                const blockStart = start + fold * blockSize;
+                const block = rows.slice(blockStart, blockStart + blockSize);
+                if (block.length === 0) break;
+                if (control) control.throwIfCancelled();
+                if (onFold) onFold(fold + 1, folds);
+
+                if (retrain || !builder) {
+                    if (builder) builder.dispose();
+                    builder = await this.trainFold(
+                        rows.slice(0, Math.max(1, blockStart - gap)),
+                        { modelType, cryptoKey, featureSchema, config, control, outputSize: horizon, onProgress });
+                }
+
+                const predictions = await builder.predictRows(block);
+                block.forEach((row, i) => {
+                    signals.push({
+                        timestamp: row.timestamp,
+                        reference: row.reference,
+                        predicted: Array.isArray(predictions[i]) ? predictions[i][0] : predictions[i],
+                        actual: Array.isArray(row.target) ? row.target[0] : row.target
+                    });
+                });
+            }
+        } finally {
+            if (builder) builder.dispose();
+        }
+
+        return signals;
+    }
+
+    /**
+     * Build, scale and train a model on one fold's training rows
+     * config is a resolved ModelBuilder.getConfig; by default the asset's MODEL_CONFIG tier
+     */
+    async trainFold(trainRows, { modelType, cryptoKey, featureSchema, config, control, outputSize, onProgress }) {
+        const builder = new ModelBuilder();
+        builder.buildModel(modelType, cryptoKey, featureSchema, outputSize, config || builder.getConfig(modelType, cryptoKey));
+        try {
+            await builder.fitRows(trainRows, modelType, cryptoKey, onProgress, control);
+        } catch (error) {
+            builder.dispose();
+            throw error;
+        }
+        return builder;
+    }
+
+    /**
+     * Turn a predicted next-candle return into a position: 1 long, 0 flat, -1 short
+     */
+    positionFor(expectedReturn) {
+        const { longThreshold, shortThreshold, allowShort } = this.options;
+        if (expectedReturn > longThreshold) return 1;
+        if (allowShort && expectedReturn < -shortThreshold) return -1;
+        return 0;
+    }
+
+    /**
+     * Simulate trading the signals: each position is taken at the reference close and held for one candle
+     * Position changes pay feeRate + slippage per unit traded
+     * intervalMs is the candle spacing, used to annualize Sharpe and Sortino
+     */
+    simulate(signals, intervalMs) {
+        const cost = this.options.feeRate + this.options.slippage;
+        const timestamps = [];
+        const equity = [];
+        const benchmark = [];
+        const positions = [];
+        const returns = [];
+
+        let previous = 0;
+        let value = 1;
+        let holdValue = 1;
+        let traded = 0;
+        let trades = 0;
+
+        signals.forEach(signal => {
+            const position = this.positionFor(signal.predicted / signal.reference - 1);
+            const marketReturn = signal.actual / signal.reference - 1;
+            const change = Math.abs(position - previous);
+            const net = position * marketReturn - change * cost;
+
+            value *= 1 + net;
+            holdValue *= 1 + marketReturn;
+            traded += change;
+            if (change > 0) trades++;
+            previous = position;
+
+            timestamps.push(signal.timestamp + intervalMs);
+            equity.push(value);
+            benchmark.push(holdValue);
+            positions.push(position);
+            returns.push(net);
+        });
+
+        return {
+            timestamps,
+            equity,
+            benchmark,
+            positions,
+            returns,
+            ...this.calculateStatistics(returns, equity, positions, signals, intervalMs),
+            benchmarkReturn: holdValue - 1,
+            turnover: signals.length > 0 ? traded / signals.length : 0,
+            trades: trades,
+            periods: signals.length
+        };
+    }
+
+    /**
+     * Return and risk statistics for a series of per-candle strategy returns
+     */
+    calculateStatistics(returns, equity, positions, signals, intervalMs) {
+        const n = returns.length;
+        const periodsPerYear = IndicatorEngine.periodsPerYear(intervalMs);
+        const mean = n > 0 ? returns.reduce((sum, r) => sum + r, 0) / n : 0;
+        const std = n > 0 ? Math.sqrt(returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / n) : 0;
+        const downside = n > 0 ? Math.sqrt(returns.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / n) : 0;
+
+        let peak = 1;
+        let maxDrawdown = 0;
+        equity.forEach(value => {
+            peak = Math.max(peak, value);
+            maxDrawdown = Math.max(maxDrawdown, 1 - value / peak);
+        });
+
+        // Hit rate counts only candles with exposure: did the position point the right way?
+        let exposed = 0;
+        let hits = 0;
+        positions.forEach((position, i) => {
+            if (position === 0) return;
+            exposed++;
+            if (position * (signals[i].actual - signals[i].reference) > 0) hits++;
+        });
+
+        return {
+            totalReturn: n > 0 ? equity[n - 1] - 1 : 0,
+            sharpe: std > 0 ? (mean / std) * Math.sqrt(periodsPerYear) : 0,
+            sortino: downside > 0 ? (mean / downside) * Math.sqrt(periodsPerYear) : null,
+            maxDrawdown: maxDrawdown,
+            hitRate: exposed > 0 ? hits / exposed : null,
+            exposure: n > 0 ? exposed / n : 0
+        };
+    }
+}
+
+// Export for global use
+window.Backtester = Backtester;
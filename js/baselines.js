@@ -0,0 +1,185 @@
+/**
+ * Baseline Models for benchmarking the networks
+ * Simple forecasters scored on the same splits and metrics as the networks, so their results have a reference point
+ */
+
+// Baseline registry: fit(rows, context) returns fitted state; predict(row, context, state) returns one close per step
+// context is { closes, indexOf, horizon, params } where closes is the full close history and indexOf maps timestamps to it
+const BASELINE_DEFINITIONS = {
+    naive: {
+        label: 'Naive (last price)',
+        fit: () => ({}),
+        predict: (row, { horizon }) => new Array(horizon).fill(row.reference)
+    },
+    drift: {
+        label: 'Drift',
+        fit: (rows, { closes, indexOf }) => {
+            const first = indexOf.get(rows[0].timestamp);
+            const last = indexOf.get(rows[rows.length - 1].timestamp);
+            return { drift: last > first ? Math.log(closes[last] / closes[first]) / (last - first) : 0 };
+        },
+        predict: (row, { horizon }, { drift }) =>
+            Array.from({ length: horizon }, (_, k) => row.reference * Math.exp(drift * (k + 1)))
+    },
+    sma: {
+        label: 'Moving Average',
+        fit: (rows, { closes, params }) => {
+            // Prefix sums give every trailing mean in O(1)
+            const prefix = [0];
+            closes.forEach(close => prefix.push(prefix[prefix.length - 1] + close));
+            return { prefix: prefix, period: params.smaPeriod };
+        },
+        predict: (row, { indexOf, horizon }, { prefix, period }) => {
+            const i = indexOf.get(row.timestamp);
+            const start = Math.max(0, i - period + 1);
+            return new Array(horizon).fill((prefix[i + 1] - prefix[start]) / (i + 1 - start));
+        }
+    },
+    ridge: {
+        label: 'Ridge Regression',
+        fit: (rows, { params }) => {
+            const scaler = new DataScaler().fit(rows);
+            const x = scaler.transformFeatures(rows.map(row => row.features)).map(v => [1, ...v]);
+            const y = scaler.transformTargets(rows.map(row => row.target), rows.map(row => row.reference));
+            return { scaler: scaler, weights: ridgeSolve(x, y, params.ridgeLambda) };
+        },
+        predict: (row, context, { scaler, weights }) => {
+            const x = [1, ...scaler.transformFeatures([row.features])[0]];
+            const scaled = weights.map(w => w.reduce((sum, wi, j) => sum + wi * x[j], 0));
+            const prices = scaler.inverseTargets([scaled], [row.reference])[0];
+            return Array.isArray(prices) ? prices : [prices];
+        }
+    },
+    holt: {
+        label: 'Exponential Smoothing (Holt)',
+        fit: (rows, { closes, indexOf, params }) => {
+            // Grid-search the smoothing constants on one-step errors over the training period
+            const last = indexOf.get(rows[rows.length - 1].timestamp);
+            const training = closes.slice(0, last + 1);
+            let best = null;
+            params.holtGrid.forEach(alpha => params.holtGrid.forEach(beta => {
+                const { error } = holtFilter(training, alpha, beta);
+                if (!best || error < best.error) best = { alpha, beta, error };
+            }));
+            return { ...best, ...holtFilter(closes, best.alpha, best.beta) };
+        },
+        predict: (row, { indexOf, horizon }, { levels, trends }) => {
+            // State at index i only uses closes up to i
+            const i = indexOf.get(row.timestamp);
+            return Array.from({ length: horizon }, (_, k) => levels[i] + (k + 1) * trends[i]);
+        }
+    }
+};
+
+/**
+ * Holt's linear exponential smoothing over a close series
+ * Returns per-index level and trend plus the sum of squared one-step errors
+ */
+function holtFilter(closes, alpha, beta) {
+    const levels = [closes[0]];
+    const trends = [closes.length > 1 ? closes[1] - closes[0] : 0];
+    let error = 0;
+
+    for (let i = 1; i < closes.length; i++) {
+        const forecast = levels[i - 1] + trends[i - 1];
+        error += (closes[i] - forecast) ** 2;
+        levels.push(alpha * closes[i] + (1 - alpha) * forecast);
+        trends.push(beta * (levels[i] - levels[i - 1]) + (1 - beta) * trends[i - 1]);
+    }
+    return { levels, trends, error };
+}
+
+/**
+ * Closed-form ridge regression: solves (XᵀX + λI) w = Xᵀy for every target column
+ * Returns one weight vector per target column
+ */
+function ridgeSolve(x, y, lambda) {
+    const d = x[0].length;
+    const gram = Array.from({ length: d }, (_, i) =>
+        Array.from({ length: d }, (_, j) => x.reduce((sum, row) => sum + row[i] * row[j], 0) + (i === j ? lambda : 0)));
+
+    return y[0].map((_, column) => {
+        const rhs = Array.from({ length: d }, (_, i) => x.reduce((sum, row, r) => sum + row[i] * y[r][column], 0));
+        return gaussianSolve(gram.map(row => row.slice()), rhs);
+    });
+}
+
+/**
+ * Solve a square linear system in place with partial pivoting
+ */
+function gaussianSolve(a, b) {
+    const n = b.length;
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+        }
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+
+        for (let r = col + 1; r < n; r++) {
+            const factor = a[r][col] / a[col][col];
+            for (let c = col; c < n; c++) a[r][c] -= factor * a[col][c];
+            b[r] -= factor * b[col];
+        }
+    }
+
+    const solution = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+        let sum = b[r];
+        for (let c = r + 1; c < n; c++) sum -= a[r][c] * solution[c];
+        solution[r] = sum / a[r][r];
+    }
+    return solution;
+}
+
+class BaselineModel {
+    /**
+     * @param {string} type - Key in BASELINE_DEFINITIONS
+     * @param {Array<Object>} history - Raw candles the processed rows were built from
+     */
+    constructor(type, history, params = BASELINE_CONFIG) {
+        this.definition = BASELINE_DEFINITIONS[type];
+        if (!this.definition) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, `Unknown baseline model: ${type}`);
+        }
+        this.type = type;
+        this.label = this.definition.label;
+        this.context = {
+            closes: history.map(d => d.price),
+            indexOf: new Map(history.map((d, i) => [d.timestamp, i])),
+            horizon: 1,
+            params: params
+        };
+        this.state = null;
+    }
+
+    /**
+     * Fit on labelled training rows; the horizon follows the rows' targets
+     */
+    fit(rows) {
+        if (rows.length === 0) {
+            throw new PlatformError(ERROR_TYPES.DATA_ERROR, `${this.label}: cannot fit on an empty training set`);
+        }
+        this.context.horizon = CrossValidator.horizonOf(rows);
+        this.state = this.definition.fit(rows, this.context);
+        return this;
+    }
+
+    /**
+     * Price predictions shaped like ModelBuilder.predictRows: a number per row, or per-step arrays
+     */
+    predictRows(rows) {
+        if (!this.state) {
+            throw new Error(`${this.label} must be fitted before predicting`);
+        }
+        return rows.map(row => {
+            const steps = this.definition.predict(row, this.context, this.state);
+            return steps.length === 1 ? steps[0] : steps;
+        });
+    }
+}
+
+// Export for global use
+window.BaselineModel = BaselineModel;
+window.BASELINE_DEFINITIONS = BASELINE_DEFINITIONS;
@@ -0,0 +1,304 @@
+/**
+ * Candle Parser for CSV and JSON price history
+ * Normalizes exchange exports into the OHLCV records used by DataProcessor
+ */
+
+// Accepted header names for each candle field
+const CANDLE_COLUMN_ALIASES = {
+    timestamp: ['timestamp', 'time', 'date', 'datetime', 'open_time', 'opentime', 'unix', 'ts'],
+    open: ['open', 'o', 'open_price'],
+    high: ['high', 'h', 'high_price'],
+    low: ['low', 'l', 'low_price'],
+    close: ['close', 'c', 'close_price', 'price', 'last'],
+    volume: ['volume', 'vol', 'v', 'base_volume', 'volume_usd', 'total_volume']
+};
+
+// Column order assumed for headerless CSV rows and exchange kline arrays
+const POSITIONAL_COLUMNS = { timestamp: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 };
+
+class CandleParser {
+    /**
+     * Parse file contents, picking the format from the name or the content
+     * Pass columns to override header detection with a user mapping
+     */
+    parse(text, fileName = '', columns = null) {
+        const table = this.readTable(text, fileName);
+        return this.rowsToCandles(table.rows, columns || this.detectColumns(table.headers));
+    }
+
+    /**
+     * Decide between JSON and CSV
+     */
+    detectFormat(text, fileName = '') {
+        if (/\.json$/i.test(fileName)) return 'json';
+        if (/\.(csv|txt)$/i.test(fileName)) return 'csv';
+
+        const firstChar = text.trim().charAt(0);
+        return firstChar === '[' || firstChar === '{' ? 'json' : 'csv';
+    }
+
+    /**
+     * Read file contents into { headers, rows } for column detection or manual mapping
+     * Headerless data gets positional headers (timestamp, open, high, low, close, volume)
+     */
+    readTable(text, fileName = '') {
+        return this.detectFormat(text, fileName) === 'json'
+            ? this.readJSONTable(text)
+            : this.readCSVTable(text);
+    }
+
+    /**
+     * Read delimited text with an optional header row
+     */
+    readCSVTable(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+        if (lines.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        const delimiter = this.detectDelimiter(lines[0]);
+        const rows = lines.map(line => this.splitFields(line, delimiter));
+
+        // A header row is any first row with a non-numeric, non-date cell
+        const hasHeader = rows[0].some(cell => cell !== '' && isNaN(this.parseNumber(cell)) && isNaN(Date.parse(cell)));
+        return hasHeader
+            ? { headers: rows[0], rows: rows.slice(1) }
+            : { headers: this.positionalHeaders(rows[0].length), rows: rows };
+    }
+
+    /**
+     * Read JSON arrays of objects, arrays of kline arrays, or market_chart payloads
+     */
+    readJSONTable(text) {
+        const data = this.parseJSONText(text);
+        if (data && Array.isArray(data.prices)) {
+            const candles = new HistoryLoader().buildCandles(data);
+            return {
+                headers: Object.keys(POSITIONAL_COLUMNS),
+                rows: candles.map(c => [c.timestamp, c.open, c.high, c.low, c.close, c.volume])
+            };
+        }
+
+        const records = Array.isArray(data) ? data : (data?.candles || data?.data);
+        if (!Array.isArray(records) || records.length === 0) {
+            throw new Error('JSON file contains no candles');
+        }
+
+        if (Array.isArray(records[0])) {
+            return { headers: this.positionalHeaders(records[0].length), rows: records };
+        }
+
+        const headers = Object.keys(records[0]);
+        return { headers: headers, rows: records.map(record => headers.map(key => record[key])) };
+    }
+
+    /**
+     * Parse JSON text with a readable error
+     */
+    parseJSONText(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Header names for data without a header row
+     */
+    positionalHeaders(count) {
+        const names = Object.keys(POSITIONAL_COLUMNS);
+        return Array.from({ length: count }, (_, i) => names[i] || `column_${i + 1}`);
+    }
+
+    /**
+     * Map header names to column indices using the alias table
+     */
+    detectColumns(headers) {
+        const columns = this.guessColumns(headers);
+        if (columns.timestamp === undefined || columns.close === undefined) {
+            throw new Error('Could not find timestamp and close columns');
+        }
+        return columns;
+    }
+
+    /**
+     * Best-effort header mapping; missing fields are left undefined
+     */
+    guessColumns(headers) {
+        const normalized = headers.map(header => String(header).trim().toLowerCase().replace(/[\s-]+/g, '_'));
+        const columns = {};
+
+        Object.entries(CANDLE_COLUMN_ALIASES).forEach(([field, aliases]) => {
+            const index = normalized.findIndex(header => aliases.includes(header));
+            if (index !== -1) {
+                columns[field] = index;
+            }
+        });
+        return columns;
+    }
+
+    /**
+     * Split one delimited line into trimmed fields
+     * Double-quoted fields may contain the delimiter, and "" inside them stands for a literal quote
+     */
+    splitFields(line, delimiter) {
+        const fields = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                fields.push(field.trim());
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        fields.push(field.trim());
+        return fields;
+    }
+
+    /**
+     * Pick the most likely delimiter from the first line, ignoring delimiters inside quoted fields
+     */
+    detectDelimiter(line) {
+        const candidates = [',', ';', '\t', '|'];
+        const counts = candidates.map(candidate => this.splitFields(line, candidate).length);
+        return candidates[counts.indexOf(Math.max(...counts))];
+    }
+
+    /**
+     * Read a numeric cell, accepting thousands separators such as "1,234.5"
+     */
+    parseNumber(value) {
+        if (typeof value === 'string' && /^[+-]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(value.trim())) {
+            return Number(value.replace(/,/g, ''));
+        }
+        return value === '' || value === null || value === undefined ? NaN : Number(value);
+    }
+
+    /**
+     * Convert raw rows into candle records using a column mapping
+     */
+    rowsToCandles(rows, columns) {
+        return rows.map(row => {
+            const close = this.parseNumber(row[columns.close]);
+            const open = columns.open !== undefined ? this.parseNumber(row[columns.open]) : close;
+            const high = columns.high !== undefined ? this.parseNumber(row[columns.high]) : Math.max(open, close);
+            const low = columns.low !== undefined ? this.parseNumber(row[columns.low]) : Math.min(open, close);
+            const volume = columns.volume !== undefined ? this.parseNumber(row[columns.volume]) : 0;
+            const timestamp = this.parseTimestamp(row[columns.timestamp]);
+
+            return {
+                timestamp: timestamp,
+                date: new Date(timestamp),
+                price: close,
+                volume: volume,
+                high: high,
+                low: low,
+                open: open,
+                close: close
+            };
+        });
+    }
+
+    /**
+     * Parse epoch seconds, epoch milliseconds or date strings into milliseconds
+     */
+    parseTimestamp(value) {
+        const numeric = Number(value);
+        if (value !== '' && value !== null && Number.isFinite(numeric)) {
+            return numeric < 1e11 ? numeric * 1000 : numeric;
+        }
+        return Date.parse(value);
+    }
+
+    /**
+     * Check candles for invalid values, duplicates, non-monotonic timestamps and gaps
+     * Returns { errors, warnings, interval }; gaps are errors unless DATA_CONFIG.import.allowGaps is set
+     * minCandles defaults to DATA_CONFIG.import.minRows; callers that know the feature warm-up and horizon
+     * pass DataProcessor.requiredCandles() instead
+     */
+    validate(candles, minCandles = DATA_CONFIG.import.minRows) {
+        const errors = [];
+        const gaps = [];
+        const limit = DATA_CONFIG.import.maxReportedIssues;
+
+        if (candles.length < minCandles) {
+            errors.push(`Need at least ${minCandles} candles, found ${candles.length}`);
+        }
+
+        const invalid = candles.filter(candle =>
+            !Number.isFinite(candle.timestamp) ||
+            !['open', 'high', 'low', 'close', 'volume'].every(field => Number.isFinite(candle[field])) ||
+            candle.close <= 0 ||
+            candle.high < candle.low);
+        if (invalid.length > 0) {
+            errors.push(`${invalid.length} rows have missing or invalid values`);
+        }
+
+        const interval = this.medianInterval(candles);
+        let duplicates = 0;
+        let outOfOrder = 0;
+
+        for (let i = 1; i < candles.length; i++) {
+            const delta = candles[i].timestamp - candles[i - 1].timestamp;
+            if (delta === 0) {
+                duplicates++;
+            } else if (delta < 0) {
+                outOfOrder++;
+            } else if (interval && delta > interval * DATA_CONFIG.import.gapTolerance) {
+                gaps.push(`${new Date(candles[i - 1].timestamp).toISOString()} → ${new Date(candles[i].timestamp).toISOString()}`);
+            }
+        }
+
+        if (duplicates > 0) {
+            errors.push(`${duplicates} duplicate timestamps`);
+        }
+        if (outOfOrder > 0) {
+            errors.push(`${outOfOrder} timestamps out of order (data must be sorted oldest first)`);
+        }
+
+        const gapMessages = gaps.length > 0
+            ? [`${gaps.length} gaps in the series: ${gaps.slice(0, limit).join(', ')}${gaps.length > limit ? ', ...' : ''}`]
+            : [];
+
+        return {
+            errors: DATA_CONFIG.import.allowGaps ? errors : errors.concat(gapMessages),
+            warnings: DATA_CONFIG.import.allowGaps ? gapMessages : [],
+            interval: interval
+        };
+    }
+
+    /**
+     * Median spacing between consecutive increasing timestamps
+     */
+    medianInterval(candles) {
+        const deltas = [];
+        for (let i = 1; i < candles.length; i++) {
+            const delta = candles[i].timestamp - candles[i - 1].timestamp;
+            if (delta > 0) deltas.push(delta);
+        }
+        if (deltas.length === 0) return null;
+
+        deltas.sort((a, b) => a - b);
+        return deltas[Math.floor(deltas.length / 2)];
+    }
+}
+
+// Export for global use
+window.CandleParser = CandleParser;
+window.CANDLE_COLUMN_ALIASES = CANDLE_COLUMN_ALIASES;
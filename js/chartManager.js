@@ -3,10 +3,29 @@
  * Handles Chart.js chart creation, updates, and data visualization
  */
 
+// Line colours for the price overlays and indicator sub-panels
+const INDICATOR_COLORS = {
+    sma: ['#4fc3f7', '#ba68c8', '#aed581'],
+    ema: ['#f48fb1', '#ffcc80'],
+    bollinger: '#90caf9',
+    rsi: '#b388ff',
+    macd: '#4fc3f7',
+    signal: '#ffb74d'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 class ChartManager {
     constructor() {
         this.chart = null;
         this.ctx = null;
+        this.equityChart = null;
+        this.lossChart = null;
+        this.historyChart = null;
+        this.diagnosticCharts = {};
+        this.market = null;
+        this.rangeListeners = [];
+        this.panels = Object.fromEntries(Object.entries(CHART_CONFIG.panels).map(([key, panel]) => [key, panel.visible]));
     }
 
     /**
@@ -23,18 +42,22 @@ class ChartManager {
     }
 
     /**
-     * Create price chart for cryptocurrency data
+     * Create the market chart: a close line or OHLC candles with overlays on the price panel,
+     * plus volume, RSI and MACD sub-panels stacked underneath on the same time axis
+     * indicators come from DataProcessor.getChartIndicators(); without them only price and volume are drawn
      */
-    createPriceChart(data, cryptoKey) {
+    createPriceChart(data, cryptoKey, indicators = null) {
         const crypto = CRYPTO_CONFIG[cryptoKey];
         
         // Destroy existing chart
         if (this.chart) {
             this.chart.destroy();
         }
+        this.market = { data, crypto, indicators, interval: this.candleInterval(data) };
 
         const chartData = {
-            labels: data.map(d => d.date.toLocaleDateString()),
+            // Timestamps, so axis ticks, tooltips and the crosshair can format them for the visible span
+            labels: data.map(d => d.timestamp),
             datasets: [{
                 label: `${crypto.name} Price (USD)`,
                 data: data.map(d => d.price),
@@ -47,8 +70,10 @@ class ChartManager {
                 pointHoverRadius: 5,
                 pointHoverBackgroundColor: crypto.color,
                 pointHoverBorderColor: '#ffffff',
-                pointHoverBorderWidth: 2
-            }]
+                pointHoverBorderWidth: 2,
+                // Candles replace the close line; it stays as the series forecasts join onto
+                hidden: this.panels.candles
+            }, ...this.panelDatasets()]
         };
 
         const options = {
@@ -65,6 +90,11 @@ class ChartManager {
                         font: {
                             size: 12,
                             weight: '500'
+                        },
+                        // Each band is an upper/lower dataset pair; list it once, and skip wicks, guides and the hidden close line
+                        filter: (item, data) => {
+                            const dataset = data.datasets[item.datasetIndex];
+                            return dataset.band !== 'lower' && !dataset.wick && !dataset.guide && !dataset.hidden;
                         }
                     },
                     display: true
@@ -78,61 +108,39 @@ class ChartManager {
                     borderColor: crypto.color,
                     borderWidth: 1,
                     cornerRadius: 8,
+                    filter: (item) => !item.dataset.wick && !item.dataset.guide && item.parsed.y !== null,
                     callbacks: {
                         title: (tooltipItems) => {
-                            return tooltipItems[0].label;
-                        },
-                        label: (context) => {
-                            const price = context.parsed.y;
-                            const decimals = this.getDecimalPlaces(price);
-                            return `${crypto.name}: $${price.toFixed(decimals)}`;
+                            return this.formatTime(Number(tooltipItems[0].label));
                         },
+                        label: (context) => this.formatTooltip(context),
                         afterLabel: (context) => {
-                            if (crypto.iso20022) {
+                            if (crypto.iso20022 && context.datasetIndex === 0) {
                                 return 'ISO20022 Compliant';
                             }
                             return '';
                         }
                     }
-                }
-            },
-            scales: {
-                x: {
-                    ticks: { 
-                        color: 'white',
-                        maxTicksLimit: 8,
-                        font: {
-                            size: 11
-                        }
-                    },
-                    grid: { 
-                        color: 'rgba(255, 255, 255, 0.1)',
-                        borderColor: 'rgba(255, 255, 255, 0.3)'
-                    },
-                    border: {
-                        color: 'rgba(255, 255, 255, 0.3)'
-                    }
                 },
-                y: {
-                    ticks: { 
-                        color: 'white',
-                        font: {
-                            size: 11
-                        },
-                        callback: (value) => {
-                            const decimals = this.getDecimalPlaces(value);
-                            return '$' + value.toFixed(decimals);
-                        }
+                // chartjs-plugin-zoom: wheel and pinch zoom, drag to pan, along the time axis only
+                zoom: {
+                    pan: {
+                        enabled: true,
+                        mode: 'x',
+                        onPanComplete: () => this.notifyRange()
                     },
-                    grid: { 
-                        color: 'rgba(255, 255, 255, 0.1)',
-                        borderColor: 'rgba(255, 255, 255, 0.3)'
+                    zoom: {
+                        wheel: { enabled: true },
+                        pinch: { enabled: true },
+                        mode: 'x',
+                        onZoomComplete: () => this.notifyRange()
                     },
-                    border: {
-                        color: 'rgba(255, 255, 255, 0.3)'
+                    limits: {
+                        x: { min: 'original', max: 'original', minRange: CHART_CONFIG.minVisibleCandles }
                     }
                 }
             },
+            scales: this.panelScales(),
             interaction: {
                 intersect: false,
                 mode: 'index'
@@ -147,26 +155,399 @@ class ChartManager {
         this.chart = new Chart(this.ctx, {
             type: 'line',
             data: chartData,
-            options: options
+            options: options,
+            plugins: [this.crosshairPlugin()]
         });
 
+        this.notifyRange();
         return this.chart;
     }
 
     /**
-     * Add prediction line to existing chart
+     * Datasets for the visible panels: candles and indicator overlays on the price axis, volume, RSI and MACD below
+     * Each carries a `panel` key so toggling can swap them without touching the close line or forecasts
+     */
+    panelDatasets() {
+        const { data, indicators } = this.market;
+        const rising = data.map(d => d.close >= d.open);
+        const candleColors = (alpha) => rising.map(up => this.hexToRgba(up ? CHART_CONFIG.upColor : CHART_CONFIG.downColor, alpha));
+        const line = (panel, label, values, color, extra = {}) => ({
+            panel, label,
+            data: values,
+            yAxisID: 'y',
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: 1,
+            fill: false,
+            tension: 0.1,
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            ...extra
+        });
+        // Bars share each category instead of sitting side by side, and draw beneath the lines
+        const bar = { type: 'bar', grouped: false, categoryPercentage: 1, barPercentage: 0.8, order: 1 };
+        const datasets = [];
+
+        if (this.panels.candles) {
+            datasets.push(
+                { ...bar, panel: 'candles', label: 'Candles', yAxisID: 'y', data: data.map(d => [d.open, d.close]),
+                    backgroundColor: candleColors(0.9), minBarLength: 1 },
+                { ...bar, panel: 'candles', label: 'Wicks', yAxisID: 'y', wick: true, data: data.map(d => [d.low, d.high]),
+                    backgroundColor: candleColors(1), barThickness: 1 }
+            );
+        }
+        if (this.panels.volume) {
+            datasets.push({ ...bar, panel: 'volume', label: 'Volume', yAxisID: 'volume', data: data.map(d => d.volume),
+                backgroundColor: candleColors(0.5) });
+        }
+        if (!indicators) return datasets;
+
+        if (this.panels.sma) {
+            indicators.sma.forEach(({ period, values }, i) => datasets.push(
+                line('sma', `SMA ${period}`, values, INDICATOR_COLORS.sma[i % INDICATOR_COLORS.sma.length])));
+        }
+        if (this.panels.ema) {
+            indicators.ema.forEach(({ period, values }, i) => datasets.push(
+                line('ema', `EMA ${period}`, values, INDICATOR_COLORS.ema[i % INDICATOR_COLORS.ema.length], { borderDash: [6, 3] })));
+        }
+        if (this.panels.bollinger) {
+            const { period, stdDev, upper, middle, lower } = indicators.bollinger;
+            const label = `Bollinger ${period}, ${stdDev}σ`;
+            const color = INDICATOR_COLORS.bollinger;
+            datasets.push(
+                line('bollinger', label, upper, this.hexToRgba(color, 0.6), { band: 'upper' }),
+                line('bollinger', label, lower, this.hexToRgba(color, 0.6), { band: 'lower', fill: '-1', backgroundColor: this.hexToRgba(color, 0.08) }),
+                line('bollinger', `${label} middle`, middle, this.hexToRgba(color, 0.6), { borderDash: [4, 4], guide: true })
+            );
+        }
+        if (this.panels.rsi) {
+            const { period, values } = indicators.rsi;
+            datasets.push(line('rsi', `RSI ${period}`, values, INDICATOR_COLORS.rsi, { yAxisID: 'rsi', borderWidth: 1.5 }));
+            CHART_CONFIG.rsiBounds.forEach(bound => datasets.push(
+                line('rsi', `RSI ${bound}`, data.map(() => bound), 'rgba(255, 255, 255, 0.3)', { yAxisID: 'rsi', borderDash: [4, 4], guide: true })));
+        }
+        if (this.panels.macd) {
+            const { fast, slow, signal, macd, signalLine, histogram } = indicators.macd;
+            datasets.push(
+                line('macd', `MACD ${fast}/${slow}`, macd, INDICATOR_COLORS.macd, { yAxisID: 'macd', borderWidth: 1.5 }),
+                line('macd', `Signal ${signal}`, signalLine, INDICATOR_COLORS.signal, { yAxisID: 'macd', borderWidth: 1.5 }),
+                { ...bar, panel: 'macd', label: 'Histogram', yAxisID: 'macd', data: histogram,
+                    backgroundColor: histogram.map(value => this.hexToRgba(value >= 0 ? CHART_CONFIG.upColor : CHART_CONFIG.downColor, 0.5)) }
+            );
+        }
+        return datasets;
+    }
+
+    /**
+     * The time axis plus one y-axis per visible panel, stacked top to bottom: price, volume, RSI, MACD
+     */
+    panelScales() {
+        const grid = { 
+            color: 'rgba(255, 255, 255, 0.1)',
+            borderColor: 'rgba(255, 255, 255, 0.3)'
+        };
+        const border = {
+            color: 'rgba(255, 255, 255, 0.3)'
+        };
+        const ticks = { 
+            color: 'white',
+            font: {
+                size: 11
+            }
+        };
+        // Stacked axes share the left edge; weight orders them (highest on top), stackWeight sizes them.
+        // beginAtZero is explicit because bar datasets would otherwise pull every axis they use down to zero
+        const panel = (weight, stackWeight, extra) => ({
+            type: 'linear',
+            position: 'left',
+            stack: 'market',
+            beginAtZero: false,
+            weight, stackWeight, grid, border,
+            ...extra,
+            ticks: { ...ticks, ...extra.ticks }
+        });
+        // Sub-panels leave their top tick unlabelled so it cannot run into the bottom label of the panel above
+        const belowPanel = (axisId) => (value, index, values) =>
+            (index === values.length - 1 ? null : this.formatAxisValue(axisId, value));
+        const indicators = this.market && this.market.indicators;
+
+        const manager = this;
+        const scales = {
+            x: {
+                ticks: {
+                    ...ticks,
+                    maxTicksLimit: 8,
+                    maxRotation: 0,
+                    // Chart.js calls this with the scale as `this`; labels are timestamps
+                    callback: function (value) {
+                        return manager.formatTick(this.getLabelForValue(value), this);
+                    }
+                },
+                grid: grid,
+                border: border
+            },
+            y: panel(4, 4, {
+                ticks: {
+                    callback: (value) => {
+                        const decimals = this.getDecimalPlaces(value);
+                        return '$' + value.toFixed(decimals);
+                    }
+                }
+            })
+        };
+        if (this.panels.volume) {
+            scales.volume = panel(3, 1, {
+                beginAtZero: true,
+                ticks: { maxTicksLimit: 3, callback: belowPanel('volume') }
+            });
+        }
+        if (this.panels.rsi && indicators) {
+            scales.rsi = panel(2, 1, {
+                min: 0,
+                max: 100,
+                // Label only the overbought/oversold lines
+                afterBuildTicks: (scale) => {
+                    scale.ticks = CHART_CONFIG.rsiBounds.map(value => ({ value }));
+                }
+            });
+        }
+        if (this.panels.macd && indicators) {
+            scales.macd = panel(1, 1, { ticks: { maxTicksLimit: 4, callback: belowPanel('macd') } });
+        }
+        return scales;
+    }
+
+    /**
+     * Tooltip line for one dataset: OHLC for candles, units to match each panel otherwise
      */
-    addPredictionLine(predictions, splitIndex) {
+    formatTooltip(context) {
+        const { dataset } = context;
+        const value = context.parsed.y;
+
+        if (dataset.panel === 'candles') {
+            const candle = this.market.data[context.dataIndex];
+            const decimals = this.getDecimalPlaces(candle.close);
+            return `${this.market.crypto.name}: O ${candle.open.toFixed(decimals)} H ${candle.high.toFixed(decimals)} ` +
+                `L ${candle.low.toFixed(decimals)} C ${candle.close.toFixed(decimals)}`;
+        }
+        const name = context.datasetIndex === 0 ? this.market.crypto.name : dataset.label;
+        return `${name}${dataset.band ? ` (${dataset.band})` : ''}: ${this.formatAxisValue(dataset.yAxisID, value)}`;
+    }
+
+    /**
+     * Format a value in the units of the panel axis it belongs to
+     */
+    formatAxisValue(axisId, value) {
+        if (axisId === 'volume') return this.formatVolume(value);
+        if (axisId === 'rsi') return value.toFixed(1);
+        if (axisId === 'macd') return value.toPrecision(3);
+        return `$${value.toFixed(this.getDecimalPlaces(value))}`;
+    }
+
+    /**
+     * Full date and time of a candle; the time is left out for daily or longer candles
+     */
+    formatTime(timestamp) {
+        const intraday = this.market && this.market.interval < DAY_MS;
+        return new Date(timestamp).toLocaleString([], intraday
+            ? { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' }
+            : { month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    /**
+     * Time-axis tick label with as much detail as the visible span needs: hours within two days,
+     * day and hour within a week, days within a year, months beyond
+     */
+    formatTick(timestamp, scale) {
+        const labels = scale.getLabels();
+        const span = labels[Math.min(Math.round(scale.max), labels.length - 1)] - labels[Math.max(0, Math.round(scale.min))];
+        const date = new Date(timestamp);
+        const intraday = this.market && this.market.interval < DAY_MS;
+
+        if (intraday && span <= 2 * DAY_MS) {
+            return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        }
+        if (intraday && span <= 7 * DAY_MS) {
+            return date.toLocaleString([], { weekday: 'short', hour: '2-digit' });
+        }
+        if (span <= 365 * DAY_MS) {
+            return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+        }
+        return date.toLocaleDateString([], { month: 'short', year: 'numeric' });
+    }
+
+    /**
+     * Chart.js plugin drawing a crosshair at the pointer, labelled with the candle time on the time axis
+     * and the value under the pointer on whichever panel's axis it is over
+     */
+    crosshairPlugin() {
+        let pointer = null;
+        const label = (ctx, text, x, y, align) => {
+            ctx.font = '11px sans-serif';
+            const width = ctx.measureText(text).width + 8;
+            const left = align === 'center' ? x - width / 2 : x - width;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+            ctx.fillRect(left, y - 9, width, 18);
+            ctx.fillStyle = 'white';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(text, left + 4, y);
+        };
+
+        return {
+            id: 'crosshair',
+            afterEvent: (chart, args) => {
+                const { event, inChartArea } = args;
+                pointer = inChartArea && event.type !== 'mouseout' ? { x: event.x, y: event.y } : null;
+                args.changed = true;
+            },
+            afterDraw: (chart) => {
+                if (!pointer) return;
+                const { ctx, chartArea, scales } = chart;
+                const { x, y } = pointer;
+
+                ctx.save();
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+                ctx.lineWidth = 1;
+                ctx.setLineDash([4, 4]);
+                ctx.beginPath();
+                ctx.moveTo(x, chartArea.top);
+                ctx.lineTo(x, chartArea.bottom);
+                ctx.moveTo(chartArea.left, y);
+                ctx.lineTo(chartArea.right, y);
+                ctx.stroke();
+                ctx.setLineDash([]);
+
+                const timestamp = chart.data.labels[Math.round(scales.x.getValueForPixel(x))];
+                if (timestamp !== undefined) {
+                    label(ctx, this.formatTime(timestamp), x, chartArea.bottom + 10, 'center');
+                }
+                const axis = Object.values(scales).find(scale => !scale.isHorizontal() && y >= scale.top && y <= scale.bottom);
+                if (axis) {
+                    label(ctx, this.formatAxisValue(axis.id, axis.getValueForPixel(y)), chartArea.left, y, 'right');
+                }
+                ctx.restore();
+            }
+        };
+    }
+
+    /**
+     * Call listener(range) whenever the visible time range changes; range is null when everything is shown
+     */
+    watchRange(listener) {
+        this.rangeListeners.push(listener);
+    }
+
+    notifyRange() {
+        const range = this.getVisibleRange();
+        this.rangeListeners.forEach(listener => listener(range));
+    }
+
+    /**
+     * Visible candles as { from, to, candles } timestamps, or null when the chart is not zoomed or panned
+     */
+    getVisibleRange() {
+        if (!this.chart || !this.market) return null;
+
+        const { min, max } = this.chart.scales.x;
+        const { data } = this.market;
+        const first = Math.max(0, Math.ceil(min));
+        const last = Math.min(data.length - 1, Math.floor(max));
+        if (first === 0 && last >= data.length - 1) return null;
+        return { from: data[first].timestamp, to: data[last].timestamp, candles: last - first + 1 };
+    }
+
+    /**
+     * Zoom to the last `duration` ms of candles (plus any forecast), or everything when duration is null
+     */
+    showRange(duration) {
+        if (!this.chart || !this.market) return;
+        if (!duration) {
+            this.resetZoom();
+            return;
+        }
+
+        const { data } = this.market;
+        const from = data[data.length - 1].timestamp - duration;
+        const start = data.findIndex(d => d.timestamp >= from);
+        const end = this.chart.data.labels.length - 1;
+        const min = Math.max(0, Math.min(start, end - CHART_CONFIG.minVisibleCandles));
+
+        if (this.chart.zoomScale) {
+            this.chart.zoomScale('x', { min, max: end }, 'none');
+        } else {
+            Object.assign(this.chart.options.scales.x, { min, max: end });
+            this.chart.update('none');
+        }
+        this.notifyRange();
+    }
+
+    /**
+     * Show every candle again
+     */
+    resetZoom() {
+        if (!this.chart) return;
+
+        if (this.chart.resetZoom) {
+            // The plugin reports the change through onZoomComplete
+            this.chart.resetZoom('none');
+            return;
+        }
+        delete this.chart.options.scales.x.min;
+        delete this.chart.options.scales.x.max;
+        this.chart.update('none');
+        this.notifyRange();
+    }
+
+    /**
+     * Show or hide one of CHART_CONFIG.panels on the market chart
+     */
+    setPanelVisible(panel, visible) {
+        if (!(panel in this.panels)) {
+            throw new Error(`Unknown chart panel: ${panel}`);
+        }
+        this.panels[panel] = visible;
+        this.applyPanels();
+    }
+
+    /**
+     * Rebuild the panel datasets and axes after a toggle, keeping the close line, predictions and forecasts
+     */
+    applyPanels() {
+        if (!this.chart || !this.market) return;
+
+        const [price, ...others] = this.chart.data.datasets;
+        price.hidden = this.panels.candles;
+        this.chart.data.datasets = [price, ...this.panelDatasets(), ...others.filter(dataset => !dataset.panel)];
+        // Rebuilt axes keep the current zoom
+        const { min, max } = this.chart.options.scales.x;
+        const scales = this.panelScales();
+        if (min !== undefined) scales.x.min = min;
+        if (max !== undefined) scales.x.max = max;
+        this.chart.options.scales = scales;
+        this.chart.update('none');
+    }
+
+    /**
+     * Add prediction line to existing chart, with optional interval bands ([{ level, lower, upper }]) around it
+     * Replaces the previous model's prediction line and bands
+     */
+    addPredictionLine(predictions, splitIndex, bands = null) {
         if (!this.chart) {
             console.warn('No chart available to add predictions to');
             return;
         }
+        this.clearPredictions();
 
         // Create prediction data array with null values before split point
         const predictionData = new Array(splitIndex).fill(null).concat(predictions);
+        if (bands) {
+            this.addIntervalBands(bands, splitIndex, 'prediction', '255, 107, 107');
+        }
 
         const predictionDataset = {
             label: 'AI Predictions',
+            group: 'prediction',
             data: predictionData,
             borderColor: '#ff6b6b',
             backgroundColor: 'rgba(255, 107, 107, 0.1)',
@@ -184,30 +565,122 @@ class ChartManager {
         this.chart.update('none'); // Update without animation for better performance
     }
 
+    /**
+     * Draw a forecast path continuing from the last real candle, with optional interval bands
+     * Extends the x-axis with one label per forecast step, replacing any previous forecast
+     */
+    addForecastPath(path, lastTimestamp, interval, bands = null) {
+        if (!this.chart) {
+            console.warn('No chart available to add a forecast to');
+            return;
+        }
+
+        this.clearForecast();
+        const priceData = this.chart.data.datasets[0].data;
+        const lastIndex = priceData.length - 1;
+
+        path.forEach((_, step) => {
+            this.chart.data.labels.push(lastTimestamp + (step + 1) * interval);
+        });
+
+        // Start the path (and its bands) at the last close so it joins the price line
+        const lastClose = priceData[lastIndex];
+        const forecastData = new Array(lastIndex).fill(null).concat([lastClose], path);
+        if (bands) {
+            const anchored = bands.map(band => ({
+                level: band.level,
+                lower: [lastClose, ...band.lower],
+                upper: [lastClose, ...band.upper]
+            }));
+            this.addIntervalBands(anchored, lastIndex, 'forecast', '255, 215, 0');
+        }
+
+        this.chart.data.datasets.push({
+            label: 'Forecast',
+            group: 'forecast',
+            data: forecastData,
+            borderColor: '#ffd700',
+            backgroundColor: 'rgba(255, 215, 0, 0.1)',
+            borderWidth: 2,
+            fill: false,
+            tension: 0.1,
+            pointRadius: forecastData.map((_, i) => (i > lastIndex ? 3 : 0)),
+            pointHoverRadius: 5,
+            pointBackgroundColor: '#ffd700'
+        });
+        this.chart.update('none');
+    }
+
+    /**
+     * Shade each interval band as an upper/lower dataset pair filled between the two lines
+     * Bands are expected widest first so narrower ones layer on top
+     */
+    addIntervalBands(bands, offset, group, rgb) {
+        const padding = new Array(offset).fill(null);
+
+        bands.forEach(band => {
+            const label = `${Math.round(band.level * 100)}% interval`;
+            const alpha = band.level >= 0.9 ? 0.12 : 0.22;
+            const edge = {
+                label: label,
+                group: group,
+                borderColor: `rgba(${rgb}, 0.3)`,
+                backgroundColor: `rgba(${rgb}, ${alpha})`,
+                borderWidth: 1,
+                tension: 0.1,
+                pointRadius: 0,
+                pointHoverRadius: 0
+            };
+
+            this.chart.data.datasets.push(
+                { ...edge, band: 'upper', data: padding.concat(band.upper), fill: false },
+                { ...edge, band: 'lower', data: padding.concat(band.lower), fill: '-1' }
+            );
+        });
+    }
+
+    /**
+     * Remove the forecast datasets and the x-axis labels they added
+     */
+    clearForecast() {
+        if (!this.chart) return;
+
+        this.chart.data.datasets = this.chart.data.datasets.filter(dataset => dataset.group !== 'forecast');
+        this.chart.data.labels.length = this.chart.data.datasets[0].data.length;
+    }
+
+    /**
+     * Remove the test-period prediction line and its interval bands
+     */
+    clearPredictions() {
+        if (!this.chart) return;
+
+        this.chart.data.datasets = this.chart.data.datasets.filter(dataset => dataset.group !== 'prediction');
+        this.chart.update('none');
+    }
+
     /**
      * Update chart data while preserving configuration
      */
-    updateData(data, cryptoKey) {
+    updateData(data, cryptoKey, indicators = this.market ? this.market.indicators : null) {
         if (!this.chart) {
-            return this.createPriceChart(data, cryptoKey);
+            return this.createPriceChart(data, cryptoKey, indicators);
         }
 
         const crypto = CRYPTO_CONFIG[cryptoKey];
+        this.market = { data, crypto, indicators, interval: this.candleInterval(data) };
         
         // Update labels and data
-        this.chart.data.labels = data.map(d => d.date.toLocaleDateString());
+        this.chart.data.labels = data.map(d => d.timestamp);
         this.chart.data.datasets[0].data = data.map(d => d.price);
         this.chart.data.datasets[0].label = `${crypto.name} Price (USD)`;
         this.chart.data.datasets[0].borderColor = crypto.color;
         this.chart.data.datasets[0].backgroundColor = this.hexToRgba(crypto.color, 0.1);
         this.chart.data.datasets[0].borderWidth = crypto.iso20022 ? 3 : 2;
 
-        // Remove any prediction datasets
-        this.chart.data.datasets = this.chart.data.datasets.filter(dataset => 
-            dataset.label !== 'AI Predictions'
-        );
-
-        this.chart.update();
+        // Remove any prediction datasets, then redraw the panels from the new candles
+        this.chart.data.datasets = this.chart.data.datasets.filter(dataset => !dataset.group);
+        this.applyPanels();
         return this.chart;
     }
 
@@ -233,6 +706,354 @@ class ChartManager {
         this.chart.update('none');
     }
 
+    /**
+     * Draw a backtest equity curve against buy-and-hold on its own canvas
+     * report comes from Backtester.simulate ({ timestamps, equity, benchmark })
+     */
+    createEquityChart(canvasId, report) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) {
+            throw new Error(`Canvas element with id '${canvasId}' not found`);
+        }
+        if (this.equityChart) {
+            this.equityChart.destroy();
+        }
+
+        const axis = {
+            ticks: { color: 'white', maxTicksLimit: 8, font: { size: 11 } },
+            grid: { color: 'rgba(255, 255, 255, 0.1)' },
+            border: { color: 'rgba(255, 255, 255, 0.3)' }
+        };
+
+        this.equityChart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: report.timestamps.map(t => new Date(t).toLocaleDateString()),
+                datasets: [{
+                    label: 'Strategy Equity',
+                    data: report.equity,
+                    borderColor: '#00ff88',
+                    backgroundColor: 'rgba(0, 255, 136, 0.1)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.1,
+                    pointRadius: 0
+                }, {
+                    label: 'Buy & Hold',
+                    data: report.benchmark,
+                    borderColor: 'rgba(255, 255, 255, 0.6)',
+                    borderWidth: 1,
+                    borderDash: [5, 5],
+                    fill: false,
+                    tension: 0.1,
+                    pointRadius: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: { intersect: false, mode: 'index' },
+                plugins: {
+                    legend: { labels: { color: 'white' } },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${((context.parsed.y - 1) * 100).toFixed(2)}%`
+                        }
+                    }
+                },
+                scales: {
+                    x: axis,
+                    y: {
+                        ...axis,
+                        ticks: { ...axis.ticks, callback: (value) => `${((value - 1) * 100).toFixed(1)}%` }
+                    }
+                }
+            }
+        });
+
+        return this.equityChart;
+    }
+
+    /**
+     * Chart.js config for loss (left axis) and MAE (right axis) curves by epoch
+     * history is { loss, valLoss, mae, valMae }; previous, another run's history, adds its validation loss dashed
+     */
+    lossChartConfig(history, previous = null) {
+        const axis = {
+            ticks: { color: 'white', maxTicksLimit: 6, font: { size: 10 } },
+            grid: { color: 'rgba(255, 255, 255, 0.1)' },
+            border: { color: 'rgba(255, 255, 255, 0.3)' }
+        };
+        const line = (label, data, color, yAxisID, dashed = false) => ({
+            label, data, yAxisID,
+            borderColor: color,
+            borderWidth: dashed ? 1 : 2,
+            borderDash: dashed ? [5, 5] : [],
+            fill: false,
+            tension: 0.1,
+            pointRadius: 0
+        });
+
+        const datasets = [
+            line('Train Loss', history.loss, '#00ff88', 'y'),
+            line('Val Loss', history.valLoss, '#ffaa00', 'y'),
+            line('Train MAE', history.mae, 'rgba(0, 255, 136, 0.5)', 'y1', true),
+            line('Val MAE', history.valMae, 'rgba(255, 170, 0, 0.5)', 'y1', true)
+        ];
+        if (previous && previous.valLoss.length > 0) {
+            datasets.push(line('Previous Val Loss', previous.valLoss, 'rgba(255, 255, 255, 0.5)', 'y', true));
+        }
+        const epochs = Math.max(history.loss.length, previous ? previous.valLoss.length : 0);
+
+        return {
+            type: 'line',
+            data: {
+                labels: Array.from({ length: epochs }, (_, i) => i + 1),
+                datasets: datasets
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: { intersect: false, mode: 'index' },
+                plugins: {
+                    legend: { labels: { color: 'white', boxWidth: 12, font: { size: 10 } } },
+                    tooltip: {
+                        callbacks: {
+                            title: (items) => `Epoch ${items[0].label}`,
+                            label: (context) => `${context.dataset.label}: ${context.parsed.y.toFixed(5)}`
+                        }
+                    }
+                },
+                scales: {
+                    x: { ...axis, title: { display: true, text: 'Epoch', color: 'white' } },
+                    y: { ...axis, title: { display: true, text: 'Loss', color: 'white' } },
+                    y1: {
+                        ...axis,
+                        position: 'right',
+                        grid: { drawOnChartArea: false },
+                        title: { display: true, text: 'MAE', color: 'white' }
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Start an empty live loss chart for the run shown in the training overlay
+     */
+    startLossChart(canvasId) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) {
+            throw new Error(`Canvas element with id '${canvasId}' not found`);
+        }
+        this.clearLossChart();
+
+        this.lossChart = new Chart(canvas.getContext('2d'),
+            this.lossChartConfig({ loss: [], valLoss: [], mae: [], valMae: [] }));
+        return this.lossChart;
+    }
+
+    /**
+     * Append one finished epoch to the live loss chart
+     * Epoch 1 starts the curves over, so folds and trials each show their own fit
+     */
+    addLossEpoch({ epoch, loss, valLoss, mae, valMae }) {
+        if (!this.lossChart) return;
+
+        const { labels, datasets } = this.lossChart.data;
+        if (epoch === 1) {
+            labels.length = 0;
+            datasets.forEach(dataset => { dataset.data.length = 0; });
+        }
+        labels.push(epoch);
+        [loss, valLoss, mae, valMae].forEach((value, i) => datasets[i].data.push(value));
+        this.lossChart.update('none');
+    }
+
+    /**
+     * Draw a trained model's full loss history, with the previous run's validation loss for comparison
+     */
+    createLossHistoryChart(canvasId, history, previous = null) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) {
+            throw new Error(`Canvas element with id '${canvasId}' not found`);
+        }
+        this.clearLossHistoryChart();
+
+        this.historyChart = new Chart(canvas.getContext('2d'), this.lossChartConfig(history, previous));
+        return this.historyChart;
+    }
+
+    /**
+     * Draw the prediction diagnostics from ForecastMetrics.diagnostics: predicted vs actual with the ideal line,
+     * residuals over time, the error histogram and rolling MAE
+     * canvasIds is { scatter, residuals, histogram, rollingMae }; timestamps are the candles each prediction is for
+     */
+    createDiagnosticsCharts(canvasIds, report, timestamps) {
+        const canvases = {};
+        Object.entries(canvasIds).forEach(([key, canvasId]) => {
+            canvases[key] = document.getElementById(canvasId);
+            if (!canvases[key]) {
+                throw new Error(`Canvas element with id '${canvasId}' not found`);
+            }
+        });
+        this.clearDiagnosticsCharts();
+
+        const axis = {
+            ticks: { color: 'white', maxTicksLimit: 6, font: { size: 10 } },
+            grid: { color: 'rgba(255, 255, 255, 0.1)' },
+            border: { color: 'rgba(255, 255, 255, 0.3)' }
+        };
+        const manager = this;
+        const time = {
+            ...axis,
+            ticks: {
+                ...axis.ticks,
+                maxRotation: 0,
+                callback: function(value) { return manager.formatTick(this.getLabelForValue(value), this); }
+            }
+        };
+        const title = (text) => ({ display: true, text, color: 'white' });
+
+        const low = Math.min(...report.actual, ...report.predicted);
+        const high = Math.max(...report.actual, ...report.predicted);
+        // Errors are a fraction of the price, so they get two more decimals than the prices themselves
+        const decimals = this.getDecimalPlaces(high);
+        const price = (value, extra = 0) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(decimals + extra)}`;
+        const error = (value) => price(value, 2);
+        const options = (scales, tooltip) => ({
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            plugins: {
+                legend: { labels: { color: 'white', boxWidth: 12, font: { size: 10 } } },
+                tooltip: { callbacks: tooltip }
+            },
+            scales: scales
+        });
+        const signColor = (value) => this.hexToRgba(value >= 0 ? CHART_CONFIG.upColor : CHART_CONFIG.downColor, 0.7);
+        const timeTitle = (items) => this.formatTime(timestamps[items[0].dataIndex]);
+        this.diagnosticCharts.scatter = new Chart(canvases.scatter.getContext('2d'), {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Predictions',
+                    data: report.actual.map((actual, i) => ({ x: actual, y: report.predicted[i] })),
+                    backgroundColor: 'rgba(255, 215, 0, 0.6)',
+                    pointRadius: 2
+                }, {
+                    label: 'Ideal',
+                    data: [{ x: low, y: low }, { x: high, y: high }],
+                    borderColor: 'rgba(255, 255, 255, 0.6)',
+                    borderWidth: 1,
+                    borderDash: [5, 5],
+                    showLine: true,
+                    pointRadius: 0
+                }]
+            },
+            options: options({
+                x: { ...axis, title: title('Actual'), ticks: { ...axis.ticks, callback: (value) => price(value) } },
+                y: { ...axis, title: title('Predicted'), ticks: { ...axis.ticks, callback: (value) => price(value) } }
+            }, {
+                label: (context) => `Actual ${price(context.parsed.x, 2)}, predicted ${price(context.parsed.y, 2)}`
+            })
+        });
+
+        this.diagnosticCharts.residuals = new Chart(canvases.residuals.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: timestamps,
+                datasets: [{
+                    label: 'Residual (actual - predicted)',
+                    data: report.residuals,
+                    backgroundColor: report.residuals.map(signColor),
+                    barPercentage: 1,
+                    categoryPercentage: 1
+                }]
+            },
+            options: options({
+                x: time,
+                y: { ...axis, ticks: { ...axis.ticks, callback: error } }
+            }, {
+                title: timeTitle,
+                label: (context) => `Residual: ${error(context.parsed.y)}`
+            })
+        });
+
+        const { centers, width, counts } = report.histogram;
+        this.diagnosticCharts.histogram = new Chart(canvases.histogram.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: centers.map(error),
+                datasets: [{
+                    label: 'Residuals per bin',
+                    data: counts,
+                    backgroundColor: centers.map(signColor),
+                    barPercentage: 1,
+                    categoryPercentage: 0.95
+                }]
+            },
+            options: options({
+                x: { ...axis, title: title('Residual'), ticks: { ...axis.ticks, maxRotation: 0 } },
+                y: { ...axis, title: title('Count'), beginAtZero: true, ticks: { ...axis.ticks, precision: 0 } }
+            }, {
+                title: (items) => `${error(centers[items[0].dataIndex] - width / 2)} to ${error(centers[items[0].dataIndex] + width / 2)}`
+            })
+        });
+
+        this.diagnosticCharts.rollingMae = new Chart(canvases.rollingMae.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: timestamps,
+                datasets: [{
+                    label: `Rolling MAE (${CHART_CONFIG.diagnostics.rollingWindow} candles)`,
+                    data: report.rollingMae,
+                    borderColor: '#ffaa00',
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.1,
+                    pointRadius: 0
+                }, {
+                    label: 'Test MAE',
+                    data: report.rollingMae.map(() => report.mae),
+                    borderColor: 'rgba(255, 255, 255, 0.6)',
+                    borderWidth: 1,
+                    borderDash: [5, 5],
+                    fill: false,
+                    pointRadius: 0
+                }]
+            },
+            options: {
+                ...options({
+                    x: time,
+                    y: { ...axis, beginAtZero: true, ticks: { ...axis.ticks, callback: error } }
+                }, {
+                    title: timeTitle,
+                    label: (context) => `${context.dataset.label}: ${error(context.parsed.y)}`
+                }),
+                interaction: { intersect: false, mode: 'index' }
+            }
+        });
+
+        return this.diagnosticCharts;
+    }
+
+    /**
+     * Average spacing of the candles in ms
+     */
+    candleInterval(data) {
+        return data.length > 1 ? (data[data.length - 1].timestamp - data[0].timestamp) / (data.length - 1) : DAY_MS;
+    }
+
+    /**
+     * Abbreviate a traded volume, e.g. 1.2M
+     */
+    formatVolume(value) {
+        return new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+    }
+
     /**
      * Get appropriate decimal places for price display
      */
@@ -285,6 +1106,49 @@ class ChartManager {
             this.chart.destroy();
             this.chart = null;
         }
+        this.market = null;
+        this.clearEquityChart();
+        this.clearLossChart();
+        this.clearLossHistoryChart();
+        this.clearDiagnosticsCharts();
+    }
+
+    /**
+     * Remove the backtest equity chart
+     */
+    clearEquityChart() {
+        if (this.equityChart) {
+            this.equityChart.destroy();
+            this.equityChart = null;
+        }
+    }
+
+    /**
+     * Remove the live loss chart
+     */
+    clearLossChart() {
+        if (this.lossChart) {
+            this.lossChart.destroy();
+            this.lossChart = null;
+        }
+    }
+
+    /**
+     * Remove the trained model's loss history chart
+     */
+    clearLossHistoryChart() {
+        if (this.historyChart) {
+            this.historyChart.destroy();
+            this.historyChart = null;
+        }
+    }
+
+    /**
+     * Remove the prediction diagnostics charts
+     */
+    clearDiagnosticsCharts() {
+        Object.values(this.diagnosticCharts).forEach(chart => chart.destroy());
+        this.diagnosticCharts = {};
     }
 
     /**
@@ -4,6 +4,7 @@
  */
 
 // Cryptocurrency configurations
+// provider selects the market data backend: 'coingecko', 'fixture', or { type: 'file', url: 'data/xrp.csv' }
 const CRYPTO_CONFIG = {
     xrp: { 
         name: 'XRP', 
@@ -11,7 +12,8 @@ const CRYPTO_CONFIG = {
         iso20022: true, 
         color: '#00aae4', 
         basePrice: 0.65,
-        apiId: 'ripple'
+        apiId: 'ripple',
+        provider: 'coingecko'
     },
     xlm: { 
         name: 'Stellar', 
@@ -19,7 +21,8 @@ const CRYPTO_CONFIG = {
         iso20022: true, 
         color: '#7c4dff', 
         basePrice: 0.12,
-        apiId: 'stellar'
+        apiId: 'stellar',
+        provider: 'coingecko'
     },
     ada: { 
         name: 'Cardano', 
@@ -27,7 +30,8 @@ const CRYPTO_CONFIG = {
         iso20022: true, 
         color: '#0033ad', 
         basePrice: 0.45,
-        apiId: 'cardano'
+        apiId: 'cardano',
+        provider: 'coingecko'
     },
     btc: { 
         name: 'Bitcoin', 
@@ -35,7 +39,8 @@ const CRYPTO_CONFIG = {
         iso20022: false, 
         color: '#f7931a', 
         basePrice: 45000,
-        apiId: 'bitcoin'
+        apiId: 'bitcoin',
+        provider: 'coingecko'
     },
     eth: { 
         name: 'Ethereum', 
@@ -43,7 +48,8 @@ const CRYPTO_CONFIG = {
         iso20022: false, 
         color: '#627eea', 
         basePrice: 2500,
-        apiId: 'ethereum'
+        apiId: 'ethereum',
+        provider: 'coingecko'
     },
     sol: { 
         name: 'Solana', 
@@ -51,7 +57,8 @@ const CRYPTO_CONFIG = {
         iso20022: false, 
         color: '#9945ff', 
         basePrice: 95,
-        apiId: 'solana'
+        apiId: 'solana',
+        provider: 'coingecko'
     }
 };
 
@@ -71,13 +78,52 @@ const MODEL_CONFIG = {
     }
 };
 
+// Architecture defaults merged under every MODEL_CONFIG tier or preset
+// layers counts hidden dense layers (stacked LSTM layers for lstm); dropout is the first layer's rate
+const ARCHITECTURE_CONFIG = {
+    neural: { layers: 2, dropout: 0.2 },
+    deep: { layers: 3, dropout: 0.3 },
+    lstm: { layers: 1, dropout: 0.2 }
+};
+
+// Training loop controls applied by ModelBuilder.trainModel
+// Losses are monitored on the validation hold-out (training loss when there is none)
+// schedule: 'constant' | 'plateau' (cut the rate when the loss stalls) | 'cosine' (anneal to minLearningRate over the epochs)
+const TRAINING_CONFIG = {
+    earlyStopping: true,
+    patience: 15,            // Epochs without improvement before training stops
+    minDelta: 0.001,         // Relative loss drop that counts as an improvement
+    restoreBestWeights: true,
+    schedule: 'plateau',
+    plateau: {
+        factor: 0.5,
+        patience: 5
+    },
+    minLearningRate: 0.00001,
+    clipNorm: 1.0            // Global gradient norm cap; 0 disables clipping
+};
+
 // API configuration
 const API_CONFIG = {
     coingecko: {
         baseUrl: 'https://api.coingecko.com/api/v3',
         priceEndpoint: '/simple/price',
         historyEndpoint: '/coins/{id}/market_chart',
-        timeout: 5000
+        apiKey: '',              // Optional demo key; left empty here, set one with localStorage[apiKeyStorageKey]
+        apiKeyStorageKey: 'crypto-ml-coingecko-api-key',
+        timeout: 5000,
+        updateInterval: 300000 // 5 minutes
+    },
+    
+    // Market data backends selectable per asset through CRYPTO_CONFIG[key].provider
+    providers: {
+        defaultProvider: 'coingecko',
+        file: {
+            basePath: 'data'
+        },
+        fixture: {
+            updateInterval: 60000
+        }
     }
 };
 
@@ -85,8 +131,10 @@ const API_CONFIG = {
 const DATA_CONFIG = {
     syntheticDataPoints: 100,
     trainTestSplit: 0.8,
-    validationSplit: 0.2,
+    validationSplit: 0.2,    // Latest share of each training window held out for validation loss
+    embargo: 0,              // Extra candles dropped between training rows and the rows they are validated or tested on
     batchSize: 16,
+    daysPerYear: 365,        // Crypto trades around the clock: volatility and Sharpe annualize over calendar days
     
     // Volatility settings
     volatility: {
@@ -94,12 +142,185 @@ const DATA_CONFIG = {
         iso20022: 0.05  // Reduced volatility for regulatory compliance
     },
     
+    // Historical OHLCV range loaded from the market_chart endpoint
+    history: {
+        days: 30,
+        granularity: 'hourly'
+    },
+    
+    // Validation rules for user-imported CSV/JSON candles
+    import: {
+        minRows: 30,           // Labelled rows needed for a train/test split, on top of feature warm-up and horizon
+        gapTolerance: 1.5,     // Spacing above 1.5x the median interval counts as a gap
+        allowGaps: false,
+        maxReportedIssues: 3
+    },
+    
+    // Candle bucket sizes in milliseconds
+    granularities: {
+        hourly: 3600000,
+        '4h': 14400000,
+        daily: 86400000
+    },
+    
+    // Forecast horizon in candles
+    // strategy 'direct' trains one output per step; 'recursive' trains one step and feeds predictions back in
+    forecast: {
+        horizon: 6,
+        horizons: [1, 6, 12, 24],
+        strategy: 'direct'
+    },
+    
+    // Monte-Carlo dropout prediction intervals
+    // samples: draws per forecast; evaluationSamples: draws per test row (0 disables test-set bands)
+    uncertainty: {
+        samples: 50,
+        evaluationSamples: 20,
+        levels: [0.8, 0.95]
+    },
+    
+    // Time-series cross-validation
+    // 'expanding' trains each fold on all earlier rows; 'sliding' keeps a fixed-length window of minTrainRatio
+    crossValidation: {
+        mode: 'expanding',
+        folds: 5,
+        minTrainRatio: 0.3
+    },
+    
+    // Sliding windows for sequence models: each sample is the last `lookback` feature vectors
+    sequence: {
+        lookback: 24,
+        models: ['lstm']
+    },
+    
+    // Input/target scaling fitted on the training split
+    // features: 'zscore' | 'minmax' | 'none'; target: 'logreturn' | 'zscore' | 'minmax' | 'none'
+    scaling: {
+        features: 'zscore',
+        target: 'logreturn'
+    },
+    
     // Feature engineering parameters
     movingAverages: [5, 10],
     rsiPeriod: 14,
     volumeMultiplier: 1000000
 };
 
+// Feature pipeline: indicators in model input order, editable from the Feature Pipeline panel
+const FEATURE_CONFIG = {
+    pipeline: [
+        { indicator: 'price' },
+        { indicator: 'price_change', params: { period: 1 } },
+        { indicator: 'price_change', params: { period: 5 } },
+        { indicator: 'price_change', params: { period: 10 } },
+        ...DATA_CONFIG.movingAverages.map(period => ({ indicator: 'sma', params: { period } })),
+        { indicator: 'rsi', params: { period: DATA_CONFIG.rsiPeriod } },
+        { indicator: 'macd', params: { fast: 12, slow: 26, signal: 9 } },
+        { indicator: 'bollinger', params: { period: 20, stdDev: 2 } },
+        { indicator: 'volatility', params: { period: 10 } },
+        { indicator: 'volume_ratio' },
+        { indicator: 'volume_ma_ratio', params: { period: 5 } },
+        { indicator: 'trend_strength', params: { fast: DATA_CONFIG.movingAverages[0], slow: DATA_CONFIG.movingAverages[1] } },
+        { indicator: 'time_of_day' },
+        { indicator: 'day_of_week' }
+    ]
+};
+
+// Walk-forward backtest and trading simulation
+const BACKTEST_CONFIG = {
+    initialTrainRatio: 0.5,  // Share of labelled rows in the first training window
+    folds: 4,                // Out-of-sample blocks walked through after it
+    retrain: true,           // Refit before each block (expanding window); false rolls one model forward
+    longThreshold: 0.002,    // Predicted next-candle return needed to go long
+    shortThreshold: 0.002,   // Predicted next-candle drop needed to go short
+    allowShort: true,
+    feeRate: 0.001,          // Charged per unit of position traded
+    slippage: 0.0005
+};
+
+// Baseline forecasters for the leaderboard
+const BASELINE_CONFIG = {
+    models: ['naive', 'drift', 'sma', 'ridge', 'holt'],
+    smaPeriod: 10,
+    ridgeLambda: 1.0,
+    holtGrid: [0.1, 0.2, 0.3, 0.5, 0.7, 0.9]  // Candidate alpha/beta values for Holt smoothing
+};
+
+// Hyperparameter search over validation folds
+// method: 'grid' | 'random' | 'halving' (successive halving over random candidates)
+const TUNING_CONFIG = {
+    method: 'random',
+    trials: 12,              // Candidates drawn for random and successive-halving search
+    folds: 3,                // Expanding-window validation folds scored per candidate
+    maxCandidates: 64,       // Largest grid a search will run
+    halving: {
+        eta: 3,              // Keep the best 1/eta of candidates per rung; epochs grow by eta
+        minEpochs: 10
+    },
+    presetStorageKey: 'crypto-ml-model-presets',
+    space: {
+        hiddenUnits: [16, 32, 64],
+        layers: [1, 2, 3],
+        dropout: [0.1, 0.2, 0.3],
+        learningRate: [0.0005, 0.001, 0.003],
+        batchSize: [16, 32],
+        lookback: [12, 24, 48]   // Only searched for sequence models
+    }
+};
+
+// Training worker: fitting, evaluation and search run off the page's main thread
+// Jobs run on the page instead where workers are unavailable (disabled here, unsupported, or blocked on file:// pages)
+const WORKER_CONFIG = {
+    enabled: true,
+    script: 'js/workers/trainingWorker.js',
+    tfjsUrl: 'https://cdnjs.cloudflare.com/ajax/libs/tensorflow/4.2.0/tf.min.js'  // Same build as index.html
+};
+
+// Saved model registry: weights go to TF.js indexeddb:// storage, metadata to its own IndexedDB store
+const REGISTRY_CONFIG = {
+    database: 'crypto-ml-registry',
+    store: 'models',
+    modelPrefix: 'crypto-ml-model-',
+    
+    // Portable export: TF.js model.json + weights + a manifest tagged with this format and version
+    bundle: {
+        format: 'crypto-ml-model-bundle',
+        version: 1
+    }
+};
+
+// Price chart panels, in toggle order; each can be switched on and off from the chart card
+// Overlay and sub-panel periods follow the feature pipeline, or the indicator's defaults when it is not selected
+const CHART_CONFIG = {
+    panels: {
+        candles: { label: 'Candles', visible: true },
+        volume: { label: 'Volume', visible: true },
+        sma: { label: 'SMA', visible: true },
+        ema: { label: 'EMA', visible: false },
+        bollinger: { label: 'Bollinger', visible: true },
+        rsi: { label: 'RSI', visible: true },
+        macd: { label: 'MACD', visible: true }
+    },
+    upColor: '#00ff88',
+    downColor: '#ff6b6b',
+    rsiBounds: [30, 70],
+    
+    // Range selector buttons (ms of history ending at the latest candle; null shows everything)
+    ranges: {
+        '1D': 24 * 60 * 60 * 1000,
+        '1W': 7 * 24 * 60 * 60 * 1000,
+        '1M': 30 * 24 * 60 * 60 * 1000,
+        'All': null
+    },
+    minVisibleCandles: 10,    // Zooming in stops at this many candles
+    
+    // Prediction diagnostics: trailing window of the rolling MAE and bins of the error histogram
+    diagnostics: {
+        rollingWindow: 20,
+        histogramBins: 21
+    }
+};
+
 // UI messages
 const UI_MESSAGES = {
     loading: 'Loading data...',
@@ -115,5 +336,6 @@ const ERROR_TYPES = {
     API_ERROR: 'api_error',
     MODEL_ERROR: 'model_error',
     DATA_ERROR: 'data_error',
-    VALIDATION_ERROR: 'validation_error'
+    VALIDATION_ERROR: 'validation_error',
+    CANCELLED: 'cancelled'
 };
@@ -0,0 +1,135 @@
+/**
+ * Cross Validator for time-ordered data
+ * Expanding- or sliding-window folds with a purge/embargo gap, so no model is scored on candles its labels overlap
+ */
+
+class CrossValidator {
+    constructor(options = {}) {
+        this.options = { ...DATA_CONFIG.crossValidation, ...options };
+        if (!['expanding', 'sliding'].includes(this.options.mode)) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, `Unknown cross-validation mode: ${this.options.mode}`);
+        }
+    }
+
+    /**
+     * Number of future closes each row is labelled with
+     */
+    static horizonOf(rows) {
+        return rows.length > 0 && Array.isArray(rows[0].target) ? rows[0].target.length : 1;
+    }
+
+    /**
+     * Candles to leave out between a training window and the rows it is evaluated on
+     * A row labelled with h future closes overlaps the next h - 1 rows; DATA_CONFIG.embargo adds a safety margin
+     */
+    static gapFor(rows) {
+        return CrossValidator.horizonOf(rows) - 1 + DATA_CONFIG.embargo;
+    }
+
+    /**
+     * Chronological hold-out: the last `ratio` of rows for validation, with `gap` rows dropped before it
+     */
+    static holdout(rows, ratio, gap = CrossValidator.gapFor(rows)) {
+        const validationStart = rows.length - Math.floor(rows.length * ratio);
+        return {
+            train: rows.slice(0, Math.max(0, validationStart - gap)),
+            validation: ratio > 0 ? rows.slice(validationStart) : []
+        };
+    }
+
+    /**
+     * Fold boundaries over n rows as [start, end) index pairs
+     * The first training window is minTrainRatio of the rows; the rest is cut into equal test blocks.
+     * Expanding folds train on everything before each block; sliding folds keep the first window's length.
+     */
+    split(n, gap = 0) {
+        const { mode, folds, minTrainRatio } = this.options;
+        const windowSize = Math.floor(n * minTrainRatio);
+        const testSize = Math.floor((n - windowSize - gap) / folds);
+        if (windowSize < 1 || testSize < 1) {
+            throw new PlatformError(ERROR_TYPES.DATA_ERROR, `Not enough rows (${n}) for ${folds}-fold cross-validation`);
+        }
+
+        return Array.from({ length: folds }, (_, k) => {
+            const testStart = windowSize + gap + k * testSize;
+            const testEnd = k === folds - 1 ? n : testStart + testSize;
+            const trainEnd = testStart - gap;
+            return {
+                train: [mode === 'sliding' ? trainEnd - windowSize : 0, trainEnd],
+                test: [testStart, testEnd]
+            };
+        });
+    }
+
+    /**
+     * Train and score a fresh model on every fold of labelled, chronological rows
+     * config is a resolved ModelBuilder.getConfig; by default the asset's MODEL_CONFIG tier
+     * control is an optional TrainingControl; cancelling it aborts the run with a CANCELLED error
+     * Returns { folds: [{ fold, train, test, metrics }], summary: { [metric]: { mean, std } } }
+     */
+    async run(rows, { modelType, cryptoKey, featureSchema, config = null, control = null, onFold = null, onProgress = null }) {
+        const gap = CrossValidator.gapFor(rows);
+        const outputSize = CrossValidator.horizonOf(rows);
+        const splits = this.split(rows.length, gap);
+        const results = [];
+
+        for (let k = 0; k < splits.length; k++) {
+            const { train, test } = splits[k];
+            if (control) control.throwIfCancelled();
+            if (onFold) onFold(k + 1, splits.length);
+
+            const trainRows = rows.slice(train[0], train[1]);
+            const testRows = rows.slice(test[0], test[1]);
+            const builder = new ModelBuilder();
+            let tensors = null;
+
+            try {
+                builder.buildModel(modelType, cryptoKey, featureSchema, outputSize,
+                    config || builder.getConfig(modelType, cryptoKey));
+                await builder.fitRows(trainRows, modelType, cryptoKey, onProgress, control);
+                tensors = builder.prepareTensors(testRows);
+                const metrics = await builder.evaluateModel(tensors.x, tensors.y, testRows.map(row => row.reference), 0);
+                results.push({
+                    fold: k + 1,
+                    train: { from: trainRows[0].timestamp, to: trainRows[trainRows.length - 1].timestamp, rows: trainRows.length },
+                    test: { from: testRows[0].timestamp, to: testRows[testRows.length - 1].timestamp, rows: testRows.length },
+                    metrics: metrics
+                });
+            } finally {
+                if (tensors) {
+                    tensors.x.dispose();
+                    tensors.y.dispose();
+                }
+                builder.dispose();
+            }
+        }
+
+        return { folds: results, summary: CrossValidator.summarize(results.map(result => result.metrics)) };
+    }
+
+    /**
+     * Mean and (sample) standard deviation of each scalar metric across folds
+     * Folds whose errors diverged to non-finite values are left out and counted in `excluded`;
+     * scores a fold could not compute (null) are skipped for that metric only
+     */
+    static summarize(foldMetrics, keys = ['mae', 'rmse', 'r2', 'mase', 'directionalAccuracy']) {
+        const valid = foldMetrics.filter(metrics => Number.isFinite(metrics.mae) && Number.isFinite(metrics.rmse));
+        const summary = { excluded: foldMetrics.length - valid.length };
+        keys.forEach(key => {
+            const values = valid.map(metrics => metrics[key]).filter(Number.isFinite);
+            if (values.length === 0) {
+                summary[key] = { mean: NaN, std: NaN };
+                return;
+            }
+            const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+            const variance = values.length > 1
+                ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1)
+                : 0;
+            summary[key] = { mean: mean, std: Math.sqrt(variance) };
+        });
+        return summary;
+    }
+}
+
+// Export for global use
+window.CrossValidator = CrossValidator;
@@ -1,69 +1,120 @@
 class DataProcessor {
     constructor() {
-        this.apiKey = 'CG-7F3NdFPwg9hG1uAqECgLT468';
         this.rawData = [];
         this.processedData = [];
+        this.featureSchema = null;
+        this.featurePipeline = new FeaturePipeline(FEATURE_CONFIG.pipeline);
+        this.indicators = null;
+        this.horizon = 1;
+        this.trainingRange = null;
         this.currentPrice = 0.62;
-        this.updateInterval = null;
-        
-        // ISO20022 enhanced coins
-        this.iso20022Coins = {
-            'xrp': { 
-                id: 'ripple', 
-                enhancement: 1.15,
-                features: ['cross_border', 'liquidity', 'cbdc_ready']
-            },
-            'stellar': { 
-                id: 'stellar', 
-                enhancement: 1.08,
-                features: ['remittance', 'anchored_assets']
-            },
-            'algorand': { 
-                id: 'algorand', 
-                enhancement: 1.12,
-                features: ['cbdc', 'defi_compliance']
-            }
-        };
+        this.priceSubscription = null;
+        this.provider = null;
+        this.providerOverride = null;
+        this.dataSource = null;
     }
 
-    async fetchData(cryptoKey) {
+    /**
+     * Use a specific market data provider instead of the one configured per asset
+     */
+    setProvider(provider) {
+        this.providerOverride = provider;
+    }
+
+    async fetchData(cryptoKey, historyOptions = DATA_CONFIG.history) {
         console.log(`Fetching data for: ${cryptoKey}`);
         
+        this.dataSource = null;
+        
         try {
-            // Get coin config
-            const coinConfig = this.iso20022Coins[cryptoKey] || { id: cryptoKey, enhancement: 1.0 };
+            this.provider = this.providerOverride || MarketDataProvider.create(cryptoKey);
             
-            // Fetch real price
-            const response = await fetch(
-                `https://api.coingecko.com/api/v3/simple/price?ids=${coinConfig.id}&vs_currencies=usd&x_cg_demo_api_key=${this.apiKey}`
-            );
+            // Load real OHLCV history first so a failed spot request does not discard it
+            try {
+                this.rawData = await this.provider.getHistory(cryptoKey, historyOptions);
+                this.currentPrice = this.rawData[this.rawData.length - 1].close;
+                this.dataSource = this.provider.name;
+            } catch (historyError) {
+                // Data that was read but is unusable is reported, not papered over with synthetic candles
+                if (historyError.type === ERROR_TYPES.VALIDATION_ERROR) throw historyError;
+                console.log(`History load failed (${historyError.message}), using synthetic data`);
+            }
             
-            if (response.ok) {
-                const data = await response.json();
-                this.currentPrice = data[coinConfig.id]?.usd || 0.62;
+            // Fetch real price
+            try {
+                this.currentPrice = await this.provider.getSpotPrice(cryptoKey);
                 console.log(`Real ${cryptoKey.toUpperCase()} price: $${this.currentPrice}`);
-            } else {
-                console.log('API failed, using demo price');
-                this.currentPrice = 0.62;
+            } catch (spotError) {
+                if (!this.dataSource) {
+                    console.log('API failed, using demo price');
+                    this.currentPrice = 0.62;
+                }
             }
             
-            // Generate historical data with real current price
-            this.generateHistoricalData();
+            // Generate synthetic history around the current price when no real history is available
+            if (!this.dataSource) {
+                this.generateHistoricalData();
+            }
             
             // Start price updates
-            if (!this.updateInterval) {
-                this.startPriceUpdates(coinConfig.id);
+            if (!this.priceSubscription) {
+                this.startPriceUpdates(cryptoKey);
             }
             
             return this.rawData;
             
         } catch (error) {
+            if (error.type === ERROR_TYPES.VALIDATION_ERROR) throw error;
             console.error('Data fetch failed:', error);
-            this.generateHistoricalData();
+            if (!this.dataSource) {
+                this.generateHistoricalData();
+            }
             return this.rawData;
         }
     }
 
+    /**
+     * What a worker needs to rebuild this processor's rows: { candles, pipeline, trainingRange }
+     */
+    getDataSpec() {
+        return {
+            candles: this.rawData,
+            pipeline: this.featurePipeline.toJSON(),
+            trainingRange: this.trainingRange
+        };
+    }
+
+    /**
+     * A processor over a getDataSpec result whose rows are labelled with `horizon` future closes
+     */
+    static fromSpec({ candles, pipeline, trainingRange }, horizon = 1) {
+        const processor = new DataProcessor();
+        processor.rawData = candles;
+        processor.currentPrice = candles[candles.length - 1].close;
+        processor.setFeaturePipeline(pipeline);
+        processor.setHorizon(horizon);
+        processor.setTrainingRange(trainingRange);
+        return processor;
+    }
+
+    /**
+     * Use externally supplied candles (e.g. an imported file) as the raw history
+     */
+    loadCandles(candles, source = 'file') {
+        if (this.priceSubscription) {
+            this.priceSubscription();
+            this.priceSubscription = null;
+        }
+        
+        this.rawData = candles;
+        this.processedData = [];
+        this.featureSchema = null;
+        this.currentPrice = candles[candles.length - 1].close;
+        this.dataSource = source;
+        console.log(`Loaded ${candles.length} candles from ${source}`);
+        return this.rawData;
+    }
+
     generateHistoricalData() {
         const data = [];
         const basePrice = this.currentPrice;
@@ -88,6 +139,7 @@ class DataProcessor {
             
             data.push({
                 timestamp: timestamp,
+                date: new Date(timestamp),
                 price: price,
                 volume: volume,
                 high: high,
@@ -98,226 +150,335 @@ class DataProcessor {
         }
         
         this.rawData = data;
+        this.dataSource = 'synthetic';
         console.log(`Generated ${data.length} historical data points`);
         return data;
     }
 
+    /**
+     * Replace the indicator set used to build feature vectors
+     */
+    setFeaturePipeline(steps) {
+        this.featurePipeline = new FeaturePipeline(steps);
+        this.processedData = [];
+        this.featureSchema = null;
+        return this.featurePipeline;
+    }
+
+    /**
+     * Fewest candles that leave DATA_CONFIG.import.minRows labelled rows for a `horizon`-step forecast
+     * once the feature pipeline has warmed up
+     */
+    requiredCandles(horizon = this.horizon) {
+        return this.featurePipeline.getWarmUp() + horizon + DATA_CONFIG.import.minRows;
+    }
+
+    /**
+     * Set how many future closes each row is labelled with (1 = next candle only)
+     */
+    setHorizon(horizon) {
+        if (!Number.isInteger(horizon) || horizon < 1) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, `Forecast horizon must be a positive integer, got ${horizon}`);
+        }
+        if (horizon !== this.horizon) {
+            this.horizon = horizon;
+            this.processedData = [];
+        }
+    }
+
     processFeatures() {
         if (this.rawData.length < 10) {
             this.generateHistoricalData();
         }
 
-        const features = [];
+        const { schema, startIndex, vectors } = this.featurePipeline.compute(this.rawData, this.getIndicators());
         
-        for (let i = 10; i < this.rawData.length; i++) {
-            const current = this.rawData[i];
-            const prev = this.rawData[i-1];
-            const prev5 = this.rawData[i-5];
-            const prev10 = this.rawData[i-10];
-            
-            // Technical indicators
-            const sma5 = this.calculateSMA(i, 5);
-            const sma10 = this.calculateSMA(i, 10);
-            const rsi = this.calculateRSI(i, 14);
-            const macd = this.calculateMACD(i);
-            const bollinger = this.calculateBollingerBands(i, 20);
-            const volatility = this.calculateVolatility(i, 10);
-            
-            // Price features
-            const priceChange1h = (current.price - prev.price) / prev.price;
-            const priceChange5h = (current.price - prev5.price) / prev5.price;
-            const priceChange10h = (current.price - prev10.price) / prev10.price;
-            
-            // Volume features
-            const volumeRatio = current.volume / prev.volume;
-            const avgVolume5 = this.calculateAvgVolume(i, 5);
-            const volumeMA = current.volume / avgVolume5;
-            
-            // Advanced features
-            const pricePosition = (current.price - bollinger.lower) / (bollinger.upper - bollinger.lower);
-            const trendStrength = Math.abs(sma5 - sma10) / sma10;
-            
-            // Time-based features
-            const hourOfDay = new Date(current.timestamp).getHours();
-            const dayOfWeek = new Date(current.timestamp).getDay();
-            
-            features.push({
-                features: [
-                    current.price,
-                    priceChange1h,
-                    priceChange5h,
-                    priceChange10h,
-                    sma5,
-                    sma10,
-                    rsi,
-                    macd.macd,
-                    macd.signal,
-                    bollinger.upper,
-                    bollinger.lower,
-                    pricePosition,
-                    volatility,
-                    volumeRatio,
-                    volumeMA,
-                    trendStrength,
-                    Math.sin(hourOfDay * Math.PI / 12), // Time encoding
-                    Math.cos(hourOfDay * Math.PI / 12),
-                    Math.sin(dayOfWeek * Math.PI / 3.5),
-                    Math.cos(dayOfWeek * Math.PI / 3.5)
-                ],
-                target: this.rawData[Math.min(i + 1, this.rawData.length - 1)].price
-            });
-        }
+        const features = vectors.map((vector, k) => ({
+            features: vector,
+            target: this.buildTarget(startIndex + k),
+            reference: this.rawData[startIndex + k].price,
+            timestamp: this.rawData[startIndex + k].timestamp
+        }));
         
         this.processedData = features;
-        console.log(`Processed ${features.length} feature vectors with advanced technical indicators`);
+        this.featureSchema = schema;
+        console.log(`Processed ${features.length} feature vectors with ${schema.size} features from ${this.featurePipeline.steps.length} indicators`);
         return features;
     }
 
+    /**
+     * Closes for the next `horizon` candles after index i: a number for horizon 1, an array otherwise
+     * Rows too close to the end have no complete label and get null; they still feed the latest prediction
+     */
+    buildTarget(i) {
+        if (i + this.horizon >= this.rawData.length) {
+            return null;
+        }
+        const closes = this.rawData.slice(i + 1, i + this.horizon + 1).map(d => d.price);
+        return this.horizon === 1 ? closes[0] : closes;
+    }
+
     // Technical Analysis Functions
+    // Each series is computed once per dataset by the IndicatorEngine; these return the value at one index
+    getIndicators() {
+        if (!this.indicators || this.indicators.data !== this.rawData) {
+            this.indicators = new IndicatorEngine(this.rawData);
+        }
+        return this.indicators;
+    }
+
+    /**
+     * Series for the price chart's overlays and sub-panels, with the parameters the feature pipeline uses
+     * Returns { sma: [{ period, values }], ema: [...], bollinger: { period, stdDev, upper, middle, lower },
+     * rsi: { period, values }, macd: { fast, slow, signal, macd, signalLine, histogram } }
+     */
+    getChartIndicators() {
+        const indicators = this.getIndicators();
+        const paramsOf = (indicator) => {
+            const steps = this.featurePipeline.steps.filter(step => step.indicator === indicator);
+            return steps.length > 0 ? steps.map(step => step.params) : [FEATURE_DEFINITIONS[indicator].params];
+        };
+        const [bollinger] = paramsOf('bollinger');
+        const [rsi] = paramsOf('rsi');
+        const [macd] = paramsOf('macd');
+        const macdSeries = indicators.macd(macd.fast, macd.slow, macd.signal);
+
+        return {
+            sma: paramsOf('sma').map(({ period }) => ({ period, values: indicators.sma(period) })),
+            ema: paramsOf('ema').map(({ period }) => ({ period, values: indicators.ema(period) })),
+            bollinger: { ...bollinger, ...indicators.bollinger(bollinger.period, bollinger.stdDev) },
+            rsi: { period: rsi.period, values: indicators.rsi(rsi.period) },
+            macd: { ...macd, macd: macdSeries.macd, signalLine: macdSeries.signal, histogram: macdSeries.histogram }
+        };
+    }
+
     calculateSMA(index, period) {
-        const start = Math.max(0, index - period + 1);
-        const prices = this.rawData.slice(start, index + 1).map(d => d.price);
-        return prices.reduce((sum, price) => sum + price, 0) / prices.length;
+        return this.getIndicators().sma(period)[index];
     }
 
     calculateRSI(index, period = 14) {
-        if (index < period) return 50;
-        
-        let gains = 0, losses = 0;
-        for (let i = index - period + 1; i <= index; i++) {
-            const change = this.rawData[i].price - this.rawData[i-1].price;
-            if (change > 0) gains += change;
-            else losses += Math.abs(change);
-        }
-        
-        const avgGain = gains / period;
-        const avgLoss = losses / period;
-        const rs = avgGain / (avgLoss || 0.001);
-        return 100 - (100 / (1 + rs));
+        return this.getIndicators().rsi(period)[index];
     }
 
     calculateMACD(index, fast = 12, slow = 26, signal = 9) {
-        const emaFast = this.calculateEMA(index, fast);
-        const emaSlow = this.calculateEMA(index, slow);
-        const macd = emaFast - emaSlow;
-        const signalLine = this.calculateEMA(index, signal, 'macd');
-        
+        const series = this.getIndicators().macd(fast, slow, signal);
         return {
-            macd: macd,
-            signal: signalLine,
-            histogram: macd - signalLine
+            macd: series.macd[index],
+            signal: series.signal[index],
+            histogram: series.histogram[index]
         };
     }
 
-    calculateEMA(index, period, type = 'price') {
-        if (index < period) return this.rawData[index].price;
-        
-        const multiplier = 2 / (period + 1);
-        let ema = this.rawData[index - period].price;
-        
-        for (let i = index - period + 1; i <= index; i++) {
-            const value = type === 'price' ? this.rawData[i].price : this.rawData[i].price; // Simplified
-            ema = (value * multiplier) + (ema * (1 - multiplier));
-        }
-        
-        return ema;
+    calculateEMA(index, period) {
+        return this.getIndicators().ema(period)[index];
     }
 
     calculateBollingerBands(index, period = 20, stdDev = 2) {
-        const sma = this.calculateSMA(index, period);
-        const start = Math.max(0, index - period + 1);
-        const prices = this.rawData.slice(start, index + 1).map(d => d.price);
-        
-        const variance = prices.reduce((sum, price) => sum + Math.pow(price - sma, 2), 0) / prices.length;
-        const standardDeviation = Math.sqrt(variance);
-        
+        const bands = this.getIndicators().bollinger(period, stdDev);
         return {
-            upper: sma + (standardDeviation * stdDev),
-            middle: sma,
-            lower: sma - (standardDeviation * stdDev)
+            upper: bands.upper[index],
+            middle: bands.middle[index],
+            lower: bands.lower[index]
         };
     }
 
     calculateVolatility(index, period = 10) {
-        if (index < period) return 0;
-        
-        const returns = [];
-        for (let i = index - period + 1; i <= index; i++) {
-            const prevPrice = this.rawData[i-1].price;
-            const currentPrice = this.rawData[i].price;
-            returns.push(Math.log(currentPrice / prevPrice));
-        }
-        
-        const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
-        const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / returns.length;
-        return Math.sqrt(variance * 252); // Annualized volatility
+        return this.getIndicators().volatility(period)[index];
     }
 
     calculateAvgVolume(index, period) {
-        const start = Math.max(0, index - period + 1);
-        const volumes = this.rawData.slice(start, index + 1).map(d => d.volume);
-        return volumes.reduce((sum, vol) => sum + vol, 0) / volumes.length;
+        return this.getIndicators().volumeSma(period)[index];
+    }
+
+    /**
+     * Limit the rows handed to training, validation and backtests to candles between from and to (timestamps)
+     * null uses the whole history; predictions always start from the latest candle either way
+     */
+    setTrainingRange(range) {
+        this.trainingRange = range ? { from: range.from, to: range.to } : null;
     }
 
     // Data splitting for ML
-    splitData(trainRatio = 0.8) {
-        if (this.processedData.length === 0) {
-            this.processFeatures();
-        }
+    // Train rows whose labels reach into the test period (plus DATA_CONFIG.embargo candles) are purged
+    splitData(trainRatio = 0.8, lookback = 1) {
+        // The cut is made on the labelled row set so train/test periods match for every lookback
+        const base = this.getRangeRows();
+        const labelled = base.filter(row => row.target !== null).length;
+        const splitIndex = Math.floor(labelled * trainRatio);
+        const rows = this.getRangeRows(lookback);
+        const firstRow = base.length - rows.length;
+        const cut = Math.max(0, splitIndex - firstRow);
+        const gap = this.horizon - 1 + DATA_CONFIG.embargo;
         
-        const splitIndex = Math.floor(this.processedData.length * trainRatio);
         return {
-            train: this.processedData.slice(0, splitIndex),
-            test: this.processedData.slice(splitIndex)
+            train: rows.slice(0, Math.max(0, cut - gap)).filter(row => row.target !== null),
+            test: rows.slice(cut).filter(row => row.target !== null)
         };
     }
 
-    getLatestFeatures() {
+    /**
+     * MASE and skill scale for a split: the naive error over its whole training period
+     * Networks and baselines are both scored with this one value so their rows on the leaderboard compare
+     */
+    getNaiveScale(trainRatio = DATA_CONFIG.trainTestSplit) {
+        return ForecastMetrics.naiveScale(this.splitData(trainRatio).train);
+    }
+
+    /**
+     * Every row with a complete label, in time order, as windows when lookback > 1
+     */
+    getLabelledRows(lookback = 1) {
+        return this.getRangeRows(lookback).filter(row => row.target !== null);
+    }
+
+    /**
+     * Processed rows (windows when lookback > 1) inside the training range
+     * Windows near the range start still draw their earlier feature vectors from before it
+     */
+    getRangeRows(lookback = 1) {
+        if (this.processedData.length === 0) {
+            this.processFeatures();
+        }
+        const rows = lookback > 1 ? this.buildSequences(lookback) : this.processedData;
+        if (!this.trainingRange) return rows;
+
+        const { from, to } = this.trainingRange;
+        return rows.filter(row => row.timestamp >= from && row.timestamp <= to);
+    }
+
+    /**
+     * Sliding windows of the last `lookback` feature vectors, shape [lookback, numFeatures]
+     * Each window ends at a processed row and carries that row's target; rows without a full window are dropped
+     */
+    buildSequences(lookback) {
+        const sequences = [];
+        for (let i = lookback - 1; i < this.processedData.length; i++) {
+            sequences.push({
+                ...this.processedData[i],
+                sequence: this.processedData.slice(i - lookback + 1, i + 1).map(row => row.features)
+            });
+        }
+        return sequences;
+    }
+
+    /**
+     * Latest model input: a flat feature vector, or the latest window when lookback > 1
+     */
+    getLatestFeatures(lookback = 1) {
+        return this.getLatestRow(lookback)?.[lookback > 1 ? 'sequence' : 'features'] || null;
+    }
+
+    /**
+     * Latest processed row: { features, reference } where reference is the close the features were built at
+     * With lookback > 1 the row also carries the latest window as `sequence`
+     */
+    getLatestRow(lookback = 1) {
         if (this.processedData.length === 0) {
             this.processFeatures();
         }
-        return this.processedData[this.processedData.length - 1]?.features || null;
+        return this.latestRowOf(this.processedData, lookback);
+    }
+
+    /**
+     * Last row of a row list, with its trailing window attached when lookback > 1
+     */
+    latestRowOf(rows, lookback) {
+        if (rows.length === 0 || rows.length < lookback) {
+            return null;
+        }
+        
+        const last = rows.length - 1;
+        return lookback > 1
+            ? { ...rows[last], sequence: rows.slice(last - lookback + 1).map(r => r.features) }
+            : rows[last];
+    }
+
+    /**
+     * Start a recursive forecast path from the latest candle
+     * Returns an IndicatorEngine fork that extendProjection grows by one predicted candle at a time,
+     * so each step costs one indicator update rather than a pass over the whole history
+     */
+    startProjection() {
+        return this.getIndicators().fork();
+    }
+
+    /**
+     * Append a predicted close to a projection as a candle opening at the previous close
+     */
+    extendProjection(projection, price) {
+        const previous = projection.data[projection.data.length - 1];
+        const timestamp = previous.timestamp + this.getCandleInterval();
+        projection.extend({
+            timestamp: timestamp,
+            date: new Date(timestamp),
+            price: price,
+            volume: previous.volume,
+            high: Math.max(previous.close, price),
+            low: Math.min(previous.close, price),
+            open: previous.close,
+            close: price
+        });
+    }
+
+    /**
+     * Latest row of a projection, shaped like getLatestRow(lookback); null until enough candles are warmed up
+     */
+    getProjectedRow(projection, lookback = 1) {
+        const vectors = this.featurePipeline.computeLatest(projection.data, projection, lookback);
+        if (vectors.length < lookback) return null;
+
+        const last = projection.data[projection.data.length - 1];
+        const row = { features: vectors[vectors.length - 1], reference: last.price, timestamp: last.timestamp };
+        return lookback > 1 ? { ...row, sequence: vectors } : row;
+    }
+
+    /**
+     * Spacing between the last two candles, used to place forecast points
+     */
+    getCandleInterval() {
+        const n = this.rawData.length;
+        return n > 1 ? this.rawData[n - 1].timestamp - this.rawData[n - 2].timestamp : DATA_CONFIG.granularities.hourly;
+    }
+
+    getFeatureSchema() {
+        if (!this.featureSchema) {
+            this.processFeatures();
+        }
+        return this.featureSchema;
     }
 
     getCurrentPrice() {
         return this.currentPrice;
     }
 
-    startPriceUpdates(coinId) {
-        this.updateInterval = setInterval(async () => {
-            try {
-                const response = await fetch(
-                    `https://api.coingecko.com/api/v3/simple/price?ids=${coinId}&vs_currencies=usd&x_cg_demo_api_key=${this.apiKey}`
-                );
-                
-                if (response.ok) {
-                    const data = await response.json();
-                    const newPrice = data[coinId]?.usd;
-                    if (newPrice) {
-                        this.currentPrice = newPrice;
-                        console.log(`Price updated: $${newPrice}`);
-                        
-                        // Update UI if elements exist
-                        const priceElement = document.querySelector('[data-price]');
-                        if (priceElement) {
-                            priceElement.textContent = `$${newPrice.toFixed(6)}`;
-                        }
-                    }
-                }
-            } catch (error) {
-                console.log('Price update failed:', error.message);
+    getDataSource() {
+        return this.dataSource;
+    }
+
+    startPriceUpdates(cryptoKey) {
+        this.priceSubscription = this.provider.subscribe(cryptoKey, (newPrice) => {
+            this.currentPrice = newPrice;
+            console.log(`Price updated: $${newPrice}`);
+            
+            // Update UI if elements exist
+            const priceElement = document.querySelector('[data-price]');
+            if (priceElement) {
+                priceElement.textContent = `$${newPrice.toFixed(6)}`;
             }
-        }, 300000); // 5 minutes
+        });
     }
 
     reset() {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
+        if (this.priceSubscription) {
+            this.priceSubscription();
+            this.priceSubscription = null;
         }
         this.rawData = [];
         this.processedData = [];
+        this.featureSchema = null;
+        this.trainingRange = null;
         this.currentPrice = 0.62;
+        this.dataSource = null;
     }
 }
 
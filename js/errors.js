@@ -0,0 +1,16 @@
+/**
+ * Typed errors for the Crypto ML Platform
+ * Carries one of the ERROR_TYPES codes so the UI can report where a failure came from
+ */
+
+class PlatformError extends Error {
+    constructor(type, message, details = null) {
+        super(message);
+        this.name = 'PlatformError';
+        this.type = type;
+        this.details = details;
+    }
+}
+
+// Export for global use
+window.PlatformError = PlatformError;
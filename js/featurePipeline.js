@@ -0,0 +1,270 @@
+/**
+ * Feature Pipeline for model inputs
+ * Turns a declarative list of indicators into feature vectors and the matching FeatureSchema
+ */
+
+// Indicator registry: each entry declares its parameters, outputs, warm-up and a series computation
+const FEATURE_DEFINITIONS = {
+    price: {
+        label: 'Close Price',
+        params: {},
+        outputs: () => [{ name: 'price', unit: 'usd' }],
+        warmUp: () => 0,
+        compute: (data) => [data.map(d => d.price)]
+    },
+    price_change: {
+        label: 'Price Change',
+        params: { period: 1 },
+        outputs: ({ period }) => [{ name: `price_change_${period}`, unit: 'ratio' }],
+        warmUp: ({ period }) => period,
+        compute: (data, { period }) => [data.map((d, i) =>
+            i < period ? 0 : (d.price - data[i - period].price) / data[i - period].price)]
+    },
+    lagged_return: {
+        label: 'Lagged Return',
+        params: { lag: 1 },
+        outputs: ({ lag }) => [{ name: `return_lag_${lag}`, unit: 'ratio' }],
+        warmUp: ({ lag }) => lag + 1,
+        compute: (data, { lag }) => [data.map((d, i) => {
+            const j = i - lag;
+            return j < 1 ? 0 : (data[j].price - data[j - 1].price) / data[j - 1].price;
+        })]
+    },
+    sma: {
+        label: 'SMA',
+        params: { period: 10 },
+        outputs: ({ period }) => [{ name: `sma_${period}`, unit: 'usd' }],
+        warmUp: ({ period }) => period - 1,
+        compute: (data, { period }, indicators) => [indicators.sma(period)]
+    },
+    ema: {
+        label: 'EMA',
+        params: { period: 50 },
+        outputs: ({ period }) => [{ name: `ema_${period}`, unit: 'usd' }],
+        warmUp: ({ period }) => period - 1,
+        compute: (data, { period }, indicators) => [indicators.ema(period)]
+    },
+    rsi: {
+        label: 'RSI',
+        params: { period: 14 },
+        outputs: ({ period }) => [{ name: `rsi_${period}`, unit: 'index_0_100' }],
+        warmUp: ({ period }) => period,
+        compute: (data, { period }, indicators) => [indicators.rsi(period)]
+    },
+    macd: {
+        label: 'MACD',
+        params: { fast: 12, slow: 26, signal: 9 },
+        outputs: () => [
+            { name: 'macd', unit: 'usd' },
+            { name: 'macd_signal', unit: 'usd' },
+            { name: 'macd_histogram', unit: 'usd' }
+        ],
+        // Either EMA may be the longer one when the periods are edited, so warm up on whichever is
+        warmUp: ({ fast, slow, signal }) => Math.max(fast, slow) + signal - 2,
+        compute: (data, { fast, slow, signal }, indicators) => {
+            const series = indicators.macd(fast, slow, signal);
+            return [series.macd, series.signal, series.histogram];
+        }
+    },
+    bollinger: {
+        label: 'Bollinger Bands',
+        params: { period: 20, stdDev: 2 },
+        outputs: () => [
+            { name: 'bollinger_upper', unit: 'usd' },
+            { name: 'bollinger_lower', unit: 'usd' },
+            { name: 'bollinger_position', unit: 'ratio' }
+        ],
+        warmUp: ({ period }) => period - 1,
+        compute: (data, { period, stdDev }, indicators) => {
+            const bands = indicators.bollinger(period, stdDev);
+            return [
+                bands.upper,
+                bands.lower,
+                bands.upper.map((upper, i) => {
+                    const lower = bands.lower[i];
+                    if (upper === null) return null;
+                    return upper === lower ? 0.5 : (data[i].price - lower) / (upper - lower);
+                })
+            ];
+        }
+    },
+    volatility: {
+        label: 'Volatility',
+        params: { period: 10 },
+        outputs: ({ period }) => [{ name: `volatility_${period}`, unit: 'annualized' }],
+        warmUp: ({ period }) => period,
+        compute: (data, { period }, indicators) => [indicators.volatility(period)]
+    },
+    volume_ratio: {
+        label: 'Volume Ratio',
+        params: {},
+        outputs: () => [{ name: 'volume_ratio', unit: 'ratio' }],
+        warmUp: () => 1,
+        compute: (data) => [data.map((d, i) => i === 0 || !data[i - 1].volume ? 1 : d.volume / data[i - 1].volume)]
+    },
+    volume_ma_ratio: {
+        label: 'Volume vs Average',
+        params: { period: 5 },
+        outputs: ({ period }) => [{ name: `volume_ma_ratio_${period}`, unit: 'ratio' }],
+        warmUp: ({ period }) => period - 1,
+        compute: (data, { period }, indicators) => [indicators.volumeSma(period).map((average, i) =>
+            average === null ? null : (average ? data[i].volume / average : 1))]
+    },
+    trend_strength: {
+        label: 'Trend Strength',
+        params: { fast: 5, slow: 10 },
+        outputs: () => [{ name: 'trend_strength', unit: 'ratio' }],
+        warmUp: ({ fast, slow }) => Math.max(fast, slow) - 1,
+        compute: (data, { fast, slow }, indicators) => {
+            const fastSma = indicators.sma(fast);
+            return [indicators.sma(slow).map((slowSma, i) =>
+                slowSma === null || fastSma[i] === null ? null : Math.abs(fastSma[i] - slowSma) / slowSma)];
+        }
+    },
+    atr: {
+        label: 'ATR',
+        params: { period: 14 },
+        outputs: ({ period }) => [{ name: `atr_${period}`, unit: 'usd' }],
+        warmUp: ({ period }) => period - 1,
+        compute: (data, { period }, indicators) => [indicators.atr(period)]
+    },
+    obv: {
+        label: 'On-Balance Volume',
+        params: {},
+        outputs: () => [{ name: 'obv', unit: 'volume' }],
+        warmUp: () => 1,
+        compute: (data, params, indicators) => [indicators.obv()]
+    },
+    stochastic: {
+        label: 'Stochastic',
+        params: { period: 14, smooth: 3 },
+        outputs: ({ period }) => [
+            { name: `stoch_k_${period}`, unit: 'index_0_100' },
+            { name: `stoch_d_${period}`, unit: 'index_0_100' }
+        ],
+        warmUp: ({ period, smooth }) => period + smooth - 2,
+        compute: (data, { period, smooth }, indicators) => {
+            const series = indicators.stochastic(period, smooth);
+            return [series.k, series.d];
+        }
+    },
+    vwap: {
+        label: 'Rolling VWAP',
+        params: { period: 24 },
+        outputs: ({ period }) => [{ name: `vwap_${period}`, unit: 'usd' }],
+        warmUp: ({ period }) => period - 1,
+        compute: (data, { period }, indicators) => [indicators.vwap(period)]
+    },
+    time_of_day: {
+        label: 'Hour of Day',
+        params: {},
+        outputs: () => [{ name: 'hour_sin', unit: 'cyclic' }, { name: 'hour_cos', unit: 'cyclic' }],
+        warmUp: () => 0,
+        compute: (data) => {
+            const hours = data.map(d => new Date(d.timestamp).getHours());
+            return [hours.map(h => Math.sin(h * Math.PI / 12)), hours.map(h => Math.cos(h * Math.PI / 12))];
+        }
+    },
+    day_of_week: {
+        label: 'Day of Week',
+        params: {},
+        outputs: () => [{ name: 'weekday_sin', unit: 'cyclic' }, { name: 'weekday_cos', unit: 'cyclic' }],
+        warmUp: () => 0,
+        compute: (data) => {
+            const days = data.map(d => new Date(d.timestamp).getDay());
+            return [days.map(d => Math.sin(d * Math.PI / 3.5)), days.map(d => Math.cos(d * Math.PI / 3.5))];
+        }
+    }
+};
+
+class FeaturePipeline {
+    /**
+     * @param {Array<{indicator: string, params?: Object}>} steps - Indicators in feature vector order
+     */
+    constructor(steps = FEATURE_CONFIG.pipeline) {
+        this.steps = steps.map(step => this.normalizeStep(step));
+        if (this.steps.length === 0) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, 'Feature pipeline needs at least one indicator');
+        }
+    }
+
+    /**
+     * Fill in default parameters and reject unknown indicators or bad values
+     */
+    normalizeStep(step) {
+        const definition = FEATURE_DEFINITIONS[step.indicator];
+        if (!definition) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, `Unknown indicator: ${step.indicator}`);
+        }
+
+        const params = { ...definition.params, ...step.params };
+        Object.entries(params).forEach(([key, value]) => {
+            if (!Number.isFinite(value) || value <= 0) {
+                throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, `${definition.label}: ${key} must be a positive number`);
+            }
+        });
+        return { indicator: step.indicator, params: params };
+    }
+
+    /**
+     * Schema of the vectors this pipeline produces
+     */
+    getSchema() {
+        const features = this.steps.flatMap(step => FEATURE_DEFINITIONS[step.indicator].outputs(step.params));
+        const names = features.map(feature => feature.name);
+        const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+        if (duplicate) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, `Feature ${duplicate} is selected more than once`);
+        }
+        return new FeatureSchema(features);
+    }
+
+    /**
+     * First raw-data index at which every selected indicator is fully warmed up
+     */
+    getWarmUp() {
+        return Math.max(1, ...this.steps.map(step => FEATURE_DEFINITIONS[step.indicator].warmUp(step.params)));
+    }
+
+    /**
+     * Compute one feature vector per raw-data index from getWarmUp() onwards
+     * Returns { schema, startIndex, vectors }
+     */
+    compute(rawData, indicators = new IndicatorEngine(rawData)) {
+        const schema = this.getSchema();
+        const startIndex = this.getWarmUp();
+        const columns = this.steps.flatMap(step =>
+            FEATURE_DEFINITIONS[step.indicator].compute(rawData, step.params, indicators));
+
+        const vectors = [];
+        for (let i = startIndex; i < rawData.length; i++) {
+            vectors.push(columns.map(column => column[i]));
+        }
+
+        return { schema, startIndex, vectors };
+    }
+
+    /**
+     * Feature vectors of the last `count` candles only, computed over the warm-up tail they depend on
+     * indicators must cover all of data, e.g. an IndicatorEngine fork extended with projected candles;
+     * returns fewer vectors when data is too short to warm up
+     */
+    computeLatest(data, indicators, count = 1) {
+        const length = Math.min(data.length, this.getWarmUp() + count);
+        const available = length - this.getWarmUp();
+        if (available <= 0) return [];
+
+        const tail = data.slice(-length);
+        const view = indicators.tail(length);
+        const columns = this.steps.flatMap(step => FEATURE_DEFINITIONS[step.indicator].compute(tail, step.params, view));
+        return Array.from({ length: available }, (_, k) => columns.map(column => column[length - available + k]));
+    }
+
+    toJSON() {
+        return this.steps;
+    }
+}
+
+// Export for global use
+window.FeaturePipeline = FeaturePipeline;
+window.FEATURE_DEFINITIONS = FEATURE_DEFINITIONS;
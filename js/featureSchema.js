@@ -0,0 +1,75 @@
+/**
+ * Feature Schema describing the model input vector
+ * Shared by DataProcessor (which emits it) and ModelBuilder (which sizes and validates inputs from it)
+ */
+
+class FeatureSchema {
+    /**
+     * @param {Array<{name: string, unit: string}>} features - Features in vector order
+     */
+    constructor(features) {
+        this.features = features.map(({ name, unit }) => ({ name, unit }));
+    }
+
+    /**
+     * Number of values in each feature vector
+     */
+    get size() {
+        return this.features.length;
+    }
+
+    /**
+     * Feature names in vector order
+     */
+    names() {
+        return this.features.map(feature => feature.name);
+    }
+
+    /**
+     * Check that two schemas describe the same features in the same order
+     */
+    equals(other) {
+        return !!other &&
+            other.size === this.size &&
+            this.features.every((feature, i) =>
+                feature.name === other.features[i].name && feature.unit === other.features[i].unit);
+    }
+
+    /**
+     * Throw a VALIDATION_ERROR unless a tensor shape ends in this schema's feature count
+     */
+    validateShape(shape, context) {
+        const width = shape[shape.length - 1];
+        if (shape.length < 2 || width !== this.size) {
+            throw new PlatformError(
+                ERROR_TYPES.VALIDATION_ERROR,
+                `${context}: expected ${this.size} features per row (${this.names().join(', ')}), got shape [${shape.join(', ')}]`,
+                { expected: this.size, shape: shape }
+            );
+        }
+    }
+
+    /**
+     * Throw a VALIDATION_ERROR unless another schema matches this one
+     */
+    validateSchema(other, context) {
+        if (!this.equals(other)) {
+            const otherNames = other ? other.names().join(', ') : 'none';
+            throw new PlatformError(
+                ERROR_TYPES.VALIDATION_ERROR,
+                `${context}: feature schema mismatch - model expects [${this.names().join(', ')}], data has [${otherNames}]`
+            );
+        }
+    }
+
+    toJSON() {
+        return { features: this.features };
+    }
+
+    static fromJSON(json) {
+        return new FeatureSchema(json.features);
+    }
+}
+
+// Export for global use
+window.FeatureSchema = FeatureSchema;
@@ -0,0 +1,350 @@
+/**
+ * Fixture in the CoinGecko /coins/{id}/market_chart response format
+ * 7 days of hourly XRP points used as an offline stand-in for the API
+ */
+
+const MARKET_CHART_FIXTURE = {
+    prices: [
+        [1704067237216, 0.61337],
+        [1704070805274, 0.61072],
+        [1704074403372, 0.60956],
+        [1704078037838, 0.61328],
+        [1704081629779, 0.61608],
+        [1704085231057, 0.61857],
+        [1704088836700, 0.61917],
+        [1704092419258, 0.62219],
+        [1704096017905, 0.62024],
+        [1704099614387, 0.61965],
+        [1704103217672, 0.6172],
+        [1704106817133, 0.61362],
+        [1704110411434, 0.61278],
+        [1704114002500, 0.60947],
+        [1704117623463, 0.60873],
+        [1704121216721, 0.60901],
+        [1704124807750, 0.61125],
+        [1704128407312, 0.60798],
+        [1704132029062, 0.60674],
+        [1704135613626, 0.61039],
+        [1704139205187, 0.61332],
+        [1704142826423, 0.61589],
+        [1704146403442, 0.61454],
+        [1704150016795, 0.61536],
+        [1704153639787, 0.61239],
+        [1704157212165, 0.61074],
+        [1704160802227, 0.61402],
+        [1704164415182, 0.61471],
+        [1704168006678, 0.61132],
+        [1704171614945, 0.61428],
+        [1704175208086, 0.61467],
+        [1704178804336, 0.61715],
+        [1704182407301, 0.61877],
+        [1704186027138, 0.6175],
+        [1704189610110, 0.6209],
+        [1704193229158, 0.62157],
+        [1704196823752, 0.62524],
+        [1704200433773, 0.62882],
+        [1704204033430, 0.62976],
+        [1704207619080, 0.62996],
+        [1704211221483, 0.62907],
+        [1704214836274, 0.62891],
+        [1704218410315, 0.63133],
+        [1704222011924, 0.63454],
+        [1704225601610, 0.63494],
+        [1704229235485, 0.63199],
+        [1704232804002, 0.62827],
+        [1704236422670, 0.62648],
+        [1704240024084, 0.62564],
+        [1704243620255, 0.62474],
+        [1704247236517, 0.62168],
+        [1704250833405, 0.61806],
+        [1704254402967, 0.61479],
+        [1704258027810, 0.61264],
+        [1704261631725, 0.61375],
+        [1704265200691, 0.61685],
+        [1704268815073, 0.62052],
+        [1704272402178, 0.62309],
+        [1704276004866, 0.62597],
+        [1704279636604, 0.62593],
+        [1704283203212, 0.62357],
+        [1704286836909, 0.62695],
+        [1704290409826, 0.62587],
+        [1704294019697, 0.62281],
+        [1704297615296, 0.62402],
+        [1704301208340, 0.6274],
+        [1704304815394, 0.62523],
+        [1704308432136, 0.62369],
+        [1704312020558, 0.62468],
+        [1704315625659, 0.62194],
+        [1704319221745, 0.61873],
+        [1704322839249, 0.62144],
+        [1704326404124, 0.61877],
+        [1704330024016, 0.61929],
+        [1704333628420, 0.61687],
+        [1704337207761, 0.61411],
+        [1704340821202, 0.61527],
+        [1704344406929, 0.61418],
+        [1704348005033, 0.61062],
+        [1704351638939, 0.6141],
+        [1704355232120, 0.61408],
+        [1704358824241, 0.61203],
+        [1704362435960, 0.60878],
+        [1704366032915, 0.60757],
+        [1704369639483, 0.60769],
+        [1704373231867, 0.60452],
+        [1704376830269, 0.60609],
+        [1704380420426, 0.60504],
+        [1704384028686, 0.60824],
+        [1704387639594, 0.60717],
+        [1704391208128, 0.60556],
+        [1704394838236, 0.60268],
+        [1704398433033, 0.60455],
+        [1704402013177, 0.60121],
+        [1704405634956, 0.60397],
+        [1704409204465, 0.60064],
+        [1704412824724, 0.60126],
+        [1704416416977, 0.60447],
+        [1704420014546, 0.60252],
+        [1704423630103, 0.59941],
+        [1704427232938, 0.59869],
+        [1704430823403, 0.59628],
+        [1704434412435, 0.59412],
+        [1704438022939, 0.59373],
+        [1704441630292, 0.59056],
+        [1704445235395, 0.59077],
+        [1704448800749, 0.59415],
+        [1704452420162, 0.59265],
+        [1704456028892, 0.59607],
+        [1704459628209, 0.59711],
+        [1704463215787, 0.60028],
+        [1704466825890, 0.59695],
+        [1704470407259, 0.60034],
+        [1704474036741, 0.60079],
+        [1704477619590, 0.60325],
+        [1704481229859, 0.60383],
+        [1704484829353, 0.60373],
+        [1704488414658, 0.60422],
+        [1704492016740, 0.60444],
+        [1704495623551, 0.60344],
+        [1704499216962, 0.60216],
+        [1704502831571, 0.59987],
+        [1704506437650, 0.60245],
+        [1704510009972, 0.60068],
+        [1704513616700, 0.59814],
+        [1704517234500, 0.60059],
+        [1704520819578, 0.60342],
+        [1704524423376, 0.60311],
+        [1704528022861, 0.6045],
+        [1704531619895, 0.60332],
+        [1704535236640, 0.60052],
+        [1704538835139, 0.59845],
+        [1704542437389, 0.59571],
+        [1704546002445, 0.59581],
+        [1704549630042, 0.59763],
+        [1704553202072, 0.59862],
+        [1704556828199, 0.59773],
+        [1704560426947, 0.59618],
+        [1704564009809, 0.59936],
+        [1704567613394, 0.59872],
+        [1704571227112, 0.59532],
+        [1704574809451, 0.59505],
+        [1704578439241, 0.59704],
+        [1704582032632, 0.59813],
+        [1704585628651, 0.59726],
+        [1704589213975, 0.59708],
+        [1704592813353, 0.59367],
+        [1704596430695, 0.59522],
+        [1704600010946, 0.5945],
+        [1704603630999, 0.59423],
+        [1704607222556, 0.59476],
+        [1704610806362, 0.59282],
+        [1704614419990, 0.59114],
+        [1704618024018, 0.59332],
+        [1704621632815, 0.59204],
+        [1704625210454, 0.58937],
+        [1704628838518, 0.59266],
+        [1704632430381, 0.59357],
+        [1704636033546, 0.59434],
+        [1704639629916, 0.59769],
+        [1704643220734, 0.60057],
+        [1704646802688, 0.59878],
+        [1704650424496, 0.60182],
+        [1704654008075, 0.60079],
+        [1704657614154, 0.60314],
+        [1704661216975, 0.60115],
+        [1704664832857, 0.60449],
+        [1704668417324, 0.60557]
+    ],
+    total_volumes: [
+        [1704067237216, 1247660109.77],
+        [1704070805274, 1259624835.8],
+        [1704074403372, 1233063875.05],
+        [1704078037838, 1236687921.65],
+        [1704081629779, 1203042046.5],
+        [1704085231057, 1198121902.13],
+        [1704088836700, 1196979766.36],
+        [1704092419258, 1161679767.71],
+        [1704096017905, 1136060686.71],
+        [1704099614387, 1111464141.02],
+        [1704103217672, 1134812344.92],
+        [1704106817133, 1178565364.81],
+        [1704110411434, 1194637165.5],
+        [1704114002500, 1211739276.26],
+        [1704117623463, 1255276388.67],
+        [1704121216721, 1285261016.73],
+        [1704124807750, 1235807136.5],
+        [1704128407312, 1254889999.24],
+        [1704132029062, 1223446077.11],
+        [1704135613626, 1198979569.73],
+        [1704139205187, 1228434648.7],
+        [1704142826423, 1182720887.11],
+        [1704146403442, 1148760503.5],
+        [1704150016795, 1183972312.73],
+        [1704153639787, 1174743673.29],
+        [1704157212165, 1188709987.85],
+        [1704160802227, 1146092026.79],
+        [1704164415182, 1162710212.16],
+        [1704168006678, 1155128753.25],
+        [1704171614945, 1155306219.0],
+        [1704175208086, 1163071482.45],
+        [1704178804336, 1201885434.0],
+        [1704182407301, 1202655260.11],
+        [1704186027138, 1189538813.83],
+        [1704189610110, 1143125819.84],
+        [1704193229158, 1139243455.3],
+        [1704196823752, 1168546901.45],
+        [1704200433773, 1161427472.72],
+        [1704204033430, 1186608433.92],
+        [1704207619080, 1155732129.12],
+        [1704211221483, 1193385921.34],
+        [1704214836274, 1161048381.06],
+        [1704218410315, 1198266947.98],
+        [1704222011924, 1209967766.63],
+        [1704225601610, 1194122641.29],
+        [1704229235485, 1181303503.82],
+        [1704232804002, 1173938774.98],
+        [1704236422670, 1186071068.77],
+        [1704240024084, 1217734534.9],
+        [1704243620255, 1239249150.9],
+        [1704247236517, 1206456601.6],
+        [1704250833405, 1252173166.49],
+        [1704254402967, 1221763264.03],
+        [1704258027810, 1256252635.96],
+        [1704261631725, 1217361854.14],
+        [1704265200691, 1245103781.04],
+        [1704268815073, 1272985764.2],
+        [1704272402178, 1247919858.27],
+        [1704276004866, 1268475926.23],
+        [1704279636604, 1302624357.87],
+        [1704283203212, 1337439244.29],
+        [1704286836909, 1389136155.66],
+        [1704290409826, 1364628256.62],
+        [1704294019697, 1351997753.18],
+        [1704297615296, 1348781585.99],
+        [1704301208340, 1354687747.44],
+        [1704304815394, 1303326133.84],
+        [1704308432136, 1324652744.49],
+        [1704312020558, 1328916090.22],
+        [1704315625659, 1373173552.48],
+        [1704319221745, 1383677725.42],
+        [1704322839249, 1437946545.32],
+        [1704326404124, 1404423211.25],
+        [1704330024016, 1452343552.57],
+        [1704333628420, 1491710766.46],
+        [1704337207761, 1522861525.68],
+        [1704340821202, 1522830839.42],
+        [1704344406929, 1490726997.98],
+        [1704348005033, 1517949367.82],
+        [1704351638939, 1510987971.1],
+        [1704355232120, 1523176553.9],
+        [1704358824241, 1581874119.42],
+        [1704362435960, 1643676567.71],
+        [1704366032915, 1613843925.79],
+        [1704369639483, 1575317281.46],
+        [1704373231867, 1536367915.9],
+        [1704376830269, 1532145320.58],
+        [1704380420426, 1494241062.86],
+        [1704384028686, 1512501244.45],
+        [1704387639594, 1490484691.74],
+        [1704391208128, 1522731928.44],
+        [1704394838236, 1566751517.79],
+        [1704398433033, 1532151868.54],
+        [1704402013177, 1569307603.75],
+        [1704405634956, 1534327033.23],
+        [1704409204465, 1534327307.88],
+        [1704412824724, 1502723380.33],
+        [1704416416977, 1450943689.35],
+        [1704420014546, 1465308505.19],
+        [1704423630103, 1482209274.47],
+        [1704427232938, 1469688961.82],
+        [1704430823403, 1512138481.05],
+        [1704434412435, 1562138176.94],
+        [1704438022939, 1566413818.77],
+        [1704441630292, 1625112724.89],
+        [1704445235395, 1603136114.47],
+        [1704448800749, 1564191880.33],
+        [1704452420162, 1533846655.85],
+        [1704456028892, 1512384016.46],
+        [1704459628209, 1546316492.0],
+        [1704463215787, 1511376476.76],
+        [1704466825890, 1488711192.66],
+        [1704470407259, 1473401205.5],
+        [1704474036741, 1468826165.67],
+        [1704477619590, 1502551801.37],
+        [1704481229859, 1532510853.58],
+        [1704484829353, 1510788483.61],
+        [1704488414658, 1491843618.86],
+        [1704492016740, 1455707491.78],
+        [1704495623551, 1460543661.53],
+        [1704499216962, 1464404761.0],
+        [1704502831571, 1435869719.88],
+        [1704506437650, 1397012089.05],
+        [1704510009972, 1380113364.13],
+        [1704513616700, 1399355985.32],
+        [1704517234500, 1378162589.47],
+        [1704520819578, 1356823070.75],
+        [1704524423376, 1337513162.8],
+        [1704528022861, 1289115664.04],
+        [1704531619895, 1237787017.4],
+        [1704535236640, 1262048984.05],
+        [1704538835139, 1222839995.42],
+        [1704542437389, 1203879623.8],
+        [1704546002445, 1243526182.2],
+        [1704549630042, 1270314606.17],
+        [1704553202072, 1293856433.93],
+        [1704556828199, 1280461635.48],
+        [1704560426947, 1270144862.87],
+        [1704564009809, 1238278464.02],
+        [1704567613394, 1232221622.17],
+        [1704571227112, 1263805213.78],
+        [1704574809451, 1234079587.27],
+        [1704578439241, 1217646007.31],
+        [1704582032632, 1196315773.95],
+        [1704585628651, 1200175171.08],
+        [1704589213975, 1187082793.76],
+        [1704592813353, 1168255175.76],
+        [1704596430695, 1165598380.69],
+        [1704600010946, 1203280452.26],
+        [1704603630999, 1186217332.25],
+        [1704607222556, 1176707904.76],
+        [1704610806362, 1152852639.94],
+        [1704614419990, 1132239667.86],
+        [1704618024018, 1150631646.38],
+        [1704621632815, 1140483741.29],
+        [1704625210454, 1127765458.4],
+        [1704628838518, 1093031034.83],
+        [1704632430381, 1099454152.36],
+        [1704636033546, 1101669523.54],
+        [1704639629916, 1134915279.52],
+        [1704643220734, 1130594487.01],
+        [1704646802688, 1145741526.44],
+        [1704650424496, 1184540993.2],
+        [1704654008075, 1176100733.33],
+        [1704657614154, 1132953826.1],
+        [1704661216975, 1127555937.99],
+        [1704664832857, 1109732778.7],
+        [1704668417324, 1107635744.0]
+    ]
+};
+
+// Export for global use
+window.MARKET_CHART_FIXTURE = MARKET_CHART_FIXTURE;
@@ -0,0 +1,132 @@
+/**
+ * History Loader for CoinGecko market_chart data
+ * Fetches historical prices and volumes and converts them into OHLCV candles
+ */
+
+class HistoryLoader {
+    constructor(options = {}) {
+        this.apiKey = options.apiKey || null;
+        this.fetchFn = options.fetchFn || ((url, init) => fetch(url, init));
+    }
+
+    /**
+     * Create a loader that answers every request with a recorded payload
+     */
+    static fromFixture(payload) {
+        return new HistoryLoader({
+            fetchFn: async () => ({
+                ok: true,
+                status: 200,
+                json: async () => payload
+            })
+        });
+    }
+
+    /**
+     * Build the market_chart URL for a coin, range and granularity
+     */
+    buildUrl(apiId, days, granularity) {
+        const { baseUrl, historyEndpoint } = API_CONFIG.coingecko;
+        const params = new URLSearchParams({ vs_currency: 'usd', days: String(days) });
+
+        // CoinGecko returns hourly points for 2-90 day ranges; daily must be requested explicitly
+        if (granularity === 'daily') {
+            params.set('interval', 'daily');
+        }
+        if (this.apiKey) {
+            params.set('x_cg_demo_api_key', this.apiKey);
+        }
+
+        return `${baseUrl}${historyEndpoint.replace('{id}', encodeURIComponent(apiId))}?${params}`;
+    }
+
+    /**
+     * Load OHLCV candles for a coin over the requested range
+     */
+    async loadHistory(apiId, options = {}) {
+        const days = options.days || DATA_CONFIG.history.days;
+        const granularity = options.granularity || DATA_CONFIG.history.granularity;
+
+        if (!DATA_CONFIG.granularities[granularity]) {
+            throw new Error(`Unknown granularity: ${granularity}`);
+        }
+
+        const url = this.buildUrl(apiId, days, granularity);
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), API_CONFIG.coingecko.timeout) : null;
+
+        try {
+            const response = await this.fetchFn(url, controller ? { signal: controller.signal } : undefined);
+            if (!response.ok) {
+                throw new Error(`History request failed with status ${response.status}`);
+            }
+
+            const payload = await response.json();
+            const candles = this.buildCandles(payload, granularity);
+            console.log(`Loaded ${candles.length} ${granularity} candles for ${apiId} (${days} days)`);
+            return candles;
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Aggregate market_chart price and volume series into OHLCV candles
+     */
+    buildCandles(payload, granularity = DATA_CONFIG.history.granularity) {
+        const prices = payload?.prices;
+        const volumes = payload?.total_volumes || [];
+        if (!Array.isArray(prices) || prices.length === 0) {
+            throw new Error('market_chart response contains no prices');
+        }
+
+        const bucketSize = DATA_CONFIG.granularities[granularity];
+        const buckets = new Map();
+
+        prices.forEach(([timestamp, price]) => {
+            if (!Number.isFinite(timestamp) || !Number.isFinite(price)) return;
+
+            const bucket = Math.floor(timestamp / bucketSize) * bucketSize;
+            const candle = buckets.get(bucket);
+            if (!candle) {
+                buckets.set(bucket, { timestamp: bucket, open: price, high: price, low: price, close: price, volume: 0 });
+            } else {
+                candle.high = Math.max(candle.high, price);
+                candle.low = Math.min(candle.low, price);
+                candle.close = price;
+            }
+        });
+
+        // total_volumes is a rolling 24h figure, so each candle takes the latest value in its bucket
+        volumes.forEach(([timestamp, volume]) => {
+            const bucket = Math.floor(timestamp / bucketSize) * bucketSize;
+            const candle = buckets.get(bucket);
+            if (candle && Number.isFinite(volume)) {
+                candle.volume = volume;
+            }
+        });
+
+        // Hourly ranges carry a single point per bucket, so candles open at the previous close
+        let previousClose = null;
+        return Array.from(buckets.values())
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .map(candle => {
+                const open = previousClose !== null ? previousClose : candle.open;
+                previousClose = candle.close;
+                
+                return {
+                    timestamp: candle.timestamp,
+                    date: new Date(candle.timestamp),
+                    price: candle.close,
+                    volume: candle.volume,
+                    high: Math.max(candle.high, open),
+                    low: Math.min(candle.low, open),
+                    open: open,
+                    close: candle.close
+                };
+            });
+    }
+}
+
+// Export for global use
+window.HistoryLoader = HistoryLoader;
@@ -0,0 +1,257 @@
+/**
+ * Hyperparameter Tuner for the network models
+ * Grid, random or successive-halving search scored on expanding-window validation folds,
+ * with the winning configuration applied to a MODEL_CONFIG tier or kept as a named preset
+ */
+
+// Tiers every MODEL_CONFIG entry has; presets live next to them under other names
+const BUILT_IN_TIERS = ['standard', 'iso20022'];
+
+// Search dimensions that take whole numbers
+const INTEGER_PARAMETERS = ['hiddenUnits', 'layers', 'batchSize', 'lookback', 'epochs'];
+
+class HyperparameterTuner {
+    constructor(options = {}) {
+        this.options = {
+            ...TUNING_CONFIG,
+            ...options,
+            halving: { ...TUNING_CONFIG.halving, ...(options.halving || {}) }
+        };
+        if (!['grid', 'random', 'halving'].includes(this.options.method)) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, `Unknown search method: ${this.options.method}`);
+        }
+        if (!Number.isInteger(this.options.trials) || this.options.trials < 1) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, `Trials must be a positive whole number, got ${this.options.trials}`);
+        }
+        HyperparameterTuner.validateSpace(this.options.space);
+    }
+
+    /**
+     * Throw a VALIDATION_ERROR unless every dimension holds usable values
+     */
+    static validateSpace(space) {
+        Object.entries(space).forEach(([key, values]) => {
+            const invalid = values.filter(value => !Number.isFinite(value) || value <= 0 ||
+                (INTEGER_PARAMETERS.includes(key) && !Number.isInteger(value)) ||
+                (key === 'dropout' && value >= 1));
+            if (invalid.length > 0) {
+                throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, `Invalid ${key} values in search space: ${invalid.join(', ')}`);
+            }
+        });
+    }
+
+    /**
+     * Dimensions searched for a model type; lookback only matters for sequence models
+     */
+    spaceFor(modelType) {
+        return Object.fromEntries(Object.entries(this.options.space).filter(([key, values]) =>
+            values.length > 0 && (key !== 'lookback' || DATA_CONFIG.sequence.models.includes(modelType))));
+    }
+
+    /**
+     * Every combination of the space's values
+     */
+    static expandGrid(space) {
+        return Object.entries(space).reduce(
+            (combinations, [key, values]) => combinations.flatMap(combination => values.map(value => ({ ...combination, [key]: value }))),
+            [{}]
+        );
+    }
+
+    /**
+     * Candidate hyperparameter sets for the search method
+     * Grid takes every combination; random and successive halving draw `trials` distinct ones
+     */
+    candidates(space) {
+        const entries = Object.entries(space);
+        const size = entries.reduce((product, [, values]) => product * values.length, 1);
+
+        if (this.options.method === 'grid') {
+            if (size > this.options.maxCandidates) {
+                throw new PlatformError(
+                    ERROR_TYPES.VALIDATION_ERROR,
+                    `Grid has ${size} combinations (limit ${this.options.maxCandidates}); narrow the space or use random search`
+                );
+            }
+            return HyperparameterTuner.expandGrid(space);
+        }
+
+        const count = Math.min(this.options.trials, size);
+        const seen = new Set();
+        const picked = [];
+        while (picked.length < count) {
+            const candidate = Object.fromEntries(entries.map(([key, values]) => [key, values[Math.floor(Math.random() * values.length)]]));
+            const key = JSON.stringify(candidate);
+            if (!seen.has(key)) {
+                seen.add(key);
+                picked.push(candidate);
+            }
+        }
+        return picked;
+    }
+
+    /**
+     * Rungs of a search as [{ count, epochs }]
+     * Successive halving starts every candidate on minEpochs and keeps the best 1/eta with eta times the epochs,
+     * until one is left or the full epoch budget is reached; grid and random search train every candidate fully
+     */
+    plan(count, maxEpochs) {
+        if (this.options.method !== 'halving') {
+            return [{ count: count, epochs: null }];
+        }
+
+        const { eta, minEpochs } = this.options.halving;
+        const rungs = [];
+        let epochs = Math.min(minEpochs, maxEpochs);
+        for (;;) {
+            rungs.push({ count: count, epochs: epochs });
+            if (count === 1 || epochs >= maxEpochs) return rungs;
+            count = Math.max(1, Math.ceil(count / eta));
+            epochs = Math.min(maxEpochs, epochs * eta);
+        }
+    }
+
+    /**
+     * Search hyperparameters for a model type on an asset
+     * rowsFor(lookback) returns labelled rows for a window length; rows are aligned so every candidate is scored on the same period
+     * preset names the MODEL_CONFIG entry searched around (the asset's tier by default)
+     * Returns { method, trials, best } with trials ranked best first; each trial has { id, hyperparameters, config, epochs, rung, score }
+     */
+    async run(rowsFor, { modelType, cryptoKey, featureSchema, preset = null, control = null, onTrial = null, onProgress = null }) {
+        const builder = new ModelBuilder();
+        const base = builder.getConfig(modelType, cryptoKey, {}, preset);
+        const trials = this.candidates(this.spaceFor(modelType)).map((hyperparameters, i) => ({
+            id: i + 1,
+            hyperparameters: hyperparameters,
+            config: builder.getConfig(modelType, cryptoKey, hyperparameters, preset),
+            epochs: null,
+            rung: -1,
+            score: null
+        }));
+        const rowsByLookback = this.alignRows(rowsFor, trials.map(trial => trial.config.lookback));
+        const rungs = this.plan(trials.length, base.epochs);
+        const total = rungs.reduce((sum, rung) => sum + rung.count, 0);
+
+        let survivors = trials;
+        let done = 0;
+        for (let r = 0; r < rungs.length; r++) {
+            survivors = HyperparameterTuner.rank(survivors).slice(0, rungs[r].count);
+            for (const trial of survivors) {
+                if (onTrial) onTrial(++done, total, trial);
+                const epochs = rungs[r].epochs || trial.config.epochs;
+                const config = { ...trial.config, epochs: epochs };
+                trial.score = await this.score(rowsByLookback.get(config.lookback), config, { modelType, cryptoKey, featureSchema, control, onProgress });
+                trial.config = config;
+                trial.epochs = epochs;
+                trial.rung = r;
+            }
+        }
+
+        const ranked = HyperparameterTuner.rank(trials);
+        return { method: this.options.method, rungs: rungs, trials: ranked, best: ranked[0] };
+    }
+
+    /**
+     * Labelled rows for each window length, trimmed to the period the longest window can cover
+     */
+    alignRows(rowsFor, lookbacks) {
+        const rowsByLookback = new Map([...new Set(lookbacks)].map(lookback => [lookback, rowsFor(lookback)]));
+        const start = Math.max(...[...rowsByLookback.values()].map(rows => (rows.length > 0 ? rows[0].timestamp : Infinity)));
+        rowsByLookback.forEach((rows, lookback) => {
+            rowsByLookback.set(lookback, rows.filter(row => row.timestamp >= start));
+        });
+        return rowsByLookback;
+    }
+
+    /**
+     * Mean validation scores of one configuration over expanding-window folds
+     */
+    async score(rows, config, { modelType, cryptoKey, featureSchema, control, onProgress }) {
+        const validator = new CrossValidator({ mode: 'expanding', folds: this.options.folds });
+        const { summary } = await validator.run(rows, { modelType, cryptoKey, featureSchema, config, control, onProgress });
+        return {
+            mae: summary.mae.mean,
+            maeStd: summary.mae.std,
+            rmse: summary.rmse.mean,
+            mase: summary.mase.mean,
+            directionalAccuracy: summary.directionalAccuracy.mean,
+            excluded: summary.excluded
+        };
+    }
+
+    /**
+     * Trials ordered best first: later successive-halving rungs, then lower validation MAE; unscored or diverged runs last
+     */
+    static rank(trials) {
+        const mae = trial => (trial.score && Number.isFinite(trial.score.mae) ? trial.score.mae : Infinity);
+        return trials.slice().sort((a, b) => (b.rung - a.rung) || (mae(a) - mae(b)) || (a.id - b.id));
+    }
+
+    /**
+     * Overwrite a MODEL_CONFIG tier with a tuned configuration for the rest of the session
+     */
+    static applyToTier(modelType, tier, config) {
+        Object.assign(MODEL_CONFIG[modelType][tier], HyperparameterTuner.presetFields(modelType, config));
+    }
+
+    /**
+     * Store a tuned configuration as a named MODEL_CONFIG preset, persisted across sessions
+     */
+    static savePreset(modelType, name, config) {
+        const key = String(name).trim();
+        if (!key) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, 'Preset name cannot be empty');
+        }
+        if (BUILT_IN_TIERS.includes(key)) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, `"${key}" is a built-in tier and cannot be used as a preset name`);
+        }
+
+        const preset = HyperparameterTuner.presetFields(modelType, config);
+        MODEL_CONFIG[modelType][key] = preset;
+        const stored = HyperparameterTuner.storedPresets();
+        stored[modelType] = { ...(stored[modelType] || {}), [key]: preset };
+        localStorage.setItem(TUNING_CONFIG.presetStorageKey, JSON.stringify(stored));
+        return key;
+    }
+
+    /**
+     * Load presets saved in earlier sessions into MODEL_CONFIG
+     */
+    static restorePresets() {
+        Object.entries(HyperparameterTuner.storedPresets()).forEach(([modelType, presets]) => {
+            if (!MODEL_CONFIG[modelType]) return;
+            Object.entries(presets).forEach(([name, preset]) => {
+                if (!BUILT_IN_TIERS.includes(name)) MODEL_CONFIG[modelType][name] = preset;
+            });
+        });
+    }
+
+    /**
+     * Names of the saved presets for a model type
+     */
+    static presetNames(modelType) {
+        return Object.keys(MODEL_CONFIG[modelType] || {}).filter(name => !BUILT_IN_TIERS.includes(name));
+    }
+
+    static storedPresets() {
+        try {
+            return JSON.parse(localStorage.getItem(TUNING_CONFIG.presetStorageKey)) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable model presets:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * The hyperparameters a preset keeps; lookback only for sequence models
+     */
+    static presetFields(modelType, config) {
+        const { hiddenUnits, epochs, learningRate, layers, dropout, batchSize, lookback } = config;
+        const preset = { hiddenUnits, epochs, learningRate, layers, dropout, batchSize };
+        if (DATA_CONFIG.sequence.models.includes(modelType)) preset.lookback = lookback;
+        return preset;
+    }
+}
+
+// Export for global use
+window.HyperparameterTuner = HyperparameterTuner;
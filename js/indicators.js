@@ -0,0 +1,462 @@
+/**
+ * Indicator Engine for technical analysis
+ * Streaming calculators that compute each indicator series once, in O(n), across the whole history
+ * Values are null until an indicator has seen enough data to be fully warmed up
+ */
+
+/**
+ * Exponential smoother seeded with the simple average of the first `period` values
+ * alpha = 2 / (period + 1) gives a standard EMA; alpha = 1 / period gives Wilder smoothing
+ */
+class StreamingEMA {
+    constructor(period, alpha = 2 / (period + 1)) {
+        this.period = period;
+        this.alpha = alpha;
+        this.count = 0;
+        this.seedSum = 0;
+        this.value = null;
+    }
+
+    update(x) {
+        if (this.value === null) {
+            this.seedSum += x;
+            this.count++;
+            if (this.count === this.period) {
+                this.value = this.seedSum / this.period;
+            }
+        } else {
+            this.value = this.alpha * x + (1 - this.alpha) * this.value;
+        }
+        return this.value;
+    }
+}
+
+/**
+ * Fixed-length ring buffer keeping running sum and sum of squares
+ */
+class RollingWindow {
+    constructor(period) {
+        this.period = period;
+        this.values = new Array(period);
+        this.head = 0;
+        this.count = 0;
+        this.sum = 0;
+        this.sumSq = 0;
+    }
+
+    update(x) {
+        if (this.count === this.period) {
+            const old = this.values[this.head];
+            this.sum -= old;
+            this.sumSq -= old * old;
+            this.values[this.head] = x;
+            this.head = (this.head + 1) % this.period;
+        } else {
+            this.values[(this.head + this.count) % this.period] = x;
+            this.count++;
+        }
+        this.sum += x;
+        this.sumSq += x * x;
+        return this.isFull() ? this.sum / this.period : null;
+    }
+
+    isFull() {
+        return this.count === this.period;
+    }
+
+    mean() {
+        return this.sum / this.count;
+    }
+
+    /**
+     * Population variance of the window
+     */
+    variance() {
+        const mean = this.mean();
+        return Math.max(0, this.sumSq / this.count - mean * mean);
+    }
+}
+
+/**
+ * Sliding-window extreme (min or max) using a monotonic deque
+ */
+class RollingExtreme {
+    constructor(period, compare) {
+        this.period = period;
+        this.compare = compare;
+        this.deque = [];
+        this.index = 0;
+    }
+
+    update(x) {
+        while (this.deque.length > 0 && !this.compare(this.deque[this.deque.length - 1].value, x)) {
+            this.deque.pop();
+        }
+        this.deque.push({ value: x, index: this.index });
+        if (this.deque[0].index <= this.index - this.period) {
+            this.deque.shift();
+        }
+        this.index++;
+        return this.index >= this.period ? this.deque[0].value : null;
+    }
+}
+
+/**
+ * Wilder RSI: average gain and loss smoothed with alpha = 1 / period
+ */
+class StreamingRSI {
+    constructor(period) {
+        this.gains = new StreamingEMA(period, 1 / period);
+        this.losses = new StreamingEMA(period, 1 / period);
+        this.previous = null;
+    }
+
+    update(price) {
+        if (this.previous === null) {
+            this.previous = price;
+            return null;
+        }
+
+        const change = price - this.previous;
+        this.previous = price;
+        const avgGain = this.gains.update(Math.max(change, 0));
+        const avgLoss = this.losses.update(Math.max(-change, 0));
+
+        if (avgGain === null) return null;
+        if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+        return 100 - 100 / (1 + avgGain / avgLoss);
+    }
+}
+
+/**
+ * MACD line (fast EMA - slow EMA), signal line (EMA of the MACD line) and histogram
+ */
+class StreamingMACD {
+    constructor(fast = 12, slow = 26, signal = 9) {
+        this.fast = new StreamingEMA(fast);
+        this.slow = new StreamingEMA(slow);
+        this.signal = new StreamingEMA(signal);
+    }
+
+    update(price) {
+        const fast = this.fast.update(price);
+        const slow = this.slow.update(price);
+        if (fast === null || slow === null) {
+            return { macd: null, signal: null, histogram: null };
+        }
+
+        const macd = fast - slow;
+        const signal = this.signal.update(macd);
+        return {
+            macd: macd,
+            signal: signal,
+            histogram: signal === null ? null : macd - signal
+        };
+    }
+}
+
+/**
+ * Feeds one field of each candle (e.g. price or volume) to a calculator that takes numbers
+ */
+class FieldInput {
+    constructor(field, calculator) {
+        this.field = field;
+        this.calculator = calculator;
+    }
+
+    update(candle) {
+        return this.calculator.update(candle[this.field]);
+    }
+}
+
+/**
+ * Bollinger Bands around a simple moving average, using the population standard deviation
+ */
+class StreamingBollinger {
+    constructor(period, stdDev) {
+        this.window = new RollingWindow(period);
+        this.stdDev = stdDev;
+    }
+
+    update(price) {
+        const middle = this.window.update(price);
+        if (middle === null) {
+            return { upper: null, middle: null, lower: null };
+        }
+        const deviation = Math.sqrt(this.window.variance()) * this.stdDev;
+        return { upper: middle + deviation, middle: middle, lower: middle - deviation };
+    }
+}
+
+/**
+ * Annualized standard deviation of log returns over the last `period` returns
+ * periodsPerYear is the number of candles in a year (IndicatorEngine.periodsPerYear)
+ */
+class StreamingVolatility {
+    constructor(period, periodsPerYear) {
+        this.window = new RollingWindow(period);
+        this.periodsPerYear = periodsPerYear;
+        this.previous = null;
+    }
+
+    update(price) {
+        const previous = this.previous;
+        this.previous = price;
+        if (previous === null) return null;
+
+        this.window.update(Math.log(price / previous));
+        return this.window.isFull() ? Math.sqrt(this.window.variance() * this.periodsPerYear) : null;
+    }
+}
+
+/**
+ * Wilder-smoothed average true range
+ */
+class StreamingATR {
+    constructor(period) {
+        this.smoother = new StreamingEMA(period, 1 / period);
+        this.previousClose = null;
+    }
+
+    update(candle) {
+        const trueRange = this.previousClose === null
+            ? candle.high - candle.low
+            : Math.max(candle.high - candle.low,
+                Math.abs(candle.high - this.previousClose), Math.abs(candle.low - this.previousClose));
+        this.previousClose = candle.close;
+        return this.smoother.update(trueRange);
+    }
+}
+
+/**
+ * On-balance volume: volume added on up closes and subtracted on down closes
+ */
+class StreamingOBV {
+    constructor() {
+        this.total = 0;
+        this.previousClose = null;
+    }
+
+    update(candle) {
+        if (this.previousClose !== null) {
+            this.total += Math.sign(candle.close - this.previousClose) * candle.volume;
+        }
+        this.previousClose = candle.close;
+        return this.total;
+    }
+}
+
+/**
+ * Stochastic oscillator: %K over `period` candles and %D as its `smooth`-period SMA
+ */
+class StreamingStochastic {
+    constructor(period, smooth) {
+        this.highest = new RollingExtreme(period, (a, b) => a > b);
+        this.lowest = new RollingExtreme(period, (a, b) => a < b);
+        this.smoothing = new RollingWindow(smooth);
+    }
+
+    update(candle) {
+        const high = this.highest.update(candle.high);
+        const low = this.lowest.update(candle.low);
+        const k = high === null ? null : (high === low ? 50 : 100 * (candle.close - low) / (high - low));
+        return { k: k, d: k === null ? null : this.smoothing.update(k) };
+    }
+}
+
+/**
+ * Rolling volume-weighted average of the typical price
+ */
+class StreamingVWAP {
+    constructor(period) {
+        this.priceVolume = new RollingWindow(period);
+        this.volume = new RollingWindow(period);
+    }
+
+    update(candle) {
+        this.priceVolume.update(((candle.high + candle.low + candle.close) / 3) * candle.volume);
+        this.volume.update(candle.volume);
+        if (!this.volume.isFull()) return null;
+        return this.volume.sum > 0 ? this.priceVolume.sum / this.volume.sum : candle.price;
+    }
+}
+
+/**
+ * Deep copy of a calculator's state that keeps its class, so a copy can carry on independently
+ */
+function cloneCalculator(value) {
+    if (Array.isArray(value)) return value.map(cloneCalculator);
+    if (value === null || typeof value !== 'object') return value;
+
+    const copy = Object.create(Object.getPrototypeOf(value));
+    Object.keys(value).forEach(key => {
+        copy[key] = cloneCalculator(value[key]);
+    });
+    return copy;
+}
+
+class IndicatorEngine {
+    /**
+     * @param {Array<Object>} data - OHLCV records ({ price, open, high, low, close, volume })
+     */
+    constructor(data) {
+        this.data = data;
+        this.cache = new Map();
+    }
+
+    /**
+     * Candles per year at a candle spacing of intervalMs, over DATA_CONFIG.daysPerYear days
+     */
+    static periodsPerYear(intervalMs) {
+        return (DATA_CONFIG.daysPerYear * DATA_CONFIG.granularities.daily) / intervalMs;
+    }
+
+    /**
+     * Spacing between the last two candles, or an hour when there are fewer (as DataProcessor.getCandleInterval)
+     */
+    candleInterval() {
+        const n = this.data.length;
+        return n > 1 ? this.data[n - 1].timestamp - this.data[n - 2].timestamp : DATA_CONFIG.granularities.hourly;
+    }
+
+    /**
+     * Run a streaming calculator over every candle once and reuse the series for every later request with the same key
+     * The calculator is kept so extend() can continue the series; fields names the outputs of calculators
+     * that return several values per candle, which come back as one series per field
+     */
+    series(key, create, fields = null) {
+        if (!this.cache.has(key)) {
+            const entry = {
+                calculator: create(),
+                fields: fields,
+                output: fields ? Object.fromEntries(fields.map(field => [field, []])) : []
+            };
+            this.data.forEach(candle => this.record(entry, candle));
+            this.cache.set(key, entry);
+        }
+        return this.cache.get(key).output;
+    }
+
+    /**
+     * Feed one candle to a cached calculator and append its output
+     */
+    record(entry, candle) {
+        const value = entry.calculator.update(candle);
+        if (entry.fields) {
+            entry.fields.forEach(field => entry.output[field].push(value[field]));
+        } else {
+            entry.output.push(value);
+        }
+    }
+
+    /**
+     * Independent copy with its own candles and calculator state, for projecting hypothetical candles
+     */
+    fork() {
+        const copy = new IndicatorEngine(this.data.slice());
+        this.cache.forEach((entry, key) => {
+            copy.cache.set(key, {
+                calculator: cloneCalculator(entry.calculator),
+                fields: entry.fields,
+                output: entry.fields
+                    ? Object.fromEntries(entry.fields.map(field => [field, entry.output[field].slice()]))
+                    : entry.output.slice()
+            });
+        });
+        return copy;
+    }
+
+    /**
+     * Append a candle and advance every computed series by one value, without recomputing the history
+     * Mutates this engine's data, so extend forks rather than an engine shared with DataProcessor
+     */
+    extend(candle) {
+        this.data.push(candle);
+        this.cache.forEach(entry => this.record(entry, candle));
+    }
+
+    /**
+     * View of the engine whose series cover only the last `length` candles, aligned with data.slice(-length)
+     */
+    tail(length) {
+        const view = Object.create(this);
+        view.series = (key, create, fields = null) => {
+            const output = this.series(key, create, fields);
+            return fields
+                ? Object.fromEntries(fields.map(field => [field, output[field].slice(-length)]))
+                : output.slice(-length);
+        };
+        return view;
+    }
+
+    sma(period) {
+        return this.series(`sma:${period}`, () => new FieldInput('price', new RollingWindow(period)));
+    }
+
+    ema(period) {
+        return this.series(`ema:${period}`, () => new FieldInput('price', new StreamingEMA(period)));
+    }
+
+    rsi(period = 14) {
+        return this.series(`rsi:${period}`, () => new FieldInput('price', new StreamingRSI(period)));
+    }
+
+    /**
+     * Returns { macd, signal, histogram } series
+     */
+    macd(fast = 12, slow = 26, signal = 9) {
+        return this.series(`macd:${fast}:${slow}:${signal}`,
+            () => new FieldInput('price', new StreamingMACD(fast, slow, signal)), ['macd', 'signal', 'histogram']);
+    }
+
+    /**
+     * Returns { upper, middle, lower } series using the population standard deviation
+     */
+    bollinger(period = 20, stdDev = 2) {
+        return this.series(`bollinger:${period}:${stdDev}`,
+            () => new FieldInput('price', new StreamingBollinger(period, stdDev)), ['upper', 'middle', 'lower']);
+    }
+
+    /**
+     * Annualized standard deviation of log returns over the last `period` returns
+     */
+    volatility(period = 10) {
+        return this.series(`volatility:${period}`, () => new FieldInput('price', new StreamingVolatility(period, IndicatorEngine.periodsPerYear(this.candleInterval()))));
+    }
+
+    volumeSma(period) {
+        return this.series(`volumeSma:${period}`, () => new FieldInput('volume', new RollingWindow(period)));
+    }
+
+    /**
+     * Wilder-smoothed average true range
+     */
+    atr(period = 14) {
+        return this.series(`atr:${period}`, () => new StreamingATR(period));
+    }
+
+    obv() {
+        return this.series('obv', () => new StreamingOBV());
+    }
+
+    /**
+     * Returns { k, d } series: %K over `period` candles and %D as its `smooth`-period SMA
+     */
+    stochastic(period = 14, smooth = 3) {
+        return this.series(`stochastic:${period}:${smooth}`, () => new StreamingStochastic(period, smooth), ['k', 'd']);
+    }
+
+    /**
+     * Rolling volume-weighted average of the typical price
+     */
+    vwap(period = 24) {
+        return this.series(`vwap:${period}`, () => new StreamingVWAP(period));
+    }
+}
+
+// Export for global use
+window.IndicatorEngine = IndicatorEngine;
+window.StreamingEMA = StreamingEMA;
+window.StreamingRSI = StreamingRSI;
+window.StreamingMACD = StreamingMACD;
+window.RollingWindow = RollingWindow;
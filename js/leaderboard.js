@@ -0,0 +1,67 @@
+/**
+ * Leaderboard of model results per asset
+ * Networks and baselines are scored on the same test rows and ranked by error, direction and skill over naive
+ */
+
+// Sortable columns: direction 1 means higher is better
+const LEADERBOARD_METRICS = {
+    mae: { label: 'MAE', direction: -1 },
+    rmse: { label: 'RMSE', direction: -1 },
+    mase: { label: 'MASE', direction: -1 },
+    directionalAccuracy: { label: 'Direction', direction: 1 },
+    skill: { label: 'Skill vs Naive', direction: 1 }
+};
+
+class Leaderboard {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    /**
+     * Leaderboard fields from ModelBuilder.calculateMetrics results scored with test references
+     */
+    static score(metrics) {
+        const fields = { sampleSize: metrics.sampleSize };
+        Object.keys(LEADERBOARD_METRICS).forEach(key => {
+            fields[key] = metrics[key];
+        });
+        return fields;
+    }
+
+    /**
+     * Store a result, replacing any earlier one for the same model and horizon
+     * entry: { model, label, kind: 'network' | 'baseline', horizon, ...score }
+     */
+    record(cryptoKey, entry) {
+        const entries = (this.entries.get(cryptoKey) || [])
+            .filter(existing => existing.model !== entry.model || existing.horizon !== entry.horizon);
+        entries.push({ ...entry, evaluatedAt: Date.now() });
+        this.entries.set(cryptoKey, entries);
+    }
+
+    /**
+     * Entries for an asset ordered by horizon, then best-first on the chosen metric
+     */
+    rank(cryptoKey, sortKey = 'mae') {
+        const { direction } = LEADERBOARD_METRICS[sortKey];
+        return (this.entries.get(cryptoKey) || []).slice().sort((a, b) => {
+            if (a.horizon !== b.horizon) return a.horizon - b.horizon;
+            // Missing scores sort last, and tie with each other so the comparator stays consistent
+            if (a[sortKey] === null || b[sortKey] === null) {
+                return (a[sortKey] === null) - (b[sortKey] === null);
+            }
+            return direction * (b[sortKey] - a[sortKey]);
+        });
+    }
+
+    /**
+     * Drop an asset's results, e.g. when its data is reloaded and the test period changes
+     */
+    clear(cryptoKey) {
+        this.entries.delete(cryptoKey);
+    }
+}
+
+// Export for global use
+window.Leaderboard = Leaderboard;
+window.LEADERBOARD_METRICS = LEADERBOARD_METRICS;
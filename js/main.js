@@ -1,326 +1,1210 @@
-class DataProcessor {
+/**
+ * Application controller for the Crypto ML Platform
+ * Owns the pipeline components and wires the UI buttons to the ML workflow
+ */
+
+// Pipeline steps in the order the user reaches them
+const APP_STEPS = {
+    IDLE: 'idle',
+    DATA_LOADED: 'data_loaded',
+    MODEL_TRAINED: 'model_trained',
+    PREDICTED: 'predicted'
+};
+
+class CryptoMLApp {
     constructor() {
-        this.apiKey = 'CG-7F3NdFPwg9hG1uAqECgLT468';
-        this.rawData = [];
-        this.processedData = [];
-        this.currentPrice = 0.62;
-        this.updateInterval = null;
-        
-        // ISO20022 enhanced coins
-        this.iso20022Coins = {
-            'xrp': { 
-                id: 'ripple', 
-                enhancement: 1.15,
-                features: ['cross_border', 'liquidity', 'cbdc_ready']
-            },
-            'stellar': { 
-                id: 'stellar', 
-                enhancement: 1.08,
-                features: ['remittance', 'anchored_assets']
-            },
-            'algorand': { 
-                id: 'algorand', 
-                enhancement: 1.12,
-                features: ['cbdc', 'defi_compliance']
+        this.dataProcessor = new DataProcessor();
+        this.modelBuilder = new ModelBuilder();
+        this.chartManager = new ChartManager();
+        this.uiManager = new UIManager();
+        this.candleParser = new CandleParser();
+        this.leaderboard = new Leaderboard();
+        this.registry = new ModelRegistry();
+        this.trainer = new TrainingClient();
+
+        this.step = APP_STEPS.IDLE;
+        this.busy = false;
+        this.trainedModelType = null;
+        this.forecast = null;
+        this.modelMetadata = null;
+        this.modelSaved = false;
+        this.tuning = null;
+        this.trainingControl = null;
+        this.previousHistory = null;
+        this.diagnostics = null;
+        this.trainOnRange = false;
+        this.cryptoKey = this.uiManager.getCurrentSelections().crypto;
+    }
+
+    /**
+     * Prepare chart canvas and initial UI state
+     */
+    initialize() {
+        this.chartManager.initialize('priceChart');
+        this.renderFeaturePanel(this.dataProcessor.featurePipeline.steps);
+        this.uiManager.renderChartPanels(CHART_CONFIG.panels, this.chartManager.panels,
+            (panel, visible) => this.chartManager.setPanelVisible(panel, visible));
+        this.uiManager.renderChartRanges(CHART_CONFIG.ranges, (name) => this.chartManager.showRange(CHART_CONFIG.ranges[name]));
+        this.chartManager.watchRange((range) => this.onChartRange(range));
+        this.uiManager.renderHorizonOptions(DATA_CONFIG.forecast.horizons, DATA_CONFIG.forecast.horizon);
+        HyperparameterTuner.restorePresets();
+        this.renderPresetOptions();
+        this.uiManager.renderSearchSpace(TUNING_CONFIG.space);
+        this.renderLeaderboard();
+        this.refreshSavedModels();
+        this.uiManager.updateStatus(UI_MESSAGES.selectCrypto);
+        this.syncButtonStates();
+        this.uiManager.log('Platform initialized');
+        return this;
+    }
+
+    /**
+     * Move the application to a new pipeline step and refresh buttons
+     */
+    setStep(step) {
+        this.step = step;
+        this.syncButtonStates();
+    }
+
+    /**
+     * Derive button states from the current pipeline step
+     */
+    syncButtonStates() {
+        this.uiManager.updateButtonStates({
+            dataLoaded: this.step !== APP_STEPS.IDLE,
+            modelTrained: this.step === APP_STEPS.MODEL_TRAINED || this.step === APP_STEPS.PREDICTED
+        });
+    }
+
+    /**
+     * Fetch market data, build features and draw the price chart
+     */
+    async loadData() {
+        if (this.busy) return;
+        this.busy = true;
+
+        const { crypto: cryptoKey } = this.uiManager.getCurrentSelections();
+        this.cryptoKey = cryptoKey;
+        this.uiManager.showLoading(`Loading ${CRYPTO_CONFIG[cryptoKey].name} data`);
+        this.uiManager.log(`Loading ${CRYPTO_CONFIG[cryptoKey].name} market data`);
+
+        try {
+            const rawData = await this.dataProcessor.fetchData(cryptoKey, DATA_CONFIG.history);
+            if (!rawData || rawData.length === 0) {
+                throw new Error('No market data returned');
             }
-        };
+            const required = this.dataProcessor.requiredCandles(this.uiManager.getCurrentSelections().horizon);
+            if (rawData.length < required) {
+                throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR,
+                    `Need at least ${required} candles for the feature warm-up and forecast horizon, found ${rawData.length}`);
+            }
+
+            this.onDataLoaded(cryptoKey);
+        } catch (error) {
+            console.error('Load data failed:', error);
+            this.setStep(APP_STEPS.IDLE);
+            this.uiManager.showError(`${error.type || ERROR_TYPES.DATA_ERROR}: ${error.message}`);
+            this.uiManager.log(`Data load failed: ${error.message}`, 'error');
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Build features and refresh chart and state once raw data is in place
+     */
+    onDataLoaded(cryptoKey) {
+        const rawData = this.dataProcessor.rawData;
+        const processed = this.dataProcessor.processFeatures();
+        this.chartManager.createPriceChart(rawData, cryptoKey, this.dataProcessor.getChartIndicators());
+        this.chartManager.clearEquityChart();
+        this.chartManager.clearLossHistoryChart();
+        this.clearDiagnostics();
+
+        // Any previously trained model no longer matches the loaded data
+        this.modelBuilder.dispose();
+        this.trainedModelType = null;
+        this.forecast = null;
+        this.modelMetadata = null;
+        this.modelSaved = false;
+        this.uiManager.resetMetrics();
+
+        // Scores from the previous data no longer share a test period with new ones
+        this.leaderboard.clear(cryptoKey);
+        this.renderLeaderboard();
+
+        this.setStep(APP_STEPS.DATA_LOADED);
+        this.uiManager.updateStatus(
+            `${UI_MESSAGES.dataLoaded}: ${rawData.length} candles, ${processed.length} feature vectors`,
+            'success'
+        );
+        this.uiManager.log(
+            `Loaded ${rawData.length} data points (${this.dataProcessor.getDataSource()}), ${processed.length} feature vectors`,
+            'success'
+        );
+    }
+
+    /**
+     * Follow the chart's visible range, narrowing the training data to it when that is switched on
+     */
+    onChartRange(range) {
+        this.dataProcessor.setTrainingRange(this.trainOnRange ? range : null);
+        this.uiManager.updateChartRange(range, this.trainOnRange);
+    }
+
+    /**
+     * Switch between training on the whole history and on the candles visible in the chart
+     */
+    toggleTrainOnRange(enabled) {
+        this.trainOnRange = enabled;
+        const range = this.chartManager.getVisibleRange();
+        this.onChartRange(range);
+        if (!enabled) {
+            this.uiManager.log('Training on the full history');
+        } else {
+            this.uiManager.log(range
+                ? `Training limited to the visible ${range.candles} candles`
+                : 'Training follows the visible range once the chart is zoomed');
+        }
+    }
+
+    /**
+     * Show the whole history on the price chart again
+     */
+    resetZoom() {
+        this.chartManager.resetZoom();
+    }
+
+    /**
+     * Show pipeline steps in the feature panel with the resulting feature count
+     */
+    renderFeaturePanel(steps) {
+        this.uiManager.renderFeaturePanel(steps, FEATURE_DEFINITIONS);
+        const enabled = steps.filter(step => step.enabled !== false);
+        try {
+            this.uiManager.updateFeatureSummary(enabled.length, new FeaturePipeline(enabled).getSchema().size);
+        } catch (error) {
+            this.uiManager.updateFeatureSummary(enabled.length);
+        }
     }
 
-    async fetchData(cryptoKey) {
-        console.log(`Fetching data for: ${cryptoKey}`);
-        
+    /**
+     * Append an indicator with default parameters to the feature panel
+     */
+    addFeature() {
+        const indicator = this.uiManager.getSelectedIndicator();
+        if (!indicator) return;
+
+        this.renderFeaturePanel([...this.uiManager.readFeatureSteps(), { indicator, params: {} }]);
+    }
+
+    /**
+     * Rebuild features with the indicators selected in the feature panel
+     */
+    applyFeatures(steps = this.uiManager.readFeatureSteps()) {
+        if (this.busy) return;
+
+        try {
+            this.rebuildFeatures(steps);
+        } catch (error) {
+            this.uiManager.showError(`${error.type || ERROR_TYPES.VALIDATION_ERROR}: ${error.message}`);
+            this.uiManager.log(`Feature pipeline rejected: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Switch to a feature pipeline and recompute the loaded data's features and chart; throws if the steps are invalid
+     * Callers hold the busy flag themselves
+     */
+    rebuildFeatures(steps) {
+        const pipeline = this.dataProcessor.setFeaturePipeline(
+            steps.filter(step => step.enabled !== false).map(({ indicator, params }) => ({ indicator, params })));
+        const schema = pipeline.getSchema();
+        this.renderFeaturePanel(steps);
+        this.uiManager.log(`Feature pipeline: ${schema.names().join(', ')}`);
+
+        if (this.step !== APP_STEPS.IDLE) {
+            this.onDataLoaded(this.cryptoKey);
+        } else {
+            this.uiManager.updateStatus(`Feature pipeline set to ${schema.size} features`, 'success');
+        }
+    }
+
+    /**
+     * Restore the FEATURE_CONFIG default indicators
+     */
+    resetFeatures() {
+        this.applyFeatures(FEATURE_CONFIG.pipeline);
+    }
+
+    /**
+     * Open the file picker for CSV/JSON candle import
+     */
+    openFileImport() {
+        if (this.busy) return;
+        this.uiManager.openFilePicker();
+    }
+
+    /**
+     * Read a user-supplied CSV/JSON file, asking for a column mapping when headers are not recognized
+     */
+    async importFile(file) {
+        if (!file || this.busy) return;
+        this.busy = true;
+
+        this.uiManager.hideColumnMapping();
+        this.uiManager.showLoading(`Reading ${file.name}`);
+
+        let table;
+        try {
+            table = this.candleParser.readTable(await file.text(), file.name);
+        } catch (error) {
+            this.uiManager.showError(`${ERROR_TYPES.DATA_ERROR}: ${file.name}: ${error.message}`);
+            this.uiManager.log(`Import of ${file.name} failed: ${error.message}`, 'error');
+            return;
+        } finally {
+            this.busy = false;
+        }
+
+        let columns;
+        try {
+            columns = this.candleParser.detectColumns(table.headers);
+        } catch (error) {
+            this.uiManager.updateStatus(`Could not detect columns in ${file.name}, please map them below`, 'warning');
+            this.uiManager.showColumnMapping(file.name, table.headers, this.candleParser.guessColumns(table.headers),
+                (mapping) => this.applyImport(file.name, table, mapping));
+            return;
+        }
+
+        this.applyImport(file.name, table, columns);
+    }
+
+    /**
+     * Validate mapped candles and hand them to the DataProcessor
+     * Refused (returns false) while a job runs, since it would swap the data out from under it
+     */
+    applyImport(fileName, table, columns) {
+        if (this.busy) {
+            this.uiManager.showError(`Wait for the running job to finish before importing ${fileName}`);
+            return false;
+        }
+
+        const { crypto: cryptoKey, horizon } = this.uiManager.getCurrentSelections();
+        const candles = this.candleParser.rowsToCandles(table.rows, columns);
+        const { errors, warnings } = this.candleParser.validate(candles, this.dataProcessor.requiredCandles(horizon));
+
+        if (errors.length > 0) {
+            this.uiManager.showError(`${ERROR_TYPES.VALIDATION_ERROR}: ${fileName}: ${errors.join('; ')}`);
+            errors.forEach(error => this.uiManager.log(`${fileName}: ${error}`, 'error'));
+            return false;
+        }
+        warnings.forEach(warning => this.uiManager.log(`${fileName}: ${warning}`, 'warning'));
+
         try {
-            // Get coin config
-            const coinConfig = this.iso20022Coins[cryptoKey] || { id: cryptoKey, enhancement: 1.0 };
-            
-            // Fetch real price
-            const response = await fetch(
-                `https://api.coingecko.com/api/v3/simple/price?ids=${coinConfig.id}&vs_currencies=usd&x_cg_demo_api_key=${this.apiKey}`
+            this.cryptoKey = cryptoKey;
+            this.dataProcessor.loadCandles(candles, 'file');
+            this.onDataLoaded(cryptoKey);
+            this.uiManager.log(`Imported ${candles.length} candles from ${fileName}`, 'success');
+            return true;
+        } catch (error) {
+            console.error('Import failed:', error);
+            this.setStep(APP_STEPS.IDLE);
+            this.uiManager.showError(`${ERROR_TYPES.DATA_ERROR}: ${error.message}`);
+            this.uiManager.log(`Import of ${fileName} failed: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Train and evaluate the selected model on the training worker, which splits and windows the candles itself
+     * The trained weights come back from the worker and are loaded here for saving and model info;
+     * any previous model stays in place until they arrive, so a cancelled or failed retrain keeps it
+     */
+    async trainModel() {
+        if (this.busy || this.step === APP_STEPS.IDLE) return;
+        this.busy = true;
+
+        const { model: modelType, horizon, strategy, preset } = this.uiManager.getCurrentSelections();
+        const cryptoKey = this.cryptoKey;
+        const crypto = CRYPTO_CONFIG[cryptoKey];
+
+        const control = this.openTrainingOverlay(modelType, crypto);
+        this.uiManager.log(`Training ${modelType} model on ${crypto.name}`);
+        let swapped = false;
+
+        try {
+            // Direct forecasting labels each row with every step of the horizon; recursive trains on the next candle
+            const outputSize = strategy === 'direct' ? horizon : 1;
+
+            // Sequence models train on sliding windows of the last `lookback` feature vectors
+            const config = this.modelBuilder.getConfig(modelType, cryptoKey, {}, preset);
+
+            // Scaling and the validation hold-out come from the training split only so the test period stays unseen
+            const { metrics, artifacts, state, trainRange, testRange, timestamps } = await this.trainer.run('train', {
+                data: this.dataProcessor.getDataSpec(),
+                modelType: modelType,
+                cryptoKey: cryptoKey,
+                config: config,
+                outputSize: outputSize
+            }, {
+                control: control,
+                onProgress: (progress) => this.reportProgress(progress)
+            });
+            control.throwIfCancelled();
+            await this.modelBuilder.load(tf.io.fromMemory(artifacts), state);
+            swapped = true;
+            this.trainedModelType = modelType;
+            this.forecast = { horizon, strategy };
+            const { predictions, actuals, intervals, ...scores } = metrics;
+            const configType = crypto.iso20022 ? 'iso20022' : 'standard';
+            this.modelMetadata = {
+                name: `${crypto.symbol} ${modelType.toUpperCase()} ${horizon}-step ${new Date().toLocaleDateString()}`,
+                cryptoKey: cryptoKey,
+                modelType: modelType,
+                strategy: strategy,
+                horizon: horizon,
+                configType: configType,
+                preset: preset,
+                hyperparameters: { ...config },
+                featurePipeline: this.dataProcessor.featurePipeline.toJSON(),
+                dataSource: this.dataProcessor.getDataSource(),
+                trainRange: trainRange,
+                testRange: testRange,
+                metrics: scores
+            };
+            this.modelSaved = false;
+
+            // Each test row's first output predicts the candle after the one it was built at
+            const firstTestIndex = this.dataProcessor.rawData.findIndex(d => d.timestamp === testRange.from);
+            const nextCandle = metrics.predictions.map(p => (Array.isArray(p) ? p[0] : p));
+            this.chartManager.addPredictionLine(nextCandle, firstTestIndex + 1, metrics.intervals);
+
+            // Step s of a test row predicts the candle s + 1 after the one the row was built at
+            this.diagnostics = { predictions, actuals, timestamps };
+
+            this.leaderboard.record(cryptoKey, {
+                model: modelType,
+                label: `${modelType.toUpperCase()} network`,
+                kind: 'network',
+                horizon: outputSize,
+                ...Leaderboard.score(metrics)
+            });
+            this.renderLeaderboard();
+
+            this.uiManager.hideTrainingModal();
+            this.uiManager.updateMetrics(metrics, cryptoKey);
+            this.uiManager.updateModelInfo(this.modelBuilder.getModelInfo(modelType, cryptoKey));
+            this.renderTrainingHistory();
+            this.uiManager.renderDiagnosticsSteps(outputSize, (step) => this.renderDiagnostics(step));
+            this.renderDiagnostics(0);
+            this.setStep(APP_STEPS.MODEL_TRAINED);
+            this.uiManager.updateStatus(UI_MESSAGES.trainingComplete, 'success');
+            this.uiManager.log(
+                `Training complete - MAE ${metrics.mae.toFixed(6)}, MASE ${this.formatScore(metrics.mase, 3)}, ` +
+                `Theil's U ${this.formatScore(metrics.theilU, 3)}, direction ${this.formatScore(metrics.directionalAccuracy, 1, true)}`,
+                'success'
+            );
+            this.uiManager.log(`Training: ${TrainingMonitor.describe(this.modelBuilder.trainingSummary)}`);
+            if (metrics.stepMae) {
+                this.uiManager.log(`MAE by step: ${metrics.stepMae.map(mae => mae.toFixed(6)).join(', ')}`);
+            }
+            if (metrics.coverage) {
+                const coverage = Object.entries(metrics.coverage)
+                    .map(([level, share]) => `${Math.round(level * 100)}% band ${(share * 100).toFixed(1)}%`);
+                this.uiManager.log(`Test-set interval coverage: ${coverage.join(', ')}`);
+            }
+        } catch (error) {
+            this.uiManager.hideTrainingModal();
+            // Only a failure after the swap leaves a half-set-up model behind
+            if (swapped) {
+                this.modelBuilder.dispose();
+                this.trainedModelType = null;
+                this.forecast = null;
+                this.modelMetadata = null;
+                this.modelSaved = false;
+                this.chartManager.clearPredictions();
+                this.clearDiagnostics();
+                this.setStep(APP_STEPS.DATA_LOADED);
+            }
+            if (!this.reportCancellation(error, 'Training')) {
+                console.error('Train model failed:', error);
+                this.uiManager.showError(`${error.type || ERROR_TYPES.MODEL_ERROR}: ${error.message}`);
+                this.uiManager.log(`Training failed: ${error.message}`, 'error');
+            }
+        } finally {
+            this.trainingControl = null;
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Show the training overlay for a new run and return the TrainingControl its Pause and Cancel buttons drive
+     */
+    openTrainingOverlay(modelType, crypto) {
+        this.trainingControl = new TrainingControl();
+        this.uiManager.showTrainingModal(modelType, crypto.name);
+        this.chartManager.startLossChart('lossChart');
+        return this.trainingControl;
+    }
+
+    /**
+     * Show a finished epoch in the overlay's progress text and live loss chart
+     */
+    reportProgress(progress) {
+        this.uiManager.updateTrainingProgress(progress);
+        this.chartManager.addLossEpoch(progress);
+    }
+
+    /**
+     * Chart the current model's loss history against the previously shown run's
+     */
+    renderTrainingHistory() {
+        const history = this.modelBuilder.trainingHistory;
+        if (!history || history.loss.length === 0) {
+            this.chartManager.clearLossHistoryChart();
+            this.uiManager.showLossHistory(false);
+            return;
+        }
+
+        this.uiManager.showLossHistory(true);
+        this.chartManager.createLossHistoryChart('lossHistoryChart', history, this.previousHistory);
+        this.previousHistory = history;
+    }
+
+    /**
+     * Chart one forecast step of the trained model's test-period predictions against the actual closes
+     */
+    renderDiagnostics(step) {
+        if (!this.diagnostics) return;
+
+        const { predictions, actuals, timestamps } = this.diagnostics;
+        const report = ForecastMetrics.diagnostics(predictions, actuals, {
+            step: step,
+            window: CHART_CONFIG.diagnostics.rollingWindow,
+            bins: CHART_CONFIG.diagnostics.histogramBins
+        });
+        this.uiManager.updateDiagnostics(report, timestamps[step], this.cryptoKey);
+        this.chartManager.createDiagnosticsCharts({
+            scatter: 'scatterChart',
+            residuals: 'residualChart',
+            histogram: 'errorHistogramChart',
+            rollingMae: 'rollingMaeChart'
+        }, report, timestamps[step]);
+    }
+
+    /**
+     * Drop the diagnostics of a model that is gone or was loaded without its test predictions
+     */
+    clearDiagnostics(message) {
+        this.diagnostics = null;
+        this.chartManager.clearDiagnosticsCharts();
+        this.uiManager.resetDiagnostics(message);
+    }
+
+    /**
+     * Pause the running fit at the end of its current epoch, or resume a paused one
+     */
+    togglePause() {
+        const control = this.trainingControl;
+        if (!control || control.cancelled) return;
+
+        if (control.paused) {
+            control.resume();
+            this.uiManager.log('Training resumed');
+        } else {
+            control.pause();
+            this.uiManager.log('Training paused');
+        }
+        this.uiManager.setTrainingPaused(control.paused);
+    }
+
+    /**
+     * Stop the running fit at its next batch; the run then unwinds through its usual cleanup
+     */
+    cancelTraining() {
+        const control = this.trainingControl;
+        if (!control || control.cancelled) return;
+
+        control.cancel();
+        this.uiManager.setTrainingCancelling();
+    }
+
+    /**
+     * Report a run stopped from the training overlay; returns false for any other error
+     */
+    reportCancellation(error, operation) {
+        if (error.type !== ERROR_TYPES.CANCELLED) return false;
+        this.uiManager.updateStatus(`${operation} cancelled`, 'warning');
+        this.uiManager.log(`${operation} cancelled`, 'warning');
+        return true;
+    }
+
+    /**
+     * Forecast the trained horizon from the latest features and draw the path past the last candle
+     */
+    async predict() {
+        if (this.busy || !this.modelBuilder.isReady()) return;
+        this.busy = true;
+
+        try {
+            const { path, draws } = await this.trainer.run('forecast', {
+                data: this.dataProcessor.getDataSpec(),
+                artifacts: await TrainingJobs.serialize(this.modelBuilder),
+                state: this.modelBuilder.getState(),
+                horizon: this.forecast.horizon,
+                strategy: this.forecast.strategy
+            });
+            const { bands } = PredictionIntervals.fromSamples(draws);
+            const last = path.length - 1;
+            const rawData = this.dataProcessor.rawData;
+            this.chartManager.addForecastPath(
+                path, rawData[rawData.length - 1].timestamp, this.dataProcessor.getCandleInterval(), bands);
+            this.uiManager.updatePrediction(
+                path[last], this.dataProcessor.getCurrentPrice(), this.cryptoKey, path.length,
+                bands.map(band => ({ level: band.level, lower: band.lower[last], upper: band.upper[last] })));
+            this.setStep(APP_STEPS.PREDICTED);
+            this.uiManager.log(
+                `${this.trainedModelType} ${this.forecast.strategy} forecast: ${path.map(p => `$${p.toFixed(6)}`).join(' → ')}`,
+                'success'
+            );
+        } catch (error) {
+            console.error('Prediction failed:', error);
+            this.uiManager.showError(`${error.type || ERROR_TYPES.MODEL_ERROR}: ${error.message}`);
+            this.uiManager.log(`Prediction failed: ${error.message}`, 'error');
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Walk-forward backtest of the selected model: retrain through history, trade its signals, chart the equity
+     * Runs on fresh models, so any trained model stays in place
+     */
+    async runBacktest() {
+        if (this.busy || this.step === APP_STEPS.IDLE) return;
+        this.busy = true;
+
+        const { model: modelType, horizon, strategy, preset } = this.uiManager.getCurrentSelections();
+        const cryptoKey = this.cryptoKey;
+        const crypto = CRYPTO_CONFIG[cryptoKey];
+
+        const control = this.openTrainingOverlay(modelType, crypto);
+        this.uiManager.log(`Backtesting ${modelType} model on ${crypto.name} (${BACKTEST_CONFIG.folds} walk-forward folds)`);
+
+        try {
+            const config = this.modelBuilder.getConfig(modelType, cryptoKey, {}, preset);
+
+            const report = await this.trainer.run('backtest', {
+                data: this.dataProcessor.getDataSpec(),
+                modelType: modelType,
+                cryptoKey: cryptoKey,
+                config: config,
+                outputSize: strategy === 'direct' ? horizon : 1
+            }, {
+                control: control,
+                onStep: (fold, folds) => this.uiManager.updateFoldProgress('Walk-forward Backtest', fold, folds),
+                onProgress: (progress) => this.reportProgress(progress)
+            });
+
+            this.uiManager.hideTrainingModal();
+            this.chartManager.createEquityChart('equityChart', report);
+            this.uiManager.showBacktestResults(report);
+            this.uiManager.updateStatus('Backtest complete', 'success');
+            this.uiManager.log(
+                `Backtest complete - return ${(report.totalReturn * 100).toFixed(2)}% vs buy & hold ${(report.benchmarkReturn * 100).toFixed(2)}%, ` +
+                `Sharpe ${report.sharpe.toFixed(2)}, max drawdown ${(report.maxDrawdown * 100).toFixed(2)}%, ${report.trades} trades over ${report.periods} candles`,
+                'success'
             );
-            
-            if (response.ok) {
-                const data = await response.json();
-                this.currentPrice = data[coinConfig.id]?.usd || 0.62;
-                console.log(`Real ${cryptoKey.toUpperCase()} price: $${this.currentPrice}`);
-            } else {
-                console.log('API failed, using demo price');
-                this.currentPrice = 0.62;
+        } catch (error) {
+            this.uiManager.hideTrainingModal();
+            if (!this.reportCancellation(error, 'Backtest')) {
+                console.error('Backtest failed:', error);
+                this.uiManager.showError(`${error.type || ERROR_TYPES.MODEL_ERROR}: ${error.message}`);
+                this.uiManager.log(`Backtest failed: ${error.message}`, 'error');
             }
-            
-            // Generate historical data with real current price
-            this.generateHistoricalData();
-            
-            // Start price updates
-            if (!this.updateInterval) {
-                this.startPriceUpdates(coinConfig.id);
+        } finally {
+            this.trainingControl = null;
+            this.syncButtonStates();
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Time-series cross-validation of the selected model with the chosen window mode
+     * Runs on fresh models, so any trained model stays in place
+     */
+    async crossValidate() {
+        if (this.busy || this.step === APP_STEPS.IDLE) return;
+        this.busy = true;
+
+        const { model: modelType, horizon, strategy, cvMode, preset } = this.uiManager.getCurrentSelections();
+        const cryptoKey = this.cryptoKey;
+        const crypto = CRYPTO_CONFIG[cryptoKey];
+
+        const control = this.openTrainingOverlay(modelType, crypto);
+        this.uiManager.log(`Cross-validating ${modelType} model on ${crypto.name} (${DATA_CONFIG.crossValidation.folds} ${cvMode} folds)`);
+
+        try {
+            const config = this.modelBuilder.getConfig(modelType, cryptoKey, {}, preset);
+
+            const result = await this.trainer.run('crossValidate', {
+                data: this.dataProcessor.getDataSpec(),
+                mode: cvMode,
+                modelType: modelType,
+                cryptoKey: cryptoKey,
+                config: config,
+                outputSize: strategy === 'direct' ? horizon : 1
+            }, {
+                control: control,
+                onStep: (fold, folds) => this.uiManager.updateFoldProgress('Cross-Validation', fold, folds),
+                onProgress: (progress) => this.reportProgress(progress)
+            });
+
+            this.uiManager.hideTrainingModal();
+            this.uiManager.showCrossValidation(result, cvMode, cryptoKey);
+            this.uiManager.updateStatus('Cross-validation complete', 'success');
+            result.folds.forEach(({ fold, metrics }) => {
+                this.uiManager.log(
+                    `Fold ${fold}: MAE ${metrics.mae.toFixed(6)}, RMSE ${metrics.rmse.toFixed(6)}, ` +
+                    `MASE ${this.formatScore(metrics.mase, 3)}, direction ${this.formatScore(metrics.directionalAccuracy, 1, true)}`);
+            });
+            const { mae, mase, excluded } = result.summary;
+            if (excluded > 0) {
+                this.uiManager.log(`${excluded} fold(s) diverged and are left out of the summary`, 'warning');
             }
-            
-            return this.rawData;
-            
+            this.uiManager.log(
+                `Cross-validation complete - MAE ${mae.mean.toFixed(6)} ± ${mae.std.toFixed(6)}, MASE ${mase.mean.toFixed(3)} ± ${mase.std.toFixed(3)}`,
+                'success'
+            );
         } catch (error) {
-            console.error('Data fetch failed:', error);
-            this.generateHistoricalData();
-            return this.rawData;
+            this.uiManager.hideTrainingModal();
+            if (!this.reportCancellation(error, 'Cross-validation')) {
+                console.error('Cross-validation failed:', error);
+                this.uiManager.showError(`${error.type || ERROR_TYPES.MODEL_ERROR}: ${error.message}`);
+                this.uiManager.log(`Cross-validation failed: ${error.message}`, 'error');
+            }
+        } finally {
+            this.trainingControl = null;
+            this.syncButtonStates();
+            this.busy = false;
         }
     }
 
-    generateHistoricalData() {
-        const data = [];
-        const basePrice = this.currentPrice;
-        const now = Date.now();
-        
-        // Generate 100 data points with realistic price movement
-        for (let i = 99; i >= 0; i--) {
-            const hoursAgo = i;
-            const timestamp = now - (hoursAgo * 3600000);
-            
-            // Create realistic price variations
-            const trendFactor = Math.sin(i * 0.05) * 0.01; // Long-term trend
-            const volatility = (Math.random() - 0.5) * 0.015; // Short-term noise
-            const momentum = Math.sin(i * 0.3) * 0.008; // Medium-term momentum
-            
-            const priceMultiplier = 1 + trendFactor + volatility + momentum;
-            const price = Math.max(0.1, basePrice * priceMultiplier);
-            
-            const volume = 500000 + Math.random() * 1500000;
-            const high = price * (1 + Math.random() * 0.02);
-            const low = price * (1 - Math.random() * 0.02);
-            
-            data.push({
-                timestamp: timestamp,
-                date: new Date(timestamp),
-                price: price,
-                volume: volume,
-                high: high,
-                low: low,
-                open: i < 99 ? data[data.length - 1]?.price || price : price,
-                close: price
+    /**
+     * Fit every baseline on the training split and score it on the same test rows the networks use
+     * The horizon follows the selected strategy, so baselines rank alongside networks trained the same way
+     */
+    async runBaselines() {
+        if (this.busy || this.step === APP_STEPS.IDLE) return;
+        this.busy = true;
+
+        const { horizon, strategy } = this.uiManager.getCurrentSelections();
+        const cryptoKey = this.cryptoKey;
+        const outputSize = strategy === 'direct' ? horizon : 1;
+
+        try {
+            const { rows, scores } = await this.trainer.run('baselines', {
+                data: this.dataProcessor.getDataSpec(),
+                models: BASELINE_CONFIG.models,
+                outputSize: outputSize
             });
+            scores.forEach(({ model, label, metrics }) => {
+                const entry = Leaderboard.score(metrics);
+
+                this.leaderboard.record(cryptoKey, {
+                    model: model,
+                    label: label,
+                    kind: 'baseline',
+                    horizon: outputSize,
+                    ...entry
+                });
+                this.uiManager.log(`${label}: MAE ${entry.mae.toFixed(6)}, RMSE ${entry.rmse.toFixed(6)}`);
+            });
+
+            this.renderLeaderboard();
+            this.uiManager.updateStatus(`Baselines scored on ${rows} test rows`, 'success');
+            this.uiManager.log(`${BASELINE_CONFIG.models.length} baselines scored over a ${outputSize}-candle horizon`, 'success');
+        } catch (error) {
+            console.error('Baselines failed:', error);
+            this.uiManager.showError(`${error.type || ERROR_TYPES.MODEL_ERROR}: ${error.message}`);
+            this.uiManager.log(`Baselines failed: ${error.message}`, 'error');
+        } finally {
+            this.busy = false;
         }
-        
-        this.rawData = data;
-        console.log(`Generated ${data.length} historical data points`);
-        return data;
     }
 
-    processFeatures() {
-        if (this.rawData.length < 10) {
-            this.generateHistoricalData();
+    /**
+     * Search hyperparameters of the selected model over expanding-window validation folds
+     * Runs on fresh models, so any trained model stays in place
+     */
+    async tuneHyperparameters() {
+        if (this.busy || this.step === APP_STEPS.IDLE) return;
+
+        const { model: modelType, horizon, strategy, preset } = this.uiManager.getCurrentSelections();
+        const cryptoKey = this.cryptoKey;
+        const crypto = CRYPTO_CONFIG[cryptoKey];
+        const { method, trials, space } = this.uiManager.readSearchSpace();
+
+        let tuner;
+        try {
+            tuner = new HyperparameterTuner({ method, trials, space });
+        } catch (error) {
+            this.uiManager.showError(`${error.type || ERROR_TYPES.VALIDATION_ERROR}: ${error.message}`);
+            return;
         }
+        this.busy = true;
+
+        const control = this.openTrainingOverlay(modelType, crypto);
+        this.uiManager.log(`Searching ${modelType} hyperparameters on ${crypto.name} (${method}, ${tuner.options.folds} folds per candidate)`);
 
-        const features = [];
-        
-        for (let i = 10; i < this.rawData.length; i++) {
-            const current = this.rawData[i];
-            const prev = this.rawData[i-1];
-            const prev5 = this.rawData[i-5];
-            const prev10 = this.rawData[i-10];
-            
-            // Technical indicators
-            const sma5 = this.calculateSMA(i, 5);
-            const sma10 = this.calculateSMA(i, 10);
-            const rsi = this.calculateRSI(i, 14);
-            const macd = this.calculateMACD(i);
-            const bollinger = this.calculateBollingerBands(i, 20);
-            const volatility = this.calculateVolatility(i, 10);
-            
-            // Price features
-            const priceChange1h = (current.price - prev.price) / prev.price;
-            const priceChange5h = (current.price - prev5.price) / prev5.price;
-            const priceChange10h = (current.price - prev10.price) / prev10.price;
-            
-            // Volume features
-            const volumeRatio = current.volume / prev.volume;
-            const avgVolume5 = this.calculateAvgVolume(i, 5);
-            const volumeMA = current.volume / avgVolume5;
-            
-            // Advanced features
-            const pricePosition = (current.price - bollinger.lower) / (bollinger.upper - bollinger.lower);
-            const trendStrength = Math.abs(sma5 - sma10) / sma10;
-            
-            // Time-based features
-            const hourOfDay = new Date(current.timestamp).getHours();
-            const dayOfWeek = new Date(current.timestamp).getDay();
-            
-            features.push({
-                features: [
-                    current.price,
-                    priceChange1h,
-                    priceChange5h,
-                    priceChange10h,
-                    sma5,
-                    sma10,
-                    rsi,
-                    macd.macd,
-                    macd.signal,
-                    bollinger.upper,
-                    bollinger.lower,
-                    pricePosition,
-                    volatility,
-                    volumeRatio,
-                    volumeMA,
-                    trendStrength,
-                    Math.sin(hourOfDay * Math.PI / 12), // Time encoding
-                    Math.cos(hourOfDay * Math.PI / 12),
-                    Math.sin(dayOfWeek * Math.PI / 3.5),
-                    Math.cos(dayOfWeek * Math.PI / 3.5)
-                ],
-                target: this.rawData[Math.min(i + 1, this.rawData.length - 1)].price
+        try {
+            const result = await this.trainer.run('tune', {
+                data: this.dataProcessor.getDataSpec(),
+                options: tuner.options,
+                modelType: modelType,
+                cryptoKey: cryptoKey,
+                preset: preset,
+                outputSize: strategy === 'direct' ? horizon : 1
+            }, {
+                control: control,
+                onStep: (trial, total) => this.uiManager.updateFoldProgress('Hyperparameter Search', trial, total, 'Trial'),
+                onProgress: (progress) => this.reportProgress(progress)
             });
+            this.tuning = { modelType, cryptoKey, preset, result };
+
+            this.uiManager.hideTrainingModal();
+            this.renderTuningResults();
+            this.uiManager.updateStatus('Hyperparameter search complete', 'success');
+            const { best } = result;
+            this.uiManager.log(
+                `Search complete - best of ${result.trials.length}: ${this.describeHyperparameters(best.hyperparameters)} ` +
+                `(MAE ${this.formatScore(best.score.mae, 6)}, ${best.epochs} epochs)`,
+                'success'
+            );
+        } catch (error) {
+            this.uiManager.hideTrainingModal();
+            if (!this.reportCancellation(error, 'Hyperparameter search')) {
+                console.error('Hyperparameter search failed:', error);
+                this.uiManager.showError(`${error.type || ERROR_TYPES.MODEL_ERROR}: ${error.message}`);
+                this.uiManager.log(`Hyperparameter search failed: ${error.message}`, 'error');
+            }
+        } finally {
+            this.trainingControl = null;
+            this.syncButtonStates();
+            this.busy = false;
         }
-        
-        this.processedData = features;
-        console.log(`Processed ${features.length} feature vectors with advanced technical indicators`);
-        return features;
-    }
-
-    // Technical Analysis Functions
-    calculateSMA(index, period) {
-        const start = Math.max(0, index - period + 1);
-        const prices = this.rawData.slice(start, index + 1).map(d => d.price);
-        return prices.reduce((sum, price) => sum + price, 0) / prices.length;
-    }
-
-    calculateRSI(index, period = 14) {
-        if (index < period) return 50;
-        
-        let gains = 0, losses = 0;
-        for (let i = index - period + 1; i <= index; i++) {
-            const change = this.rawData[i].price - this.rawData[i-1].price;
-            if (change > 0) gains += change;
-            else losses += Math.abs(change);
+    }
+
+    /**
+     * Redraw the last search's results with their apply and save actions
+     */
+    renderTuningResults() {
+        const { modelType, cryptoKey, result } = this.tuning;
+        this.uiManager.renderTuningResults(result, modelType, cryptoKey, {
+            onApply: () => this.applyTunedConfig(),
+            onSave: (name) => this.saveTunedPreset(name)
+        });
+    }
+
+    /**
+     * Use the best searched configuration for the asset's tier for the rest of the session
+     */
+    applyTunedConfig() {
+        if (!this.tuning) return;
+        const { modelType, cryptoKey, result } = this.tuning;
+        const tier = CRYPTO_CONFIG[cryptoKey].iso20022 ? 'iso20022' : 'standard';
+
+        HyperparameterTuner.applyToTier(modelType, tier, result.best.config);
+        this.uiManager.updateStatus(`Best configuration applied to the ${modelType} ${tier} tier`, 'success');
+        this.uiManager.log(`Applied ${this.describeHyperparameters(result.best.hyperparameters)} to ${modelType} ${tier} for this session`);
+    }
+
+    /**
+     * Keep the best searched configuration as a named preset selectable next to the model
+     */
+    saveTunedPreset(name) {
+        if (!this.tuning) return;
+        const { modelType, result } = this.tuning;
+
+        try {
+            const key = HyperparameterTuner.savePreset(modelType, name, result.best.config);
+            this.renderPresetOptions(key);
+            this.uiManager.updateStatus(`Saved ${modelType} preset "${key}"`, 'success');
+            this.uiManager.log(`Saved ${modelType} preset "${key}": ${this.describeHyperparameters(result.best.hyperparameters)}`, 'success');
+        } catch (error) {
+            this.uiManager.showError(`${error.type || ERROR_TYPES.VALIDATION_ERROR}: ${error.message}`);
         }
-        
-        const avgGain = gains / period;
-        const avgLoss = losses / period;
-        const rs = avgGain / (avgLoss || 0.001);
-        return 100 - (100 / (1 + rs));
-    }
-
-    calculateMACD(index, fast = 12, slow = 26, signal = 9) {
-        const emaFast = this.calculateEMA(index, fast);
-        const emaSlow = this.calculateEMA(index, slow);
-        const macd = emaFast - emaSlow;
-        const signalLine = this.calculateEMA(index, signal, 'macd');
-        
-        return {
-            macd: macd,
-            signal: signalLine,
-            histogram: macd - signalLine
-        };
-    }
-
-    calculateEMA(index, period, type = 'price') {
-        if (index < period) return this.rawData[index].price;
-        
-        const multiplier = 2 / (period + 1);
-        let ema = this.rawData[index - period].price;
-        
-        for (let i = index - period + 1; i <= index; i++) {
-            const value = type === 'price' ? this.rawData[i].price : this.rawData[i].price; // Simplified
-            ema = (value * multiplier) + (ema * (1 - multiplier));
+    }
+
+    /**
+     * Refill the preset selector with the selected model's presets
+     */
+    renderPresetOptions(selected = null) {
+        const { model: modelType } = this.uiManager.getCurrentSelections();
+        this.uiManager.renderPresetOptions(HyperparameterTuner.presetNames(modelType), selected);
+    }
+
+    /**
+     * Compact "key=value" list of searched hyperparameters for logs
+     */
+    describeHyperparameters(hyperparameters) {
+        return Object.entries(hyperparameters).map(([key, value]) => `${key}=${value}`).join(', ');
+    }
+
+    /**
+     * Redraw the current asset's leaderboard with the selected ranking metric
+     */
+    renderLeaderboard() {
+        const sortKey = this.uiManager.getLeaderboardSort();
+        this.uiManager.renderLeaderboard(
+            this.leaderboard.rank(this.cryptoKey, sortKey), LEADERBOARD_METRICS, sortKey, this.cryptoKey);
+    }
+
+    /**
+     * Save the trained model with its metadata to the browser's model registry
+     */
+    async saveModel() {
+        if (this.busy || !this.modelBuilder.isReady() || !this.modelMetadata) return;
+        if (this.modelSaved) {
+            this.uiManager.updateStatus('This model is already saved - train a new one to save it', 'warning');
+            return;
         }
-        
-        return ema;
-    }
-
-    calculateBollingerBands(index, period = 20, stdDev = 2) {
-        const sma = this.calculateSMA(index, period);
-        const start = Math.max(0, index - period + 1);
-        const prices = this.rawData.slice(start, index + 1).map(d => d.price);
-        
-        const variance = prices.reduce((sum, price) => sum + Math.pow(price - sma, 2), 0) / prices.length;
-        const standardDeviation = Math.sqrt(variance);
-        
-        return {
-            upper: sma + (standardDeviation * stdDev),
-            middle: sma,
-            lower: sma - (standardDeviation * stdDev)
-        };
-    }
-
-    calculateVolatility(index, period = 10) {
-        if (index < period) return 0;
-        
-        const returns = [];
-        for (let i = index - period + 1; i <= index; i++) {
-            const prevPrice = this.rawData[i-1].price;
-            const currentPrice = this.rawData[i].price;
-            returns.push(Math.log(currentPrice / prevPrice));
+        this.busy = true;
+
+        try {
+            const record = await this.registry.save(this.modelBuilder, this.modelMetadata);
+            this.modelSaved = true;
+            this.uiManager.updateStatus(`Saved model "${record.name}"`, 'success');
+            this.uiManager.log(`Saved ${record.modelType} model as "${record.name}"`, 'success');
+            await this.refreshSavedModels();
+        } catch (error) {
+            console.error('Save model failed:', error);
+            this.uiManager.showError(`${error.type || ERROR_TYPES.MODEL_ERROR}: ${error.message}`);
+            this.uiManager.log(`Saving model failed: ${error.message}`, 'error');
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Download the current model as a bundle: TF.js model.json, weights and a manifest
+     */
+    async exportModel() {
+        if (this.busy || !this.modelBuilder.isReady() || !this.modelMetadata) return;
+        this.busy = true;
+
+        try {
+            const files = await ModelBundle.export(this.modelBuilder, this.modelMetadata);
+            this.uiManager.downloadFiles(files);
+            this.uiManager.updateStatus(`Exported "${this.modelMetadata.name}"`, 'success');
+            this.uiManager.log(`Exported model bundle: ${files.map(file => file.name).join(', ')}`, 'success');
+        } catch (error) {
+            console.error('Export model failed:', error);
+            this.uiManager.showError(`${error.type || ERROR_TYPES.MODEL_ERROR}: ${error.message}`);
+            this.uiManager.log(`Exporting model failed: ${error.message}`, 'error');
+        } finally {
+            this.busy = false;
         }
-        
-        const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
-        const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / returns.length;
-        return Math.sqrt(variance * 252); // Annualized volatility
     }
 
-    calculateAvgVolume(index, period) {
-        const start = Math.max(0, index - period + 1);
-        const volumes = this.rawData.slice(start, index + 1).map(d => d.volume);
-        return volumes.reduce((sum, vol) => sum + vol, 0) / volumes.length;
+    /**
+     * Open the file picker for a model bundle
+     */
+    openBundleImport() {
+        if (this.busy || this.step === APP_STEPS.IDLE) return;
+        this.uiManager.openBundlePicker();
     }
 
-    // Data splitting for ML
-    splitData(trainRatio = 0.8) {
-        if (this.processedData.length === 0) {
-            this.processFeatures();
+    /**
+     * Import a model bundle picked as files (manifest, model.json and weights)
+     * The manifest must match the loaded asset and the current feature pipeline before the model can predict
+     */
+    async importModelBundle(files) {
+        if (!files || files.length === 0 || this.busy || this.step === APP_STEPS.IDLE) return;
+        this.busy = true;
+
+        try {
+            const { manifest, source } = await ModelBundle.read(files);
+            ModelBundle.validate(manifest, this.cryptoKey, this.dataProcessor.featurePipeline, this.dataProcessor.getFeatureSchema());
+
+            await this.modelBuilder.load(source, manifest.state);
+            const { format, version, exportedAt, files: bundleFiles, state, ...metadata } = manifest;
+            this.trainedModelType = manifest.modelType;
+            this.forecast = { horizon: manifest.horizon, strategy: manifest.strategy };
+            this.modelMetadata = metadata;
+            this.modelSaved = false;
+
+            this.chartManager.clearForecast();
+            this.chartManager.clearPredictions();
+            this.clearDiagnostics('Diagnostics need the test-period predictions of a fresh training run');
+            this.uiManager.updateMetrics(manifest.metrics, manifest.cryptoKey);
+            this.uiManager.updateModelInfo(this.modelBuilder.getModelInfo(manifest.modelType, manifest.cryptoKey));
+            this.renderTrainingHistory();
+            this.setStep(APP_STEPS.MODEL_TRAINED);
+            this.uiManager.updateStatus(`Imported model "${manifest.name}"`, 'success');
+            this.uiManager.log(
+                `Imported "${manifest.name}" (${manifest.modelType}, ${manifest.strategy} ${manifest.horizon}-step, ` +
+                `exported ${new Date(exportedAt).toLocaleString()})`,
+                'success'
+            );
+        } catch (error) {
+            console.error('Import model failed:', error);
+            this.uiManager.showError(`${error.type || ERROR_TYPES.MODEL_ERROR}: ${error.message}`);
+            this.uiManager.log(`Importing model bundle failed: ${error.message}`, 'error');
+        } finally {
+            this.busy = false;
         }
-        
-        const splitIndex = Math.floor(this.processedData.length * trainRatio);
-        return {
-            train: this.processedData.slice(0, splitIndex),
-            test: this.processedData.slice(splitIndex)
-        };
     }
 
-    getLatestFeatures() {
-        if (this.processedData.length === 0) {
-            this.processFeatures();
+    /**
+     * Redraw the saved model list for the selected asset
+     */
+    async refreshSavedModels() {
+        try {
+            const records = await this.registry.list(this.cryptoKey);
+            this.uiManager.renderSavedModels(records, this.cryptoKey, {
+                onLoad: (id) => this.loadSavedModel(id),
+                onRename: (id, name) => this.renameSavedModel(id, name),
+                onDelete: (id) => this.deleteSavedModel(id)
+            });
+        } catch (error) {
+            console.error('Listing saved models failed:', error);
+            this.uiManager.log(`Saved models unavailable: ${error.message}`, 'warning');
         }
-        return this.processedData[this.processedData.length - 1]?.features || null;
-    }
-
-    getCurrentPrice() {
-        return this.currentPrice;
-    }
-
-    startPriceUpdates(coinId) {
-        this.updateInterval = setInterval(async () => {
-            try {
-                const response = await fetch(
-                    `https://api.coingecko.com/api/v3/simple/price?ids=${coinId}&vs_currencies=usd&x_cg_demo_api_key=${this.apiKey}`
-                );
-                
-                if (response.ok) {
-                    const data = await response.json();
-                    const newPrice = data[coinId]?.usd;
-                    if (newPrice) {
-                        this.currentPrice = newPrice;
-                        console.log(`Price updated: $${newPrice}`);
-                        
-                        // Update UI if elements exist
-                        const priceElement = document.querySelector('[data-price]');
-                        if (priceElement) {
-                            priceElement.textContent = `$${newPrice.toFixed(6)}`;
-                        }
-                    }
-                }
-            } catch (error) {
-                console.log('Price update failed:', error.message);
+    }
+
+    /**
+     * Restore a saved model for prediction on the loaded data
+     * The model's feature pipeline is re-applied first if the current one differs
+     */
+    async loadSavedModel(id) {
+        if (this.busy) return;
+        this.busy = true;
+
+        try {
+            const record = await this.registry.get(id);
+            if (this.step === APP_STEPS.IDLE || record.cryptoKey !== this.cryptoKey) {
+                throw new PlatformError(ERROR_TYPES.DATA_ERROR,
+                    `Load ${CRYPTO_CONFIG[record.cryptoKey].name} data before loading "${record.name}"`);
             }
-        }, 300000); // 5 minutes
+            if (JSON.stringify(record.featurePipeline) !== JSON.stringify(this.dataProcessor.featurePipeline.toJSON())) {
+                this.rebuildFeatures(record.featurePipeline);
+                this.uiManager.log(`Restored the feature pipeline "${record.name}" was trained with`);
+            }
+            FeatureSchema.fromJSON(record.state.featureSchema)
+                .validateSchema(this.dataProcessor.getFeatureSchema(), `Saved model "${record.name}"`);
+
+            await this.registry.load(id, this.modelBuilder);
+            const { id: savedId, state, savedAt, ...metadata } = record;
+            this.trainedModelType = record.modelType;
+            this.forecast = { horizon: record.horizon, strategy: record.strategy };
+            this.modelMetadata = metadata;
+            this.modelSaved = true;
+
+            this.chartManager.clearForecast();
+            this.chartManager.clearPredictions();
+            this.clearDiagnostics('Diagnostics need the test-period predictions of a fresh training run');
+            this.uiManager.updateMetrics(record.metrics, record.cryptoKey);
+            this.uiManager.updateModelInfo(this.modelBuilder.getModelInfo(record.modelType, record.cryptoKey));
+            this.renderTrainingHistory();
+            this.setStep(APP_STEPS.MODEL_TRAINED);
+            this.uiManager.updateStatus(`Loaded model "${record.name}"`, 'success');
+            this.uiManager.log(
+                `Loaded "${record.name}" (${record.modelType}, ${record.strategy} ${record.horizon}-step, ` +
+                `trained ${new Date(record.trainRange.from).toLocaleDateString()}–${new Date(record.trainRange.to).toLocaleDateString()})`,
+                'success'
+            );
+        } catch (error) {
+            console.error('Load model failed:', error);
+            this.uiManager.showError(`${error.type || ERROR_TYPES.MODEL_ERROR}: ${error.message}`);
+            this.uiManager.log(`Loading saved model failed: ${error.message}`, 'error');
+        } finally {
+            this.busy = false;
+        }
     }
 
-    reset() {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
+    /**
+     * Give a saved model a new display name
+     */
+    async renameSavedModel(id, name) {
+        try {
+            const record = await this.registry.rename(id, name);
+            this.uiManager.log(`Renamed saved model to "${record.name}"`);
+        } catch (error) {
+            this.uiManager.showError(`${error.type || ERROR_TYPES.MODEL_ERROR}: ${error.message}`);
+        }
+        await this.refreshSavedModels();
+    }
+
+    /**
+     * Remove a saved model's weights and metadata
+     */
+    async deleteSavedModel(id) {
+        try {
+            await this.registry.remove(id);
+            this.uiManager.log(`Deleted saved model ${id}`);
+        } catch (error) {
+            this.uiManager.showError(`${error.type || ERROR_TYPES.MODEL_ERROR}: ${error.message}`);
         }
-        this.rawData = [];
-        this.processedData = [];
-        this.currentPrice = 0.62;
+        await this.refreshSavedModels();
+    }
+
+    /**
+     * Log-friendly score that may be null when it cannot be computed
+     */
+    formatScore(value, decimals, percent = false) {
+        if (value === null || value === undefined) return 'n/a';
+        return percent ? `${(value * 100).toFixed(decimals)}%` : value.toFixed(decimals);
+    }
+
+    /**
+     * Show the presets saved for a newly selected model type
+     */
+    selectModel() {
+        this.renderPresetOptions();
+    }
+
+    /**
+     * Reset the pipeline when the selected cryptocurrency changes
+     */
+    selectCrypto() {
+        const { crypto: cryptoKey } = this.uiManager.getCurrentSelections();
+        if (this.busy) {
+            // A running job keeps its asset; don't let the selector claim otherwise
+            this.uiManager.setSelectedCrypto(this.cryptoKey);
+            this.uiManager.log(`Finish the running job before switching to ${CRYPTO_CONFIG[cryptoKey].name}`, 'warning');
+            return;
+        }
+
+        this.cryptoKey = cryptoKey;
+        this.dataProcessor.reset();
+        this.modelBuilder.dispose();
+        this.chartManager.destroy();
+        this.trainedModelType = null;
+        this.forecast = null;
+        this.modelMetadata = null;
+        this.modelSaved = false;
+        this.tuning = null;
+        this.previousHistory = null;
+        this.diagnostics = null;
+
+        this.uiManager.resetMetrics();
+        this.uiManager.renderTuningResults(null);
+        this.renderLeaderboard();
+        this.refreshSavedModels();
+        this.setStep(APP_STEPS.IDLE);
+        this.uiManager.updateCryptoSelection(cryptoKey);
+        this.uiManager.log(`Selected ${CRYPTO_CONFIG[cryptoKey].name}`);
+    }
+
+    /**
+     * Get the pipeline step the user has reached
+     */
+    getStep() {
+        return this.step;
     }
 }
 
-// Global initialization
-window.DataProcessor = DataProcessor;
+// Export for global use
+window.CryptoMLApp = CryptoMLApp;
+window.APP_STEPS = APP_STEPS;
+
+let app = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    app = new CryptoMLApp().initialize();
+    window.app = app;
+});
+
+// Handlers referenced from index.html
+function loadData() {
+    return app && app.loadData();
+}
+
+function trainModel() {
+    return app && app.trainModel();
+}
+
+function predict() {
+    return app && app.predict();
+}
+
+function pauseTraining() {
+    return app && app.togglePause();
+}
+
+function cancelTraining() {
+    return app && app.cancelTraining();
+}
+
+function runBacktest() {
+    return app && app.runBacktest();
+}
+
+function crossValidate() {
+    return app && app.crossValidate();
+}
+
+function runBaselines() {
+    return app && app.runBaselines();
+}
+
+function renderLeaderboard() {
+    return app && app.renderLeaderboard();
+}
+
+function tuneHyperparameters() {
+    return app && app.tuneHyperparameters();
+}
+
+function saveModel() {
+    return app && app.saveModel();
+}
+
+function exportModel() {
+    return app && app.exportModel();
+}
+
+function importModel() {
+    return app && app.openBundleImport();
+}
+
+function importModelBundle(files) {
+    return app && app.importModelBundle(files);
+}
+
+function importData() {
+    return app && app.openFileImport();
+}
+
+function importFile(file) {
+    return app && app.importFile(file);
+}
+
+function addFeature() {
+    return app && app.addFeature();
+}
+
+function applyFeatures() {
+    return app && app.applyFeatures();
+}
+
+function resetFeatures() {
+    return app && app.resetFeatures();
+}
+
+function selectCrypto() {
+    return app && app.selectCrypto();
+}
+
+function selectModel() {
+    return app && app.selectModel();
+}
+
+function resetZoom() {
+    return app && app.resetZoom();
+}
+
+function toggleTrainOnRange(enabled) {
+    return app && app.toggleTrainOnRange(enabled);
+}
@@ -0,0 +1,143 @@
+/**
+ * Forecast Metrics for price predictions
+ * Scale-free and persistence-relative scores, so every model is judged against carrying the last close forward
+ */
+
+class ForecastMetrics {
+    /**
+     * Mean absolute persistence error over labelled rows, used as the MASE scale
+     * Every step is compared with the close its row was built at, so the scale matches the horizon being scored
+     */
+    static naiveScale(rows) {
+        let error = 0;
+        let count = 0;
+        rows.forEach(row => {
+            const targets = Array.isArray(row.target) ? row.target : [row.target];
+            targets.forEach(target => {
+                error += Math.abs(target - row.reference);
+                count++;
+            });
+        });
+        return count > 0 ? error / count : null;
+    }
+
+    /**
+     * Score price predictions against actual closes
+     * predictions and actuals hold a number per row or per-step arrays; references are the closes each row was built at.
+     * scale is the in-sample naive error from naiveScale. Scores that need references or scale are null without them.
+     */
+    static evaluate(predictions, actuals, references = null, scale = null) {
+        const points = [];
+        predictions.forEach((prediction, i) => {
+            const predicted = Array.isArray(prediction) ? prediction : [prediction];
+            const actual = Array.isArray(actuals[i]) ? actuals[i] : [actuals[i]];
+            predicted.forEach((value, step) => {
+                points.push({ predicted: value, actual: actual[step], reference: references ? references[i] : null });
+            });
+        });
+
+        const n = points.length;
+        const meanActual = points.reduce((sum, p) => sum + p.actual, 0) / n;
+        let mae = 0, mse = 0, totalSq = 0;
+        let ape = 0, apeCount = 0, sape = 0, sapeCount = 0;
+        let naiveAbs = 0, naiveSq = 0, relSq = 0, relNaiveSq = 0;
+        let calls = 0, hits = 0;
+
+        points.forEach(({ predicted, actual, reference }) => {
+            const error = predicted - actual;
+            mae += Math.abs(error);
+            mse += error * error;
+            totalSq += (actual - meanActual) ** 2;
+
+            if (actual !== 0) {
+                ape += Math.abs(error / actual);
+                apeCount++;
+            }
+            const magnitude = (Math.abs(actual) + Math.abs(predicted)) / 2;
+            if (magnitude > 0) {
+                sape += Math.abs(error) / magnitude;
+                sapeCount++;
+            }
+
+            if (reference === null) return;
+            naiveAbs += Math.abs(actual - reference);
+            naiveSq += (actual - reference) ** 2;
+            relSq += (error / reference) ** 2;
+            relNaiveSq += ((actual - reference) / reference) ** 2;
+
+            // Direction is only scored where the model predicts a move; flat forecasts make no call
+            const direction = Math.sign(predicted - reference);
+            if (direction !== 0) {
+                calls++;
+                if (direction === Math.sign(actual - reference)) hits++;
+            }
+        });
+
+        mae /= n;
+        mse /= n;
+        const hasReferences = references !== null && n > 0;
+
+        return {
+            mae: mae,
+            mse: mse,
+            rmse: Math.sqrt(mse),
+            r2: totalSq === 0 ? 0 : 1 - (mse * n) / totalSq,
+            mape: apeCount > 0 ? ape / apeCount : null,
+            smape: sapeCount > 0 ? sape / sapeCount : null,
+            mase: scale > 0 ? mae / scale : null,
+            // Theil's U2: relative RMSE against persistence; below 1 beats the last close
+            theilU: hasReferences && relNaiveSq > 0 ? Math.sqrt(relSq / relNaiveSq) : null,
+            skill: hasReferences && naiveAbs > 0 ? 1 - (mae * n) / naiveAbs : null,
+            directionalAccuracy: calls > 0 ? hits / calls : null,
+            naiveMae: hasReferences ? naiveAbs / n : null,
+            naiveRmse: hasReferences ? Math.sqrt(naiveSq / n) : null,
+            sampleSize: n
+        };
+    }
+
+    /**
+     * Per-row errors of one forecast step, for charting where a model misses
+     * Residuals are actual - predicted, so positive values mean the model predicted too low.
+     * rollingMae averages absolute residuals over the trailing window (shorter at the start);
+     * the histogram's bins are symmetric around zero so the centre bin holds the near misses.
+     */
+    static diagnostics(predictions, actuals, { step = 0, window = 20, bins = 21 } = {}) {
+        const pick = (value) => (Array.isArray(value) ? value[step] : value);
+        const predicted = predictions.map(pick);
+        const actual = actuals.map(pick);
+        const residuals = actual.map((value, i) => value - predicted[i]);
+
+        let sum = 0;
+        const rollingMae = residuals.map((residual, i) => {
+            sum += Math.abs(residual);
+            if (i >= window) sum -= Math.abs(residuals[i - window]);
+            return sum / Math.min(i + 1, window);
+        });
+
+        const reach = Math.max(...residuals.map(Math.abs)) || 1;
+        const width = (2 * reach) / bins;
+        const counts = new Array(bins).fill(0);
+        residuals.forEach(residual => {
+            counts[Math.min(bins - 1, Math.floor((residual + reach) / width))]++;
+        });
+
+        const n = residuals.length;
+        const bias = n > 0 ? residuals.reduce((total, r) => total + r, 0) / n : 0;
+        return {
+            predicted: predicted,
+            actual: actual,
+            residuals: residuals,
+            rollingMae: rollingMae,
+            histogram: {
+                centers: counts.map((_, b) => -reach + (b + 0.5) * width),
+                width: width,
+                counts: counts
+            },
+            mae: n > 0 ? residuals.reduce((total, r) => total + Math.abs(r), 0) / n : 0,
+            bias: bias
+        };
+    }
+}
+
+// Export for global use
+window.ForecastMetrics = ForecastMetrics;
@@ -3,27 +3,113 @@
  * Handles model creation, training, and evaluation
  */
 
+// Layers kept in training mode for Monte-Carlo dropout; batch normalization stays in inference mode
+const MC_DROPOUT_LAYERS = ['Dropout', 'LSTM'];
+
 class ModelBuilder {
     constructor() {
         this.model = null;
         this.trainingHistory = null;
+        this.trainingSummary = null;
+        this.featureSchema = null;
+        this.scaler = null;
+        this.lookback = 1;
+        this.outputSize = 1;
+        this.naiveScale = null;
+        this.config = null;
+    }
+
+    /**
+     * Window length a model type consumes: config.lookback (default DATA_CONFIG.sequence.lookback) for sequence models, 1 otherwise
+     */
+    getLookback(modelType, config = {}) {
+        if (!DATA_CONFIG.sequence.models.includes(modelType)) return 1;
+        return config.lookback || DATA_CONFIG.sequence.lookback;
+    }
+
+    /**
+     * Resolved hyperparameters for a model type on an asset
+     * The asset's MODEL_CONFIG tier (or a named preset) over ARCHITECTURE_CONFIG defaults, then any overrides
+     */
+    getConfig(modelType, cryptoKey, overrides = {}, preset = null) {
+        const tiers = MODEL_CONFIG[modelType];
+        if (!tiers) {
+            throw new Error(`Unknown model type: ${modelType}`);
+        }
+        const tier = CRYPTO_CONFIG[cryptoKey].iso20022 ? 'iso20022' : 'standard';
+        if (preset && !tiers[preset]) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, `Unknown ${modelType} preset: ${preset}`);
+        }
+
+        const config = {
+            batchSize: DATA_CONFIG.batchSize,
+            ...ARCHITECTURE_CONFIG[modelType],
+            ...tiers[preset || tier],
+            ...overrides
+        };
+        config.lookback = this.getLookback(modelType, config);
+        return config;
+    }
+
+    /**
+     * Fit feature and target scaling on the training split only
+     */
+    fitScaler(trainRows, options = DATA_CONFIG.scaling) {
+        this.scaler = new DataScaler(options).fit(trainRows);
+        return this.scaler;
+    }
+
+    /**
+     * Build scaled input and target tensors from processed rows
+     * Sequence models take [rows, lookback, features] windows from each row's `sequence`
+     */
+    prepareTensors(rows) {
+        if (!this.scaler) {
+            throw new Error('Fit the scaler on training data before preparing tensors');
+        }
+
+        return {
+            x: this.lookback > 1
+                ? tf.tensor3d(rows.map(row => this.scaleSequence(row.sequence)))
+                : tf.tensor2d(this.scaler.transformFeatures(rows.map(row => row.features))),
+            y: tf.tensor2d(this.scaler.transformTargets(rows.map(row => row.target), rows.map(row => row.reference)))
+        };
+    }
+
+    /**
+     * Scale each step of a [lookback, features] window
+     */
+    scaleSequence(sequence) {
+        if (!sequence || sequence.length !== this.lookback) {
+            throw new PlatformError(
+                ERROR_TYPES.VALIDATION_ERROR,
+                `Sequence input: expected windows of ${this.lookback} steps, got ${sequence ? sequence.length : 'none'}`
+            );
+        }
+        return this.scaler.transformFeatures(sequence);
     }
 
     /**
      * Build neural network architecture based on model type and crypto configuration
+     * Input dimensions come from the FeatureSchema emitted by DataProcessor
+     * outputSize is the number of future closes predicted at once (direct multi-step forecasting)
      */
-    buildModel(modelType, cryptoKey) {
-        const crypto = CRYPTO_CONFIG[cryptoKey];
-        const configType = crypto.iso20022 ? 'iso20022' : 'standard';
-        const config = MODEL_CONFIG[modelType][configType];
+    buildModel(modelType, cryptoKey, featureSchema, outputSize = 1, config = this.getConfig(modelType, cryptoKey)) {
+        if (!featureSchema || featureSchema.size === 0) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, 'A feature schema is required to build a model');
+        }
+        this.config = config;
+        this.featureSchema = featureSchema;
+        this.lookback = config.lookback;
+        this.outputSize = outputSize;
 
         switch (modelType) {
             case 'neural':
-                return this.buildNeuralNetwork(config);
+                return this.buildNeuralNetwork(config, featureSchema.size, outputSize);
             case 'deep':
-                return this.buildDeepNetwork(config);
+                return this.buildDeepNetwork(config, featureSchema.size, outputSize);
             case 'lstm':
-                return this.buildLSTMNetwork(config);
+                return this.buildLSTMNetwork(config, featureSchema.size, this.lookback, outputSize);
             default:
                 throw new Error(`Unknown model type: ${modelType}`);
         }
@@ -31,27 +117,30 @@ class ModelBuilder {
 
     /**
      * Build standard neural network
+     * Dropout follows the first layer; each further hidden layer halves the units
      */
-    buildNeuralNetwork(config) {
-        this.model = tf.sequential({
-            layers: [
-                tf.layers.dense({
-                    inputShape: [6], // 6 features from dataProcessor
-                    units: config.hiddenUnits,
-                    activation: 'relu',
-                    kernelInitializer: 'glorotNormal'
-                }),
-                tf.layers.dropout({ rate: 0.2 }),
-                tf.layers.dense({
-                    units: Math.floor(config.hiddenUnits / 2),
-                    activation: 'relu'
-                }),
-                tf.layers.dense({
-                    units: 1,
-                    activation: 'linear'
-                })
-            ]
-        });
+    buildNeuralNetwork(config, inputSize, outputSize = 1) {
+        const layers = [
+            tf.layers.dense({
+                inputShape: [inputSize],
+                units: config.hiddenUnits,
+                activation: 'relu',
+                kernelInitializer: 'glorotNormal'
+            }),
+            tf.layers.dropout({ rate: config.dropout })
+        ];
+        for (let i = 1; i < config.layers; i++) {
+            layers.push(tf.layers.dense({
+                units: Math.max(1, Math.floor(config.hiddenUnits / 2 ** i)),
+                activation: 'relu'
+            }));
+        }
+        layers.push(tf.layers.dense({
+            units: outputSize,
+            activation: 'linear'
+        }));
+
+        this.model = tf.sequential({ layers: layers });
 
         this.compileModel(config.learningRate);
         return this.model;
@@ -59,34 +148,28 @@ class ModelBuilder {
 
     /**
      * Build deep neural network with batch normalization
+     * Layers start at twice hiddenUnits and halve; batch normalization follows all but the last,
+     * and dropout tapers by 0.1 per layer from config.dropout
      */
-    buildDeepNetwork(config) {
-        this.model = tf.sequential({
-            layers: [
-                tf.layers.dense({
-                    inputShape: [6],
-                    units: config.hiddenUnits * 2,
-                    activation: 'relu'
-                }),
-                tf.layers.batchNormalization(),
-                tf.layers.dropout({ rate: 0.3 }),
-                tf.layers.dense({
-                    units: config.hiddenUnits,
-                    activation: 'relu'
-                }),
-                tf.layers.batchNormalization(),
-                tf.layers.dropout({ rate: 0.2 }),
-                tf.layers.dense({
-                    units: Math.floor(config.hiddenUnits / 2),
-                    activation: 'relu'
-                }),
-                tf.layers.dropout({ rate: 0.1 }),
-                tf.layers.dense({
-                    units: 1,
-                    activation: 'linear'
-                })
-            ]
-        });
+    buildDeepNetwork(config, inputSize, outputSize = 1) {
+        const layers = [];
+        for (let i = 0; i < config.layers; i++) {
+            layers.push(tf.layers.dense({
+                ...(i === 0 ? { inputShape: [inputSize] } : {}),
+                units: Math.max(1, Math.floor((config.hiddenUnits * 2) / 2 ** i)),
+                activation: 'relu'
+            }));
+            if (i < config.layers - 1) {
+                layers.push(tf.layers.batchNormalization());
+            }
+            layers.push(tf.layers.dropout({ rate: Math.max(0, Math.round((config.dropout - 0.1 * i) * 100) / 100) }));
+        }
+        layers.push(tf.layers.dense({
+            units: outputSize,
+            activation: 'linear'
+        }));
+
+        this.model = tf.sequential({ layers: layers });
 
         this.compileModel(config.learningRate);
         return this.model;
@@ -94,31 +177,30 @@ class ModelBuilder {
 
     /**
      * Build LSTM network for time series prediction
+     * Input is a window of `lookback` consecutive feature vectors
      */
-    buildLSTMNetwork(config) {
-        this.model = tf.sequential({
-            layers: [
-                tf.layers.reshape({
-                    inputShape: [6],
-                    targetShape: [6, 1]
-                }),
-                tf.layers.lstm({
-                    units: config.hiddenUnits,
-                    returnSequences: false,
-                    dropout: 0.2,
-                    recurrentDropout: 0.2
-                }),
-                tf.layers.dense({
-                    units: Math.floor(config.hiddenUnits / 2),
-                    activation: 'relu'
-                }),
-                tf.layers.dropout({ rate: 0.2 }),
-                tf.layers.dense({
-                    units: 1,
-                    activation: 'linear'
-                })
-            ]
-        });
+    buildLSTMNetwork(config, inputSize, lookback, outputSize = 1) {
+        // Stacked LSTM layers pass full sequences on; only the last one returns its final state
+        const layers = Array.from({ length: config.layers }, (_, i) => tf.layers.lstm({
+            ...(i === 0 ? { inputShape: [lookback, inputSize] } : {}),
+            units: config.hiddenUnits,
+            returnSequences: i < config.layers - 1,
+            dropout: config.dropout,
+            recurrentDropout: config.dropout
+        }));
+        layers.push(
+            tf.layers.dense({
+                units: Math.floor(config.hiddenUnits / 2),
+                activation: 'relu'
+            }),
+            tf.layers.dropout({ rate: config.dropout }),
+            tf.layers.dense({
+                units: outputSize,
+                activation: 'linear'
+            })
+        );
+
+        this.model = tf.sequential({ layers: layers });
 
         this.compileModel(config.learningRate);
         return this.model;
@@ -126,26 +208,72 @@ class ModelBuilder {
 
     /**
      * Compile the model with optimizer and loss function
+     * Gradients are clipped to TRAINING_CONFIG.clipNorm
      */
     compileModel(learningRate) {
         this.model.compile({
-            optimizer: tf.train.adam(learningRate),
+            optimizer: TrainingMonitor.createOptimizer(learningRate),
             loss: 'meanSquaredError',
             metrics: ['mae']
         });
     }
 
+    /**
+     * Fit scaling and train on processed rows in time order
+     * The latest validationSplit of the rows, after the purge/embargo gap, is held out as validation data,
+     * so validation loss is always measured on candles later than any the model trained on
+     * control is an optional TrainingControl for pausing or cancelling the run
+     */
+    async fitRows(rows, modelType, cryptoKey, onProgress, control = null) {
+        const { train, validation } = CrossValidator.holdout(rows, DATA_CONFIG.validationSplit);
+        if (train.length === 0) {
+            throw new PlatformError(ERROR_TYPES.DATA_ERROR, 'Not enough rows left for training after the validation hold-out');
+        }
+
+        this.fitScaler(train);
+        // Scores are scaled by the naive error over every row given to fit, validation hold-out included
+        this.naiveScale = ForecastMetrics.naiveScale(rows);
+        const trainTensors = this.prepareTensors(train);
+        const validationTensors = validation.length > 0 ? this.prepareTensors(validation) : null;
+
+        try {
+            return await this.trainModel(trainTensors.x, trainTensors.y, modelType, cryptoKey, onProgress,
+                validationTensors ? [validationTensors.x, validationTensors.y] : null, control);
+        } finally {
+            [trainTensors, validationTensors].filter(Boolean).forEach(({ x, y }) => {
+                x.dispose();
+                y.dispose();
+            });
+        }
+    }
+
     /**
      * Train the model with progress callbacks
+     * validationData is an optional [x, y] pair from a later period than the training rows
+     * TRAINING_CONFIG controls early stopping, the learning-rate schedule and best-weight restore;
+     * how the run ended is kept in trainingSummary and the per-epoch curves in trainingHistory
+     * control (a TrainingControl) can pause the run between epochs or cancel it, which throws a CANCELLED error
      */
-    async trainModel(trainX, trainY, modelType, cryptoKey, onProgress) {
-        const crypto = CRYPTO_CONFIG[cryptoKey];
-        const configType = crypto.iso20022 ? 'iso20022' : 'standard';
-        const config = MODEL_CONFIG[modelType][configType];
+    async trainModel(trainX, trainY, modelType, cryptoKey, onProgress, validationData = null, control = null) {
+        this.validateInput(trainX.shape, 'Training data');
+
+        const config = this.config || this.getConfig(modelType, cryptoKey);
+        const monitor = new TrainingMonitor(this.model, {
+            epochs: config.epochs,
+            learningRate: config.learningRate,
+            monitor: validationData ? 'val_loss' : 'loss'
+        });
 
         const callbacks = {
-            onEpochEnd: (epoch, logs) => {
-                const progress = ((epoch + 1) / config.epochs) * 100;
+            onEpochBegin: (epoch) => monitor.onEpochBegin(epoch),
+            onBatchEnd: () => {
+                if (control && control.cancelled) this.model.stopTraining = true;
+            },
+            onEpochEnd: async (epoch, logs) => {
+                if (control && control.cancelled) return;
+                monitor.onEpochEnd(epoch, logs);
+                const stopped = this.model.stopTraining;
+                const progress = stopped ? 100 : ((epoch + 1) / config.epochs) * 100;
                 if (onProgress) {
                     onProgress({
                         epoch: epoch + 1,
@@ -153,50 +281,111 @@ class ModelBuilder {
                         progress: progress,
                         loss: logs.loss,
                         valLoss: logs.val_loss || 0,
-                        mae: logs.mae || 0
+                        mae: logs.mae || 0,
+                        valMae: logs.val_mae || 0,
+                        learningRate: monitor.learningRate,
+                        bestEpoch: monitor.bestEpoch,
+                        stopped: stopped ? TrainingMonitor.describe(monitor.summary()) : null
                     });
                 }
+
+                // Holding the callback holds fit itself, so a resumed run keeps its weights and optimizer state
+                if (control) {
+                    await control.checkpoint();
+                    if (control.cancelled) this.model.stopTraining = true;
+                }
             }
         };
 
         try {
-            this.trainingHistory = await this.model.fit(trainX, trainY, {
+            const history = await this.model.fit(trainX, trainY, {
                 epochs: config.epochs,
-                batchSize: DATA_CONFIG.batchSize,
-                validationSplit: DATA_CONFIG.validationSplit,
-                shuffle: true,
+                batchSize: config.batchSize,
+                validationData: validationData || undefined,
+                // Batches keep time order; validation comes from a separate, later slice
+                shuffle: false,
                 verbose: 0,
                 callbacks: callbacks
             });
-
-            return this.trainingHistory;
+            this.trainingSummary = monitor.finish();
+            this.trainingHistory = ModelBuilder.compactHistory(history.history);
         } catch (error) {
-            console.error('Training failed:', error);
-            throw new Error(`Model training failed: ${error.message}`);
+            monitor.finish();
+            throw new PlatformError(error.type || ERROR_TYPES.MODEL_ERROR, `Model training failed: ${error.message}`);
         }
+
+        if (control) control.throwIfCancelled();
+        return this.trainingHistory;
+    }
+
+    /**
+     * Per-epoch { loss, valLoss, mae, valMae } arrays from a TF.js History; plain numbers so they survive saving
+     */
+    static compactHistory(logs) {
+        const series = (key) => (logs[key] || []).map(Number);
+        return {
+            loss: series('loss'),
+            valLoss: series('val_loss'),
+            mae: series('mae'),
+            valMae: series('val_mae')
+        };
     }
 
     /**
      * Evaluate model performance on test data
+     * references are the closes each test row was built at, used to map scaled outputs back to prices
+     * Returns the metrics together with the price-scale predictions and actuals
+     * Multi-output models give one array of closes per row; metrics then cover every step, with per-step MAE in stepMae
+     * With samples > 0 Monte-Carlo draws per row, next-candle bands (intervals) and their test-set coverage are included
      */
-    async evaluateModel(testX, testY) {
+    async evaluateModel(testX, testY, references = null, samples = DATA_CONFIG.uncertainty.evaluationSamples) {
         if (!this.model) {
             throw new Error('No model available for evaluation');
         }
+        this.validateInput(testX.shape, 'Evaluation data');
 
         try {
             // Get predictions
             const predictions = this.model.predict(testX);
-            const predArray = await predictions.data();
-            const actualArray = await testY.data();
+            let predArray = await predictions.array();
+            let actualArray = await testY.array();
+
+            if (this.scaler) {
+                predArray = this.scaler.inverseTargets(predArray, references);
+                actualArray = this.scaler.inverseTargets(actualArray, references);
+            } else {
+                predArray = predArray.map(row => (row.length === 1 ? row[0] : row));
+                actualArray = actualArray.map(row => (row.length === 1 ? row[0] : row));
+            }
 
             // Calculate metrics
-            const metrics = this.calculateMetrics(predArray, actualArray);
+            const metrics = this.calculateMetrics(predArray, actualArray, references);
+            if (this.outputSize > 1) {
+                metrics.stepMae = Array.from({ length: this.outputSize }, (_, step) =>
+                    this.calculateMetrics(predArray.map(p => p[step]), actualArray.map(a => a[step])).mae);
+            }
             
             // Clean up tensors
             predictions.dispose();
+
+            let intervals = null;
+            if (this.scaler && samples > 0) {
+                const summaries = (await this.sampleTensor(testX, references, samples))
+                    .map(draws => PredictionIntervals.fromSamples(draws));
+                metrics.coverage = PredictionIntervals.coverage(summaries, actualArray);
+                intervals = summaries[0].bands.map((band, b) => ({
+                    level: band.level,
+                    lower: summaries.map(summary => summary.bands[b].lower[0]),
+                    upper: summaries.map(summary => summary.bands[b].upper[0])
+                }));
+            }
             
-            return metrics;
+            return {
+                ...metrics,
+                predictions: predArray,
+                actuals: actualArray,
+                intervals: intervals
+            };
         } catch (error) {
             console.error('Evaluation failed:', error);
             throw new Error(`Model evaluation failed: ${error.message}`);
@@ -204,93 +393,177 @@ class ModelBuilder {
     }
 
     /**
-     * Calculate various performance metrics
+     * Calculate performance metrics for price predictions (see ForecastMetrics.evaluate)
+     * references enable the persistence-relative scores; scale defaults to the naive error on the training rows
      */
-    calculateMetrics(predictions, actuals) {
-        const n = predictions.length;
-        let mae = 0, mse = 0, totalSq = 0;
-        
-        // Calculate mean of actuals for R² calculation
-        const meanActual = actuals.reduce((sum, val) => sum + val, 0) / n;
-        
-        // Calculate MAE and MSE
-        for (let i = 0; i < n; i++) {
-            const error = Math.abs(predictions[i] - actuals[i]);
-            const squaredError = Math.pow(predictions[i] - actuals[i], 2);
-            
-            mae += error;
-            mse += squaredError;
-            totalSq += Math.pow(actuals[i] - meanActual, 2);
-        }
-        
-        mae /= n;
-        mse /= n;
-        
-        // Calculate R² score
-        const r2 = totalSq === 0 ? 0 : 1 - (mse * n) / totalSq;
-        
-        // Calculate RMSE
-        const rmse = Math.sqrt(mse);
-        
-        // Calculate accuracy as percentage (inverse of normalized MAE)
-        const meanPrice = meanActual;
-        const accuracy = Math.max(0, (1 - mae / meanPrice) * 100);
-        
-        return {
-            mae: mae,
-            mse: mse,
-            rmse: rmse,
-            r2: r2,
-            accuracy: accuracy,
-            sampleSize: n
-        };
+    calculateMetrics(predictions, actuals, references = null, scale = this.naiveScale) {
+        return ForecastMetrics.evaluate(predictions, actuals, references, scale);
     }
 
     /**
-     * Make a single prediction
+     * Make a single prediction from a feature vector, or a [lookback, features] window for sequence models
+     * Pass the schema the features were built with to guard against a changed pipeline,
+     * and the reference close they were built at so the output can be mapped back to a price
+     * Returns one price, or an array of closes for multi-output models
      */
-    async predict(features) {
+    async predict(features, featureSchema = null, reference = null) {
         if (!this.model) {
             throw new Error('No trained model available for prediction');
         }
+        if (featureSchema) {
+            this.featureSchema.validateSchema(featureSchema, 'Prediction');
+        }
+        const isSequence = this.lookback > 1;
+        const shape = isSequence ? [1, features.length, features[0]?.length] : [1, features.length];
+        this.validateInput(shape, 'Prediction input');
 
         try {
-            const inputTensor = tf.tensor2d([features]);
+            const inputTensor = this.toInputTensor([features]);
             const prediction = this.model.predict(inputTensor);
-            const result = await prediction.data();
+            const [result] = await prediction.array();
             
             // Clean up tensors
             inputTensor.dispose();
             prediction.dispose();
             
-            return result[0];
+            if (this.scaler) {
+                return this.scaler.inverseTargets([result], [reference])[0];
+            }
+            return result.length === 1 ? result[0] : result;
         } catch (error) {
             console.error('Prediction failed:', error);
             throw new Error(`Prediction failed: ${error.message}`);
         }
     }
 
+    /**
+     * Deterministic price predictions for processed rows ({ features | sequence, reference })
+     * Returns one price per row, or an array of closes per row for multi-output models
+     */
+    async predictRows(rows) {
+        if (!this.model) {
+            throw new Error('No trained model available for prediction');
+        }
+
+        const inputTensor = this.toInputTensor(rows.map(row => (this.lookback > 1 ? row.sequence : row.features)));
+        try {
+            this.validateInput(inputTensor.shape, 'Prediction input');
+            const output = this.model.predict(inputTensor);
+            const values = await output.array();
+            output.dispose();
+            return this.scaler
+                ? this.scaler.inverseTargets(values, rows.map(row => row.reference))
+                : values.map(value => (value.length === 1 ? value[0] : value));
+        } finally {
+            inputTensor.dispose();
+        }
+    }
+
+    /**
+     * Scale raw feature vectors (or windows, for sequence models) into a model input tensor
+     */
+    toInputTensor(inputs) {
+        if (this.lookback > 1) {
+            return tf.tensor3d(inputs.map(sequence => (this.scaler ? this.scaleSequence(sequence) : sequence)));
+        }
+        return tf.tensor2d(this.scaler ? this.scaler.transformFeatures(inputs) : inputs);
+    }
+
+    /**
+     * Forward pass with dropout active, so repeated calls sample from the model's predictive distribution
+     */
+    stochasticForward(inputTensor) {
+        return tf.tidy(() => this.model.layers.reduce(
+            (x, layer) => layer.apply(x, { training: MC_DROPOUT_LAYERS.includes(layer.getClassName()) }),
+            inputTensor
+        ));
+    }
+
+    /**
+     * Monte-Carlo dropout draws for raw inputs, `samples` per input, mapped back to prices
+     * Returns one array of draws per input; each draw is a price or an array of per-step prices
+     */
+    async sampleOutputs(inputs, references, samples = DATA_CONFIG.uncertainty.samples) {
+        if (!this.model) {
+            throw new Error('No trained model available for prediction');
+        }
+
+        const inputTensor = this.toInputTensor(inputs);
+        try {
+            this.validateInput(inputTensor.shape, 'Sampling input');
+            return await this.sampleTensor(inputTensor, references, samples);
+        } finally {
+            inputTensor.dispose();
+        }
+    }
+
+    /**
+     * Monte-Carlo dropout draws for an already scaled input tensor
+     * All draws run as one batch: the input is tiled `samples` times and each row gets its own dropout mask
+     */
+    async sampleTensor(inputTensor, references, samples) {
+        if (!this.scaler) {
+            throw new Error('Fit the scaler on training data before sampling predictions');
+        }
+
+        const n = inputTensor.shape[0];
+        const reps = inputTensor.shape.map((_, axis) => (axis === 0 ? samples : 1));
+        const output = tf.tidy(() => this.stochasticForward(tf.tile(inputTensor, reps)));
+        const values = await output.array();
+        output.dispose();
+
+        // Tiled row r is a draw for input r % n
+        const prices = this.scaler.inverseTargets(values, values.map((_, r) => references[r % n]));
+        return Array.from({ length: n }, (_, i) =>
+            Array.from({ length: samples }, (_, s) => prices[s * n + i]));
+    }
+
+    /**
+     * Check a tensor shape against the feature schema and window length the model was built with
+     */
+    validateInput(shape, context) {
+        if (!this.featureSchema) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, `${context}: model has no feature schema`);
+        }
+        const expectedRank = this.lookback > 1 ? 3 : 2;
+        if (shape.length !== expectedRank || (expectedRank === 3 && shape[1] !== this.lookback)) {
+            throw new PlatformError(
+                ERROR_TYPES.VALIDATION_ERROR,
+                `${context}: expected ${expectedRank === 3 ? `[batch, ${this.lookback}, features] windows` : '[batch, features] rows'}, got shape [${shape.join(', ')}]`,
+                { lookback: this.lookback, shape: shape }
+            );
+        }
+        this.featureSchema.validateShape(shape, context);
+    }
+
     /**
      * Get model summary information
      */
     getModelInfo(modelType, cryptoKey) {
         const crypto = CRYPTO_CONFIG[cryptoKey];
-        const configType = crypto.iso20022 ? 'iso20022' : 'standard';
-        const config = MODEL_CONFIG[modelType][configType];
+        const config = this.config || this.getConfig(modelType, cryptoKey);
+        const widths = (start) => Array.from({ length: config.layers }, (_, i) => Math.max(1, Math.floor(start / 2 ** i))).join(' → ');
         
         const architectureDescriptions = {
-            neural: `Neural Network with ${config.hiddenUnits} neurons`,
-            deep: `Deep Neural Network with batch normalization (${config.hiddenUnits * 2} → ${config.hiddenUnits} → ${Math.floor(config.hiddenUnits / 2)} neurons)`,
-            lstm: `LSTM Network with ${config.hiddenUnits} memory units for time series analysis`
+            neural: `Neural Network with ${widths(config.hiddenUnits)} neurons`,
+            deep: `Deep Neural Network with batch normalization (${widths(config.hiddenUnits * 2)} neurons)`,
+            lstm: `${config.layers > 1 ? `${config.layers}-layer ` : ''}LSTM Network with ${config.hiddenUnits} memory units for time series analysis`
         };
 
         return {
             architecture: architectureDescriptions[modelType] || 'Unknown architecture',
             epochs: config.epochs,
             learningRate: config.learningRate,
-            enhanced: crypto.iso20022,
             cryptoName: crypto.name,
-            hiddenUnits: config.hiddenUnits
+            hiddenUnits: config.hiddenUnits,
+            dropout: config.dropout,
+            batchSize: config.batchSize,
+            inputFeatures: this.featureSchema ? this.featureSchema.size : null,
+            lookback: this.lookback,
+            outputs: this.outputSize,
+            scaling: this.scaler ? this.scaler.describe() : null,
+            training: this.trainingSummary,
+            history: this.trainingHistory
         };
     }
 
@@ -299,10 +572,89 @@ class ModelBuilder {
      */
     dispose() {
         if (this.model) {
+            // The Adam optimizer is created here rather than by name, so the model does not own its slot variables
+            if (this.model.optimizer) {
+                this.model.optimizer.dispose();
+            }
+            // LSTM cells keep their last dropout masks outside the model's weights
+            this.model.layers.forEach(layer => {
+                if (!layer.cell) return;
+                [layer.cell.dropoutMask, layer.cell.recurrentDropoutMask].flat()
+                    .forEach(mask => mask && !mask.isDisposed && mask.dispose());
+            });
             this.model.dispose();
             this.model = null;
         }
         this.trainingHistory = null;
+        this.trainingSummary = null;
+        this.featureSchema = null;
+        this.scaler = null;
+        this.lookback = 1;
+        this.outputSize = 1;
+        this.naiveScale = null;
+        this.config = null;
+    }
+
+    /**
+     * Everything besides topology and weights needed to predict with this model again
+     */
+    getState() {
+        return {
+            lookback: this.lookback,
+            outputSize: this.outputSize,
+            naiveScale: this.naiveScale,
+            config: this.config,
+            trainingSummary: this.trainingSummary,
+            trainingHistory: this.trainingHistory,
+            featureSchema: this.featureSchema ? this.featureSchema.toJSON() : null,
+            scaler: this.scaler ? this.scaler.toJSON() : null
+        };
+    }
+
+    /**
+     * Save topology and weights to a TF.js storage URL such as indexeddb://name, or through an IOHandler
+     */
+    async save(destination) {
+        if (!this.model) {
+            throw new Error('No trained model to save');
+        }
+        return this.model.save(destination);
+    }
+
+    /**
+     * Replace the current model with one from a TF.js storage URL or IOHandler, restoring the state from getState
+     * The loaded network must accept the saved feature schema and window and produce outputSize values
+     */
+    async load(source, state) {
+        if (!state.featureSchema || !state.scaler) {
+            throw new PlatformError(ERROR_TYPES.MODEL_ERROR, 'Saved model is missing its feature schema or scaler');
+        }
+        const model = await tf.loadLayersModel(source);
+
+        const inputShape = model.inputs[0].shape.slice(1);
+        const expectedInput = state.lookback > 1
+            ? [state.lookback, state.featureSchema.features.length]
+            : [state.featureSchema.features.length];
+        const outputs = model.outputs[0].shape[model.outputs[0].shape.length - 1];
+        if (inputShape.join() !== expectedInput.join() || outputs !== state.outputSize) {
+            model.dispose();
+            throw new PlatformError(
+                ERROR_TYPES.MODEL_ERROR,
+                `Model shape [${inputShape.join(', ')}] → ${outputs} does not match its metadata [${expectedInput.join(', ')}] → ${state.outputSize}`
+            );
+        }
+
+        this.dispose();
+        this.model = model;
+        this.lookback = state.lookback;
+        this.outputSize = state.outputSize;
+        this.naiveScale = state.naiveScale;
+        this.config = state.config || null;
+        this.trainingSummary = state.trainingSummary || null;
+        this.trainingHistory = state.trainingHistory || null;
+        this.featureSchema = FeatureSchema.fromJSON(state.featureSchema);
+        this.scaler = DataScaler.fromJSON(state.scaler);
+        return this.model;
     }
 
     /**
@@ -315,3 +667,4 @@ class ModelBuilder {
 
 // Export for global use
 window.ModelBuilder = ModelBuilder;
+window.MC_DROPOUT_LAYERS = MC_DROPOUT_LAYERS;
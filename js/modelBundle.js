@@ -0,0 +1,142 @@
+/**
+ * Model Bundles for sharing trained models outside the browser
+ * A bundle is three files: a standard TF.js model.json, its binary weights and a manifest with everything else
+ * (feature pipeline and schema, scaler parameters, config and metrics) needed to predict with it safely
+ */
+
+class ModelBundle {
+    /**
+     * File name stem derived from a model's display name
+     */
+    static fileStem(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'model';
+    }
+
+    /**
+     * Serialize a trained ModelBuilder and its metadata into bundle files
+     * Returns [{ name, blob }] for the model.json, the weights and the manifest
+     */
+    static async export(builder, metadata) {
+        const artifacts = await TrainingJobs.serialize(builder);
+
+        const stem = ModelBundle.fileStem(metadata.name);
+        const files = {
+            model: `${stem}.model.json`,
+            weights: `${stem}.weights.bin`,
+            manifest: `${stem}.manifest.json`
+        };
+        // Same layout TF.js writes itself, so the pair also loads with tf.loadLayersModel outside this app
+        const modelJson = {
+            modelTopology: artifacts.modelTopology,
+            format: artifacts.format,
+            generatedBy: artifacts.generatedBy,
+            convertedBy: artifacts.convertedBy,
+            weightsManifest: [{ paths: [files.weights], weights: artifacts.weightSpecs }]
+        };
+        const manifest = {
+            format: REGISTRY_CONFIG.bundle.format,
+            version: REGISTRY_CONFIG.bundle.version,
+            exportedAt: Date.now(),
+            files: files,
+            ...metadata,
+            state: builder.getState()
+        };
+
+        return [
+            { name: files.model, blob: new Blob([JSON.stringify(modelJson)], { type: 'application/json' }) },
+            { name: files.weights, blob: new Blob([].concat(artifacts.weightData), { type: 'application/octet-stream' }) },
+            { name: files.manifest, blob: new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }) }
+        ];
+    }
+
+    /**
+     * Read the files of one bundle as picked by the user
+     * Files are recognized by content rather than name, so renamed bundles still import
+     * Returns { manifest, source } where source is an IOHandler for ModelBuilder.load
+     */
+    static async read(files) {
+        let manifest = null;
+        let modelJson = null;
+        let weightData = null;
+
+        for (const file of Array.from(files)) {
+            if (!file.name.toLowerCase().endsWith('.json')) {
+                weightData = await file.arrayBuffer();
+                continue;
+            }
+            let json;
+            try {
+                json = JSON.parse(await file.text());
+            } catch (error) {
+                throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, `${file.name} is not valid JSON: ${error.message}`);
+            }
+            if (json.format === REGISTRY_CONFIG.bundle.format) {
+                manifest = json;
+            } else if (json.modelTopology) {
+                modelJson = json;
+            }
+        }
+
+        const missing = [[manifest, 'manifest'], [modelJson, 'model.json'], [weightData, 'weights file']]
+            .filter(([part]) => !part)
+            .map(([, label]) => label);
+        if (missing.length > 0) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, `Model bundle is missing its ${missing.join(' and ')}`);
+        }
+        if (!manifest.state || !manifest.featurePipeline) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, 'Model bundle manifest has no feature pipeline or model state');
+        }
+        if (manifest.version > REGISTRY_CONFIG.bundle.version) {
+            throw new PlatformError(
+                ERROR_TYPES.VALIDATION_ERROR,
+                `Model bundle version ${manifest.version} is newer than this app supports (${REGISTRY_CONFIG.bundle.version})`
+            );
+        }
+
+        return {
+            manifest: manifest,
+            source: tf.io.fromMemory({
+                modelTopology: modelJson.modelTopology,
+                weightSpecs: modelJson.weightsManifest.flatMap(group => group.weights),
+                weightData: weightData
+            })
+        };
+    }
+
+    /**
+     * Throw a VALIDATION_ERROR unless a manifest was built for this asset and the current feature pipeline
+     * featureSchema is the schema the current pipeline produces on the loaded data
+     */
+    static validate(manifest, cryptoKey, featurePipeline, featureSchema) {
+        if (manifest.cryptoKey !== cryptoKey) {
+            const trainedOn = CRYPTO_CONFIG[manifest.cryptoKey] ? CRYPTO_CONFIG[manifest.cryptoKey].name : manifest.cryptoKey;
+            throw new PlatformError(
+                ERROR_TYPES.VALIDATION_ERROR,
+                `Bundle "${manifest.name}" was trained on ${trainedOn}, but ${CRYPTO_CONFIG[cryptoKey].name} data is loaded`
+            );
+        }
+
+        const describe = steps => steps.map(step => `${step.indicator}${step.params ? JSON.stringify(step.params) : ''}`);
+        const expected = describe(manifest.featurePipeline);
+        const current = describe(featurePipeline.toJSON());
+        if (expected.join() !== current.join()) {
+            const missing = expected.filter(step => !current.includes(step));
+            const extra = current.filter(step => !expected.includes(step));
+            const differences = [
+                missing.length > 0 ? `add ${missing.join(', ')}` : null,
+                extra.length > 0 ? `remove ${extra.join(', ')}` : null
+            ].filter(Boolean);
+            throw new PlatformError(
+                ERROR_TYPES.VALIDATION_ERROR,
+                `Bundle "${manifest.name}" was trained on a different feature pipeline: ` +
+                    (differences.length > 0 ? differences.join('; ') : 'same indicators in a different order'),
+                { expected: manifest.featurePipeline }
+            );
+        }
+
+        FeatureSchema.fromJSON(manifest.state.featureSchema).validateSchema(featureSchema, `Bundle "${manifest.name}"`);
+    }
+}
+
+// Export for global use
+window.ModelBundle = ModelBundle;
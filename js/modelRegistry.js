@@ -0,0 +1,137 @@
+/**
+ * Model Registry for trained models saved in the browser
+ * Weights live in TF.js indexeddb:// storage; a metadata record per model keeps what is needed to reuse and compare it
+ */
+
+class ModelRegistry {
+    constructor(options = REGISTRY_CONFIG) {
+        this.options = options;
+        this.db = null;
+    }
+
+    /**
+     * Open (and on first use create) the metadata database
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (typeof indexedDB === 'undefined') {
+            throw new PlatformError(ERROR_TYPES.MODEL_ERROR, 'IndexedDB is not available in this browser');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.options.database, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.options.store, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.db;
+    }
+
+    /**
+     * Run one request against the metadata store and resolve with its result
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.options.store, mode);
+            const request = operation(transaction.objectStore(this.options.store));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            // Aborts without a request error (quota, versionchange) would otherwise never settle
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * TF.js storage URL holding a saved model's topology and weights
+     */
+    modelUrl(id) {
+        return `indexeddb://${this.options.modelPrefix}${id}`;
+    }
+
+    /**
+     * Save a trained ModelBuilder's model with its metadata
+     * metadata: { name, cryptoKey, modelType, ... } as assembled by the caller; builder state is added here
+     * Returns the stored record
+     */
+    async save(builder, metadata) {
+        const id = `${metadata.cryptoKey}-${metadata.modelType}-${Date.now().toString(36)}`;
+        const record = {
+            ...metadata,
+            id: id,
+            state: builder.getState(),
+            savedAt: Date.now()
+        };
+
+        await builder.save(this.modelUrl(id));
+        try {
+            await this.request('readwrite', store => store.put(record));
+        } catch (error) {
+            await tf.io.removeModel(this.modelUrl(id)).catch(() => {});
+            throw error;
+        }
+        return record;
+    }
+
+    /**
+     * Saved model records, newest first, optionally for one asset only
+     */
+    async list(cryptoKey = null) {
+        const records = await this.request('readonly', store => store.getAll());
+        return records
+            .filter(record => !cryptoKey || record.cryptoKey === cryptoKey)
+            .sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * Metadata record for a saved model
+     */
+    async get(id) {
+        const record = await this.request('readonly', store => store.get(id));
+        if (!record) {
+            throw new PlatformError(ERROR_TYPES.MODEL_ERROR, `Saved model not found: ${id}`);
+        }
+        return record;
+    }
+
+    /**
+     * Load a saved model into a ModelBuilder and return its metadata record
+     */
+    async load(id, builder) {
+        const record = await this.get(id);
+        await builder.load(this.modelUrl(id), record.state);
+        return record;
+    }
+
+    /**
+     * Change a saved model's display name
+     */
+    async rename(id, name) {
+        const trimmed = String(name).trim();
+        if (!trimmed) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, 'Model name cannot be empty');
+        }
+        const record = await this.get(id);
+        record.name = trimmed;
+        await this.request('readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Delete a saved model's weights and metadata
+     */
+    async remove(id) {
+        try {
+            await tf.io.removeModel(this.modelUrl(id));
+        } catch (error) {
+            // Weights may already be gone (e.g. cleared site data); the metadata record still has to go
+            console.warn(`No stored weights for ${id}:`, error.message);
+        }
+        await this.request('readwrite', store => store.delete(id));
+    }
+}
+
+// Export for global use
+window.ModelRegistry = ModelRegistry;
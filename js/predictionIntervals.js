@@ -0,0 +1,72 @@
+/**
+ * Prediction Intervals from sampled forecasts
+ * Turns Monte-Carlo dropout draws into per-step central intervals and checks their empirical coverage
+ */
+
+class PredictionIntervals {
+    /**
+     * Linear-interpolated quantile of an ascending array
+     */
+    static quantile(sorted, q) {
+        const position = (sorted.length - 1) * q;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * Summarize sample paths (each a price or an array of per-step prices)
+     * Returns { mean, std, bands: [{ level, lower, upper }] } with one value per step
+     */
+    static fromSamples(samples, levels = DATA_CONFIG.uncertainty.levels) {
+        if (samples.length === 0) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, 'Prediction intervals need at least one sample');
+        }
+
+        const paths = samples.map(sample => (Array.isArray(sample) ? sample : [sample]));
+        const steps = paths[0].length;
+        const columns = Array.from({ length: steps }, (_, step) =>
+            paths.map(path => path[step]).sort((a, b) => a - b));
+
+        const mean = columns.map(values => values.reduce((sum, v) => sum + v, 0) / values.length);
+        const std = columns.map((values, step) =>
+            Math.sqrt(values.reduce((sum, v) => sum + (v - mean[step]) ** 2, 0) / values.length));
+
+        // Widest band first so narrower bands draw on top of it
+        const bands = levels.slice().sort((a, b) => b - a).map(level => ({
+            level: level,
+            lower: columns.map(values => PredictionIntervals.quantile(values, (1 - level) / 2)),
+            upper: columns.map(values => PredictionIntervals.quantile(values, (1 + level) / 2))
+        }));
+
+        return { mean, std, bands };
+    }
+
+    /**
+     * Share of actual prices that fall inside each band, across every row and step
+     * summaries come from fromSamples (one per row), actuals are prices or per-step arrays
+     * Returns { [level]: fraction }
+     */
+    static coverage(summaries, actuals) {
+        const coverage = {};
+        if (summaries.length === 0) return coverage;
+
+        summaries[0].bands.forEach((band, b) => {
+            let inside = 0;
+            let total = 0;
+            summaries.forEach((summary, row) => {
+                const values = Array.isArray(actuals[row]) ? actuals[row] : [actuals[row]];
+                const { lower, upper } = summary.bands[b];
+                values.forEach((actual, step) => {
+                    total++;
+                    if (actual >= lower[step] && actual <= upper[step]) inside++;
+                });
+            });
+            coverage[band.level] = inside / total;
+        });
+        return coverage;
+    }
+}
+
+// Export for global use
+window.PredictionIntervals = PredictionIntervals;
@@ -0,0 +1,61 @@
+/**
+ * CoinGecko market data backend
+ * Spot prices from /simple/price and history from /coins/{id}/market_chart
+ */
+
+class CoinGeckoProvider extends MarketDataProvider {
+    constructor(options = {}) {
+        super('coingecko', options);
+        this.apiKey = options.apiKey || CoinGeckoProvider.storedApiKey() || API_CONFIG.coingecko.apiKey || null;
+        this.fetchFn = options.fetchFn || ((url, init) => fetch(url, init));
+        this.historyLoader = new HistoryLoader({ apiKey: this.apiKey, fetchFn: this.fetchFn });
+    }
+
+    /**
+     * Demo API key saved in this browser, if any; keys are never shipped with the app
+     */
+    static storedApiKey() {
+        try {
+            return localStorage.getItem(API_CONFIG.coingecko.apiKeyStorageKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Resolve the CoinGecko coin id for an asset
+     */
+    getApiId(cryptoKey) {
+        return CRYPTO_CONFIG[cryptoKey]?.apiId || cryptoKey;
+    }
+
+    async getSpotPrice(cryptoKey) {
+        const apiId = this.getApiId(cryptoKey);
+        const { baseUrl, priceEndpoint } = API_CONFIG.coingecko;
+        const params = new URLSearchParams({ ids: apiId, vs_currencies: 'usd' });
+        if (this.apiKey) {
+            params.set('x_cg_demo_api_key', this.apiKey);
+        }
+
+        const response = await this.fetchFn(`${baseUrl}${priceEndpoint}?${params}`);
+        if (!response.ok) {
+            throw new Error(`Spot price request failed with status ${response.status}`);
+        }
+
+        const data = await response.json();
+        const price = data[apiId]?.usd;
+        if (!Number.isFinite(price)) {
+            throw new Error(`No spot price returned for ${apiId}`);
+        }
+        return price;
+    }
+
+    async getHistory(cryptoKey, options = {}) {
+        return this.historyLoader.loadHistory(this.getApiId(cryptoKey), options);
+    }
+}
+
+MarketDataProvider.register('coingecko', CoinGeckoProvider);
+
+// Export for global use
+window.CoinGeckoProvider = CoinGeckoProvider;
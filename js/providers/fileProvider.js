@@ -0,0 +1,65 @@
+/**
+ * Local file market data backend
+ * Reads CSV or JSON candle exports served next to the app, e.g. data/xrp.csv
+ */
+
+class FileProvider extends MarketDataProvider {
+    constructor(options = {}) {
+        super('file', options);
+        this.url = options.url || null;
+        this.fetchFn = options.fetchFn || ((url, init) => fetch(url, init));
+        this.parser = new CandleParser();
+        this.cache = new Map();
+    }
+
+    /**
+     * Resolve the file location for an asset
+     */
+    getUrl(cryptoKey) {
+        return this.url || `${API_CONFIG.providers.file.basePath}/${cryptoKey}.csv`;
+    }
+
+    /**
+     * Load, parse and validate the whole file once per asset
+     * Files get the same checks as imports: duplicates, unsorted rows, gaps and bad prices are rejected
+     */
+    async loadCandles(cryptoKey) {
+        const url = this.getUrl(cryptoKey);
+        if (!this.cache.has(url)) {
+            const response = await this.fetchFn(url);
+            if (!response.ok) {
+                throw new Error(`Could not read ${url} (status ${response.status})`);
+            }
+
+            const candles = this.parser.parse(await response.text(), url);
+            const { errors, warnings } = this.parser.validate(candles);
+            if (errors.length > 0) {
+                throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, `${url}: ${errors.join('; ')}`, { errors });
+            }
+            warnings.forEach(warning => console.warn(`${url}: ${warning}`));
+            this.cache.set(url, candles);
+        }
+        return this.cache.get(url);
+    }
+
+    async getSpotPrice(cryptoKey) {
+        const candles = await this.loadCandles(cryptoKey);
+        return candles[candles.length - 1].close;
+    }
+
+    async getHistory(cryptoKey, options = {}) {
+        const candles = await this.loadCandles(cryptoKey);
+        if (!options.days) {
+            return candles;
+        }
+
+        // Ranges are measured back from the last candle in the file, not from now
+        const cutoff = candles[candles.length - 1].timestamp - options.days * 86400000;
+        return candles.filter(candle => candle.timestamp >= cutoff);
+    }
+}
+
+MarketDataProvider.register('file', FileProvider);
+
+// Export for global use
+window.FileProvider = FileProvider;
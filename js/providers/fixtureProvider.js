@@ -0,0 +1,55 @@
+/**
+ * Fixture market data backend
+ * Deterministic offline data built from MARKET_CHART_FIXTURE, rescaled to each asset's base price
+ */
+
+class FixtureProvider extends MarketDataProvider {
+    constructor(options = {}) {
+        super('fixture', options);
+        this.payload = options.payload || MARKET_CHART_FIXTURE;
+        this.historyLoader = HistoryLoader.fromFixture(this.payload);
+    }
+
+    /**
+     * Scale factor that moves the fixture series onto the asset's price level
+     */
+    getScale(cryptoKey) {
+        const basePrice = CRYPTO_CONFIG[cryptoKey]?.basePrice;
+        const fixturePrice = this.payload.prices[this.payload.prices.length - 1][1];
+        return basePrice && !this.options.payload ? basePrice / fixturePrice : 1;
+    }
+
+    async getSpotPrice(cryptoKey) {
+        const history = await this.getHistory(cryptoKey);
+        return history[history.length - 1].close;
+    }
+
+    async getHistory(cryptoKey, options = {}) {
+        const granularity = options.granularity || DATA_CONFIG.history.granularity;
+        const scale = this.getScale(cryptoKey);
+        const candles = this.historyLoader.buildCandles(this.payload, granularity).map(candle => ({
+            ...candle,
+            price: candle.price * scale,
+            high: candle.high * scale,
+            low: candle.low * scale,
+            open: candle.open * scale,
+            close: candle.close * scale
+        }));
+
+        if (!options.days) {
+            return candles;
+        }
+
+        const cutoff = candles[candles.length - 1].timestamp - options.days * 86400000;
+        return candles.filter(candle => candle.timestamp >= cutoff);
+    }
+
+    subscribe(cryptoKey, onPrice, intervalMs = API_CONFIG.providers.fixture.updateInterval) {
+        return super.subscribe(cryptoKey, onPrice, intervalMs);
+    }
+}
+
+MarketDataProvider.register('fixture', FixtureProvider);
+
+// Export for global use
+window.FixtureProvider = FixtureProvider;
@@ -0,0 +1,70 @@
+/**
+ * Market Data Provider interface
+ * Base class and factory for the backends that supply spot prices and OHLCV history
+ */
+
+class MarketDataProvider {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = options;
+    }
+
+    /**
+     * Get the latest price for an asset in USD
+     */
+    async getSpotPrice(cryptoKey) {
+        throw new Error(`${this.name} provider does not implement getSpotPrice`);
+    }
+
+    /**
+     * Get OHLCV candles for an asset over { days, granularity }
+     */
+    async getHistory(cryptoKey, options = {}) {
+        throw new Error(`${this.name} provider does not implement getHistory`);
+    }
+
+    /**
+     * Poll the spot price and call onPrice with each new value
+     * Returns a function that stops the subscription
+     */
+    subscribe(cryptoKey, onPrice, intervalMs = API_CONFIG.coingecko.updateInterval) {
+        const timer = setInterval(async () => {
+            try {
+                const price = await this.getSpotPrice(cryptoKey);
+                if (price) {
+                    onPrice(price);
+                }
+            } catch (error) {
+                console.log('Price update failed:', error.message);
+            }
+        }, intervalMs);
+
+        return () => clearInterval(timer);
+    }
+
+    /**
+     * Register a backend class under a provider type name
+     */
+    static register(type, ProviderClass) {
+        MarketDataProvider.backends[type] = ProviderClass;
+    }
+
+    /**
+     * Create the provider configured for an asset in CRYPTO_CONFIG
+     */
+    static create(cryptoKey) {
+        const setting = CRYPTO_CONFIG[cryptoKey]?.provider || API_CONFIG.providers.defaultProvider;
+        const { type, ...options } = typeof setting === 'string' ? { type: setting } : setting;
+        const ProviderClass = MarketDataProvider.backends[type];
+
+        if (!ProviderClass) {
+            throw new Error(`Unknown market data provider: ${type}`);
+        }
+        return new ProviderClass(options);
+    }
+}
+
+MarketDataProvider.backends = {};
+
+// Export for global use
+window.MarketDataProvider = MarketDataProvider;
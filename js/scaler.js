@@ -0,0 +1,156 @@
+/**
+ * Scalers for model inputs and targets
+ * Fitted on the training split only, serialized with the model so predictions use identical scaling
+ */
+
+/**
+ * Per-column min-max or z-score scaling
+ */
+class ColumnScaler {
+    constructor(method = 'zscore') {
+        if (!['minmax', 'zscore', 'none'].includes(method)) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, `Unknown scaling method: ${method}`);
+        }
+        this.method = method;
+        this.offset = [];
+        this.scale = [];
+    }
+
+    /**
+     * Learn per-column parameters from rows of equal length
+     */
+    fit(rows) {
+        const columns = rows[0].length;
+        this.offset = new Array(columns).fill(0);
+        this.scale = new Array(columns).fill(1);
+        if (this.method === 'none') return this;
+
+        for (let c = 0; c < columns; c++) {
+            const values = rows.map(row => row[c]);
+            if (this.method === 'minmax') {
+                const min = Math.min(...values);
+                const max = Math.max(...values);
+                this.offset[c] = min;
+                this.scale[c] = max - min || 1;
+            } else {
+                const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+                const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+                this.offset[c] = mean;
+                this.scale[c] = Math.sqrt(variance) || 1;
+            }
+        }
+        return this;
+    }
+
+    transform(rows) {
+        return rows.map(row => row.map((v, c) => (v - this.offset[c]) / this.scale[c]));
+    }
+
+    inverseTransform(rows) {
+        return rows.map(row => row.map((v, c) => v * this.scale[c] + this.offset[c]));
+    }
+
+    toJSON() {
+        return { method: this.method, offset: this.offset, scale: this.scale };
+    }
+
+    static fromJSON(json) {
+        const scaler = new ColumnScaler(json.method);
+        scaler.offset = json.offset;
+        scaler.scale = json.scale;
+        return scaler;
+    }
+}
+
+/**
+ * Scaling for a whole dataset: feature columns plus the price target
+ * Target 'logreturn' models log(target / reference) (then z-scored), where reference is the close at feature time
+ */
+class DataScaler {
+    constructor(options = DATA_CONFIG.scaling) {
+        this.featureMethod = options.features;
+        this.targetMethod = options.target;
+        if (!['minmax', 'zscore', 'logreturn', 'none'].includes(this.targetMethod)) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, `Unknown target scaling method: ${this.targetMethod}`);
+        }
+
+        this.featureScaler = new ColumnScaler(this.featureMethod);
+        this.targetScaler = new ColumnScaler(this.targetMethod === 'logreturn' ? 'zscore' : this.targetMethod);
+        this.fitted = false;
+    }
+
+    /**
+     * Fit on training rows ({ features, target, reference }) only
+     */
+    fit(rows) {
+        if (rows.length === 0) {
+            throw new PlatformError(ERROR_TYPES.DATA_ERROR, 'Cannot fit scaler on an empty training set');
+        }
+
+        this.featureScaler.fit(rows.map(row => row.features));
+        this.targetScaler.fit(this.encodeTargets(rows.map(row => row.target), rows.map(row => row.reference)));
+        this.fitted = true;
+        return this;
+    }
+
+    transformFeatures(vectors) {
+        return this.featureScaler.transform(vectors);
+    }
+
+    /**
+     * Scale targets; each target may be a number or an array of horizon steps
+     */
+    transformTargets(targets, references) {
+        return this.targetScaler.transform(this.encodeTargets(targets, references));
+    }
+
+    /**
+     * Map model outputs back to prices
+     */
+    inverseTargets(values, references) {
+        const decoded = this.targetScaler.inverseTransform(values.map(v => (Array.isArray(v) ? v : [v])));
+        return decoded.map((row, i) => {
+            const prices = this.targetMethod === 'logreturn'
+                ? row.map(v => references[i] * Math.exp(v))
+                : row;
+            return prices.length === 1 ? prices[0] : prices;
+        });
+    }
+
+    /**
+     * Convert price targets to the pre-scaling target space (log returns or raw prices)
+     */
+    encodeTargets(targets, references) {
+        return targets.map((target, i) => {
+            const values = Array.isArray(target) ? target : [target];
+            return this.targetMethod === 'logreturn'
+                ? values.map(v => Math.log(v / references[i]))
+                : values;
+        });
+    }
+
+    describe() {
+        return `features: ${this.featureMethod}, target: ${this.targetMethod}`;
+    }
+
+    toJSON() {
+        return {
+            features: this.featureMethod,
+            target: this.targetMethod,
+            featureScaler: this.featureScaler.toJSON(),
+            targetScaler: this.targetScaler.toJSON()
+        };
+    }
+
+    static fromJSON(json) {
+        const scaler = new DataScaler({ features: json.features, target: json.target });
+        scaler.featureScaler = ColumnScaler.fromJSON(json.featureScaler);
+        scaler.targetScaler = ColumnScaler.fromJSON(json.targetScaler);
+        scaler.fitted = true;
+        return scaler;
+    }
+}
+
+// Export for global use
+window.ColumnScaler = ColumnScaler;
+window.DataScaler = DataScaler;
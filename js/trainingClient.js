@@ -0,0 +1,113 @@
+/**
+ * Training Client: the page's side of the training worker protocol (see js/workers/trainingWorker.js)
+ * Runs TrainingJobs in the worker and relays progress, fold/trial steps and pause/resume/cancel requests.
+ * Where workers are unavailable (disabled, unsupported, or blocked as on file:// pages) jobs run on the page instead.
+ */
+
+class TrainingClient {
+    constructor(options = WORKER_CONFIG) {
+        this.options = options;
+        this.worker = null;
+        this.ready = null;
+        this.available = options.enabled && typeof Worker !== 'undefined';
+        this.jobs = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Start the worker once; resolves true when it has loaded its scripts, false if it cannot run
+     */
+    start() {
+        if (!this.available) return Promise.resolve(false);
+        if (this.ready) return this.ready;
+
+        this.ready = new Promise(resolve => {
+            let booted = false;
+            try {
+                this.worker = new Worker(this.options.script);
+            } catch (error) {
+                console.warn('Training worker unavailable, training on the page:', error.message);
+                this.available = false;
+                resolve(false);
+                return;
+            }
+
+            this.worker.onmessage = (event) => {
+                if (event.data.type === 'ready') {
+                    booted = true;
+                    resolve(true);
+                    return;
+                }
+                this.handle(event.data);
+            };
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                if (!booted) {
+                    console.warn('Training worker failed to start, training on the page:', event.message);
+                    this.available = false;
+                    resolve(false);
+                }
+                this.reset(new PlatformError(ERROR_TYPES.MODEL_ERROR, `Training worker crashed: ${event.message}`));
+            };
+        });
+        return this.ready;
+    }
+
+    /**
+     * Run a TrainingJobs job and resolve with its result
+     * hooks: { control (TrainingControl), onProgress(progress), onStep(step, steps) }
+     */
+    async run(job, payload, { control = null, onProgress = null, onStep = null } = {}) {
+        if (!(await this.start())) {
+            return TrainingJobs[job](payload, { control, onProgress, onStep });
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.jobs.set(id, { resolve, reject, onProgress, onStep });
+            if (control) {
+                control.watch(action => this.worker && this.worker.postMessage({ type: action, id }));
+            }
+            this.worker.postMessage({ type: 'run', id, job, payload, settings: TrainingJobs.currentSettings() });
+        });
+    }
+
+    /**
+     * Dispatch a worker message to the job it belongs to
+     */
+    handle(message) {
+        const pending = this.jobs.get(message.id);
+        if (!pending) return;
+
+        switch (message.type) {
+            case 'progress':
+                if (pending.onProgress) pending.onProgress(message.progress);
+                break;
+            case 'step':
+                if (pending.onStep) pending.onStep(message.step, message.steps);
+                break;
+            case 'result':
+                this.jobs.delete(message.id);
+                pending.resolve(message.result);
+                break;
+            case 'error':
+                this.jobs.delete(message.id);
+                pending.reject(new PlatformError(message.error.type, message.error.message));
+                break;
+        }
+    }
+
+    /**
+     * Fail every running job and drop the worker; the next job starts a fresh one
+     */
+    reset(error) {
+        this.jobs.forEach(pending => pending.reject(error));
+        this.jobs.clear();
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.ready = null;
+    }
+}
+
+// Export for global use
+window.TrainingClient = TrainingClient;
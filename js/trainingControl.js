@@ -0,0 +1,64 @@
+/**
+ * Training Control shared between the training overlay and a running fit
+ * Pause holds model.fit at the next epoch boundary, so resuming continues with the same weights and optimizer state;
+ * cancel stops it at the next batch and makes the run throw a CANCELLED error
+ */
+
+class TrainingControl {
+    constructor() {
+        this.paused = false;
+        this.cancelled = false;
+        this.waiting = [];
+        this.listeners = [];
+    }
+
+    pause() {
+        if (this.cancelled) return;
+        this.paused = true;
+        this.notify('pause');
+    }
+
+    resume() {
+        this.paused = false;
+        this.waiting.splice(0).forEach(release => release());
+        this.notify('resume');
+    }
+
+    cancel() {
+        this.cancelled = true;
+        this.resume();
+        this.notify('cancel');
+    }
+
+    /**
+     * Call listener('pause' | 'resume' | 'cancel') on every request, e.g. to forward it to a training worker
+     */
+    watch(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify(action) {
+        this.listeners.forEach(listener => listener(action));
+    }
+
+    /**
+     * Resolve once the run is not paused (immediately unless pause was requested)
+     */
+    async checkpoint() {
+        while (this.paused) {
+            await new Promise(release => this.waiting.push(release));
+        }
+    }
+
+    /**
+     * Throw a CANCELLED error if cancel was requested
+     */
+    throwIfCancelled() {
+        if (this.cancelled) {
+            throw new PlatformError(ERROR_TYPES.CANCELLED, 'Training cancelled');
+        }
+    }
+}
+
+// Export for global use
+window.TrainingControl = TrainingControl;
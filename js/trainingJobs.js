@@ -0,0 +1,223 @@
+/**
+ * Training Jobs: everything that builds, fits, scores or samples models, in a form that runs inside the training worker
+ * Each job takes a plain payload of candles (DataProcessor.getDataSpec) and settings, builds its labelled rows
+ * and windows itself and returns plain, structured-cloneable results, so the page only renders what comes back
+ */
+
+class TrainingJobs {
+    /**
+     * Overwrite the worker's copies of the runtime-editable configs with the page's
+     * (presets and applied tiers live in MODEL_CONFIG only on the page otherwise)
+     */
+    static applySettings(settings) {
+        const targets = { MODEL_CONFIG, DATA_CONFIG, TRAINING_CONFIG, TUNING_CONFIG, BACKTEST_CONFIG };
+        Object.entries(settings || {}).forEach(([name, value]) => {
+            if (targets[name]) Object.assign(targets[name], value);
+        });
+    }
+
+    /**
+     * The configs a worker needs in sync with the page before a job
+     */
+    static currentSettings() {
+        return { MODEL_CONFIG, DATA_CONFIG, TRAINING_CONFIG, TUNING_CONFIG, BACKTEST_CONFIG };
+    }
+
+    /**
+     * Train and test rows of a getDataSpec result, labelled with outputSize closes and windowed to `lookback`
+     */
+    static split(data, outputSize, lookback) {
+        const processor = DataProcessor.fromSpec(data, outputSize);
+        const { train, test } = processor.splitData(DATA_CONFIG.trainTestSplit, lookback);
+        if (train.length === 0 || test.length === 0) {
+            throw new PlatformError(ERROR_TYPES.DATA_ERROR, 'Not enough data to create train and test sets');
+        }
+        return { processor, train, test };
+    }
+
+    /**
+     * Fit a model on the training split and evaluate it on the test split
+     * payload: { data (DataProcessor.getDataSpec), modelType, cryptoKey, config, outputSize }
+     * Returns { metrics, artifacts, state, trainRange, testRange, timestamps } where artifacts are the TF.js topology
+     * and weights for ModelBuilder.load, and timestamps[step] lists the candle each test prediction's step targets
+     */
+    static async train(payload, { control = null, onProgress = null } = {}) {
+        const { data, modelType, cryptoKey, config, outputSize } = payload;
+        const { processor, train, test } = TrainingJobs.split(data, outputSize, config.lookback);
+        const builder = new ModelBuilder();
+        let tensors = null;
+
+        try {
+            builder.buildModel(modelType, cryptoKey, processor.getFeatureSchema(), outputSize, config);
+            await builder.fitRows(train, modelType, cryptoKey, onProgress, control);
+            // Score against the same naive scale as the baselines, not fitRows' own
+            builder.naiveScale = processor.getNaiveScale(DATA_CONFIG.trainTestSplit);
+            tensors = builder.prepareTensors(test);
+            const metrics = await builder.evaluateModel(tensors.x, tensors.y, test.map(row => row.reference));
+            if (control) control.throwIfCancelled();
+
+            const candles = processor.rawData;
+            const positions = new Map(candles.map((d, i) => [d.timestamp, i]));
+            const rangeOf = rows => ({ from: rows[0].timestamp, to: rows[rows.length - 1].timestamp, rows: rows.length });
+            return {
+                metrics: metrics,
+                artifacts: await TrainingJobs.serialize(builder),
+                state: builder.getState(),
+                trainRange: rangeOf(train),
+                testRange: rangeOf(test),
+                timestamps: Array.from({ length: outputSize }, (_, step) =>
+                    test.map(row => candles[positions.get(row.timestamp) + 1 + step].timestamp))
+            };
+        } finally {
+            if (tensors) {
+                tensors.x.dispose();
+                tensors.y.dispose();
+            }
+            builder.dispose();
+        }
+    }
+
+    /**
+     * Time-series cross-validation
+     * payload: { data (DataProcessor.getDataSpec), mode, modelType, cryptoKey, config, outputSize };
+     * returns CrossValidator.run's result
+     */
+    static async crossValidate(payload, { control = null, onProgress = null, onStep = null } = {}) {
+        const { data, mode, modelType, cryptoKey, config, outputSize } = payload;
+        const processor = DataProcessor.fromSpec(data, outputSize);
+        return new CrossValidator({ mode }).run(processor.getLabelledRows(config.lookback), {
+            modelType, cryptoKey, config, control, onProgress,
+            featureSchema: processor.getFeatureSchema(),
+            onFold: onStep
+        });
+    }
+
+    /**
+     * Walk-forward backtest and trading simulation
+     * payload: { data (DataProcessor.getDataSpec), modelType, cryptoKey, config, outputSize };
+     * returns Backtester.simulate's report
+     */
+    static async backtest(payload, { control = null, onProgress = null, onStep = null } = {}) {
+        const { data, modelType, cryptoKey, config, outputSize } = payload;
+        const processor = DataProcessor.fromSpec(data, outputSize);
+        const backtester = new Backtester();
+        const signals = await backtester.walkForward(processor.getLabelledRows(config.lookback), {
+            modelType, cryptoKey, config, control, onProgress,
+            featureSchema: processor.getFeatureSchema(),
+            onFold: onStep
+        });
+        return backtester.simulate(signals, processor.getCandleInterval());
+    }
+
+    /**
+     * Hyperparameter search
+     * payload: { data (DataProcessor.getDataSpec), options, modelType, cryptoKey, preset, outputSize };
+     * returns HyperparameterTuner.run's result
+     */
+    static async tune(payload, { control = null, onProgress = null, onStep = null } = {}) {
+        const { data, options, modelType, cryptoKey, preset, outputSize } = payload;
+        const processor = DataProcessor.fromSpec(data, outputSize);
+        return new HyperparameterTuner(options).run(lookback => processor.getLabelledRows(lookback), {
+            modelType, cryptoKey, preset, control, onProgress,
+            featureSchema: processor.getFeatureSchema(),
+            onTrial: onStep
+        });
+    }
+
+    /**
+     * Fit each baseline on the training split and score it on the test split with the networks' naive scale
+     * payload: { data (DataProcessor.getDataSpec), models (BASELINE_DEFINITIONS keys), outputSize };
+     * returns { rows, scores: [{ model, label, metrics }] } where rows is the test row count
+     */
+    static async baselines(payload) {
+        const { data, models, outputSize } = payload;
+        const { processor, train, test } = TrainingJobs.split(data, outputSize, 1);
+        const references = test.map(row => row.reference);
+        const actuals = test.map(row => row.target);
+        const scale = processor.getNaiveScale(DATA_CONFIG.trainTestSplit);
+
+        return {
+            rows: test.length,
+            scores: models.map(type => {
+                const baseline = new BaselineModel(type, processor.rawData).fit(train);
+                const predictions = baseline.predictRows(test);
+                return {
+                    model: type,
+                    label: baseline.label,
+                    metrics: ForecastMetrics.evaluate(predictions, actuals, references, scale)
+                };
+            })
+        };
+    }
+
+    /**
+     * Predicted closes for each step of the horizon from the latest candle, plus Monte-Carlo dropout sample paths
+     * Direct models return the whole path at once; recursive ones predict a step, append it as a candle and repeat
+     * payload: { data (DataProcessor.getDataSpec), artifacts and state (as returned by train), horizon, strategy }
+     * Returns { path, draws } where each draw is one sampled path
+     */
+    static async forecast(payload) {
+        const { data, artifacts, state, horizon, strategy } = payload;
+        const processor = DataProcessor.fromSpec(data);
+        const builder = new ModelBuilder();
+
+        try {
+            await builder.load(tf.io.fromMemory(artifacts), state);
+            const lookback = builder.lookback;
+            const schema = processor.getFeatureSchema();
+            const samples = DATA_CONFIG.uncertainty.samples;
+            const inputOf = row => (lookback > 1 ? row.sequence : row.features);
+            const stepsOf = output => (Array.isArray(output) ? output : [output]);
+
+            const latest = processor.getLatestRow(lookback);
+            if (!latest) {
+                throw new PlatformError(ERROR_TYPES.DATA_ERROR, 'No features available for prediction');
+            }
+
+            if (strategy === 'direct') {
+                const path = stepsOf(await builder.predict(inputOf(latest), schema, latest.reference));
+                const [draws] = await builder.sampleOutputs([inputOf(latest)], [latest.reference], samples);
+                return { path: path, draws: draws.map(stepsOf) };
+            }
+
+            // The point path and every sample path are rolled forward in lockstep, each on its own projected candles
+            const path = [];
+            const draws = Array.from({ length: samples }, () => []);
+            const projections = [path, ...draws].map(() => processor.startProjection());
+            for (let step = 0; step < horizon; step++) {
+                const [row, ...sampleRows] = projections.map(projection => processor.getProjectedRow(projection, lookback));
+                path.push(await builder.predict(inputOf(row), schema, row.reference));
+
+                const outputs = await builder.sampleOutputs(sampleRows.map(inputOf), sampleRows.map(r => r.reference), 1);
+                outputs.forEach(([output], i) => draws[i].push(output));
+                [path, ...draws].forEach((prices, i) => processor.extendProjection(projections[i], prices[step]));
+            }
+            return { path, draws };
+        } finally {
+            builder.dispose();
+        }
+    }
+
+    /**
+     * Topology and weights of a trained model as { modelTopology, weightSpecs, weightData } plus the model.json
+     * header fields (format, generatedBy, convertedBy), for tf.io.fromMemory and ModelBundle.export
+     */
+    static async serialize(builder) {
+        let artifacts = null;
+        await builder.save(tf.io.withSaveHandler(async (saved) => {
+            artifacts = saved;
+            return { modelArtifactsInfo: tf.io.getModelArtifactsInfoForJSON(saved) };
+        }));
+        return {
+            modelTopology: artifacts.modelTopology,
+            format: artifacts.format,
+            generatedBy: artifacts.generatedBy,
+            convertedBy: artifacts.convertedBy,
+            weightSpecs: artifacts.weightSpecs,
+            weightData: artifacts.weightData
+        };
+    }
+}
+
+// Export for global use
+window.TrainingJobs = TrainingJobs;
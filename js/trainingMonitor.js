@@ -0,0 +1,165 @@
+/**
+ * Training Monitor for ModelBuilder.trainModel
+ * Watches the monitored loss each epoch to stop early, schedule the learning rate and keep the best weights
+ */
+
+/**
+ * Adam with gradients rescaled so their global norm never exceeds clipNorm
+ */
+class ClippedAdamOptimizer extends tf.AdamOptimizer {
+    constructor(learningRate, clipNorm) {
+        super(learningRate, 0.9, 0.999);
+        this.clipNorm = clipNorm;
+    }
+
+    applyGradients(variableGradients) {
+        const named = Array.isArray(variableGradients)
+            ? Object.fromEntries(variableGradients.map(({ name, tensor }) => [name, tensor]))
+            : variableGradients;
+        const clipped = tf.tidy(() => {
+            const gradients = Object.values(named);
+            const norm = tf.sqrt(tf.addN(gradients.map(gradient => tf.sum(tf.square(gradient)))));
+            const scale = tf.div(this.clipNorm, tf.maximum(norm, this.clipNorm));
+            return Object.fromEntries(Object.entries(named).map(([name, gradient]) => [name, tf.mul(gradient, scale)]));
+        });
+        super.applyGradients(clipped);
+        tf.dispose(clipped);
+    }
+}
+
+class TrainingMonitor {
+    /**
+     * options is TRAINING_CONFIG; monitor is 'val_loss' when there is validation data, else 'loss'
+     */
+    constructor(model, { epochs, learningRate, monitor = 'val_loss', options = TRAINING_CONFIG }) {
+        this.model = model;
+        this.epochs = epochs;
+        this.baseLearningRate = learningRate;
+        this.monitor = monitor;
+        this.options = options;
+
+        this.learningRate = learningRate;
+        this.bestLoss = Infinity;
+        this.bestEpoch = 0;
+        this.bestWeights = null;
+        this.wait = 0;
+        this.plateauWait = 0;
+        this.epochsRun = 0;
+        this.stopReason = 'completed';
+    }
+
+    /**
+     * Optimizer for a new model: Adam, with global-norm gradient clipping when clipNorm > 0
+     */
+    static createOptimizer(learningRate, clipNorm = TRAINING_CONFIG.clipNorm) {
+        return clipNorm > 0 ? new ClippedAdamOptimizer(learningRate, clipNorm) : tf.train.adam(learningRate);
+    }
+
+    /**
+     * Learning rate for an epoch under the cosine schedule, annealing from the base rate to minLearningRate
+     */
+    cosineRate(epoch) {
+        const { minLearningRate } = this.options;
+        const floor = Math.min(minLearningRate, this.baseLearningRate);
+        return floor + 0.5 * (this.baseLearningRate - floor) * (1 + Math.cos(Math.PI * epoch / this.epochs));
+    }
+
+    setLearningRate(learningRate) {
+        this.learningRate = learningRate;
+        this.model.optimizer.learningRate = learningRate;
+    }
+
+    /**
+     * Apply the schedule before an epoch runs
+     */
+    onEpochBegin(epoch) {
+        if (this.options.schedule === 'cosine') {
+            this.setLearningRate(this.cosineRate(epoch));
+        }
+    }
+
+    /**
+     * Track the monitored loss after an epoch; stops training when it diverges or stops improving
+     */
+    onEpochEnd(epoch, logs) {
+        const { earlyStopping, patience, minDelta, restoreBestWeights, schedule, plateau, minLearningRate } = this.options;
+        const loss = logs[this.monitor];
+        this.epochsRun = epoch + 1;
+
+        if (!Number.isFinite(loss) || !Number.isFinite(logs.loss)) {
+            this.stopReason = 'diverged';
+            this.model.stopTraining = true;
+            return;
+        }
+
+        if (loss < this.bestLoss * (1 - minDelta)) {
+            this.bestLoss = loss;
+            this.bestEpoch = epoch + 1;
+            this.wait = 0;
+            this.plateauWait = 0;
+            if (restoreBestWeights) {
+                tf.dispose(this.bestWeights);
+                this.bestWeights = this.model.getWeights().map(weight => weight.clone());
+            }
+            return;
+        }
+
+        this.wait++;
+        this.plateauWait++;
+        if (schedule === 'plateau' && this.plateauWait >= plateau.patience && this.learningRate > minLearningRate) {
+            this.setLearningRate(Math.max(minLearningRate, this.learningRate * plateau.factor));
+            this.plateauWait = 0;
+        }
+        if (earlyStopping && this.wait >= patience) {
+            this.stopReason = 'early_stopping';
+            this.model.stopTraining = true;
+        }
+    }
+
+    /**
+     * The run so far as { epochsRun, totalEpochs, monitor, bestEpoch, bestLoss, stopReason, restoredBest, schedule, finalLearningRate }
+     * restoredBest tells whether finish() puts back weights from an earlier epoch
+     */
+    summary() {
+        return {
+            epochsRun: this.epochsRun,
+            totalEpochs: this.epochs,
+            monitor: this.monitor,
+            bestEpoch: this.bestEpoch,
+            bestLoss: Number.isFinite(this.bestLoss) ? this.bestLoss : null,
+            stopReason: this.stopReason,
+            restoredBest: this.bestWeights !== null && this.bestEpoch < this.epochsRun,
+            schedule: this.options.schedule,
+            finalLearningRate: this.learningRate
+        };
+    }
+
+    /**
+     * Restore the best weights seen (if enabled), release the snapshot and return the run's summary
+     */
+    finish() {
+        const summary = this.summary();
+        if (summary.restoredBest) {
+            this.model.setWeights(this.bestWeights);
+        }
+        tf.dispose(this.bestWeights);
+        this.bestWeights = null;
+        return summary;
+    }
+
+    /**
+     * One-line account of how a run ended, for the training modal, model info and log
+     */
+    static describe(summary) {
+        const ended = {
+            completed: `Ran all ${summary.totalEpochs} epochs`,
+            early_stopping: `Stopped early at epoch ${summary.epochsRun}/${summary.totalEpochs} (${summary.monitor} stopped improving)`,
+            diverged: `Stopped at epoch ${summary.epochsRun}/${summary.totalEpochs} (loss diverged)`
+        }[summary.stopReason];
+        if (!summary.bestEpoch) return ended;
+        return `${ended}; best epoch ${summary.bestEpoch}${summary.restoredBest ? ', weights restored' : ''}`;
+    }
+}
+
+// Export for global use
+window.TrainingMonitor = TrainingMonitor;
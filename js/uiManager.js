@@ -7,6 +7,7 @@ class UIManager {
     constructor() {
         this.elements = this.initializeElements();
         this.trainingActive = false;
+        this.trainingPaused = false;
     }
 
     /**
@@ -23,18 +24,71 @@ class UIManager {
             trainingDetails: document.getElementById('trainingDetails'),
             trainingProgress: document.getElementById('trainingProgress'),
             progressFill: document.getElementById('progressFill'),
+            pauseTrainingBtn: document.getElementById('pauseTrainingBtn'),
+            cancelTrainingBtn: document.getElementById('cancelTrainingBtn'),
             
             // Control elements
             cryptoSelect: document.getElementById('cryptoSelect'),
             modelSelect: document.getElementById('modelSelect'),
+            presetSelect: document.getElementById('presetSelect'),
+            horizonSelect: document.getElementById('horizonSelect'),
+            strategySelect: document.getElementById('strategySelect'),
             trainBtn: document.getElementById('trainBtn'),
             predictBtn: document.getElementById('predictBtn'),
+            backtestBtn: document.getElementById('backtestBtn'),
+            cvBtn: document.getElementById('cvBtn'),
+            tuneBtn: document.getElementById('tuneBtn'),
+            baselinesBtn: document.getElementById('baselinesBtn'),
+            saveModelBtn: document.getElementById('saveModelBtn'),
+            exportModelBtn: document.getElementById('exportModelBtn'),
+            importModelBtn: document.getElementById('importModelBtn'),
+            bundleInput: document.getElementById('bundleInput'),
+            savedModels: document.getElementById('savedModels'),
+            cvModeSelect: document.getElementById('cvModeSelect'),
+            importBtn: document.getElementById('importBtn'),
+            fileInput: document.getElementById('fileInput'),
+            
+            // Feature pipeline panel
+            featureSteps: document.getElementById('featureSteps'),
+            featureSummary: document.getElementById('featureSummary'),
+            featureAddSelect: document.getElementById('featureAddSelect'),
+            
+            // Column mapping for file import
+            columnMapping: document.getElementById('columnMapping'),
+            columnMappingTitle: document.getElementById('columnMappingTitle'),
+            mappingFields: document.getElementById('mappingFields'),
+            applyMappingBtn: document.getElementById('applyMappingBtn'),
+            cancelMappingBtn: document.getElementById('cancelMappingBtn'),
+            
+            // Price chart panel toggles and range controls
+            chartPanels: document.getElementById('chartPanels'),
+            chartRanges: document.getElementById('chartRanges'),
+            chartRange: document.getElementById('chartRange'),
+            resetZoomBtn: document.getElementById('resetZoomBtn'),
             
             // Metrics display
             accuracy: document.getElementById('accuracy'),
+            metricDetails: document.getElementById('metricDetails'),
             mae: document.getElementById('mae'),
             prediction: document.getElementById('prediction'),
-            modelInfo: document.getElementById('modelInfo')
+            predictionLabel: document.getElementById('predictionLabel'),
+            modelInfo: document.getElementById('modelInfo'),
+            lossHistory: document.getElementById('lossHistory'),
+            diagnosticsStep: document.getElementById('diagnosticsStep'),
+            diagnosticsStepGroup: document.getElementById('diagnosticsStepGroup'),
+            diagnosticsSummary: document.getElementById('diagnosticsSummary'),
+            diagnosticsCharts: document.getElementById('diagnosticsCharts'),
+            backtestResults: document.getElementById('backtestResults'),
+            cvResults: document.getElementById('cvResults'),
+            leaderboard: document.getElementById('leaderboard'),
+            leaderboardSort: document.getElementById('leaderboardSort'),
+            tuningSpace: document.getElementById('tuningSpace'),
+            tuneMethod: document.getElementById('tuneMethod'),
+            tuneTrials: document.getElementById('tuneTrials'),
+            tuningResults: document.getElementById('tuningResults'),
+            
+            // System log
+            trainingLog: document.getElementById('trainingLog')
         };
     }
 
@@ -70,7 +124,7 @@ class UIManager {
     /**
      * Show training modal with progress tracking
      */
-    showTrainingModal(modelType, cryptoName, isISO20022 = false) {
+    showTrainingModal(modelType, cryptoName) {
         if (!this.elements.trainingOverlay) return;
         
         this.trainingActive = true;
@@ -78,38 +132,350 @@ class UIManager {
         
         // Set modal content
         this.elements.trainingTitle.textContent = `Training ${modelType.toUpperCase()} Model`;
-        this.elements.trainingDetails.textContent = `${cryptoName} with ${isISO20022 ? 'ISO20022 enhancement' : 'standard processing'}`;
+        this.elements.trainingDetails.textContent = cryptoName;
         this.elements.trainingProgress.textContent = 'Initializing...';
         
         // Reset progress bar
         if (this.elements.progressFill) {
             this.elements.progressFill.style.width = '0%';
         }
+        this.setTrainingPaused(false);
+        [this.elements.pauseTrainingBtn, this.elements.cancelTrainingBtn].forEach(button => {
+            if (button) button.disabled = false;
+        });
         
         // Disable interactions
         this.disableControls();
     }
 
+    /**
+     * Switch the overlay between running and paused; a pause takes effect at the end of the current epoch
+     */
+    setTrainingPaused(paused) {
+        this.trainingPaused = paused;
+        if (this.elements.trainingOverlay) {
+            this.elements.trainingOverlay.classList.toggle('paused', paused);
+        }
+        if (this.elements.pauseTrainingBtn) {
+            this.elements.pauseTrainingBtn.textContent = paused ? 'Resume' : 'Pause';
+        }
+        if (paused && this.elements.trainingProgress) {
+            this.elements.trainingProgress.textContent += ' - Pausing after this epoch';
+        }
+    }
+
+    /**
+     * Lock the overlay buttons while a cancelled run winds down
+     */
+    setTrainingCancelling() {
+        [this.elements.pauseTrainingBtn, this.elements.cancelTrainingBtn].forEach(button => {
+            if (button) button.disabled = true;
+        });
+        if (this.elements.trainingProgress) {
+            this.elements.trainingProgress.textContent = 'Cancelling...';
+        }
+    }
+
+    /**
+     * Show which fold of a backtest or cross-validation run (or trial of a search) is being trained
+     */
+    updateFoldProgress(title, fold, folds, unit = 'Fold') {
+        if (!this.trainingActive) return;
+        
+        this.elements.trainingTitle.textContent = `${title}: ${unit} ${fold}/${folds}`;
+        if (this.elements.progressFill) {
+            this.elements.progressFill.style.width = '0%';
+        }
+    }
+
+    /**
+     * Render per-fold cross-validation metrics with their mean ± std
+     * result comes from CrossValidator.run
+     */
+    showCrossValidation(result, mode, cryptoKey) {
+        if (!this.elements.cvResults) return;
+        
+        const decimals = this.getDecimalPlaces(CRYPTO_CONFIG[cryptoKey].basePrice) + 3;
+        const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+        const rows = result.folds.map(({ fold, train, test, metrics }) => `
+            <tr>
+                <td title="Train ${formatDate(train.from)}–${formatDate(train.to)}">${fold} (${train.rows}/${test.rows})</td>
+                <td>${metrics.mae.toFixed(decimals)}</td>
+                <td>${metrics.rmse.toFixed(decimals)}</td>
+                <td>${this.formatMetric('mase', metrics.mase)}</td>
+                <td>${this.formatMetric('directionalAccuracy', metrics.directionalAccuracy)}</td>
+            </tr>`).join('');
+        const { mae, rmse, mase, directionalAccuracy, excluded } = result.summary;
+        
+        this.elements.cvResults.innerHTML = `
+            <strong>${result.folds.length}-fold ${mode} cross-validation</strong>
+            <table class="results-table">
+                <thead><tr><th>Fold (train/test)</th><th>MAE</th><th>RMSE</th><th>MASE</th><th>Direction</th></tr></thead>
+                <tbody>${rows}</tbody>
+                <tfoot><tr>
+                    <td>Mean ± std${excluded > 0 ? ` (${excluded} diverged fold${excluded > 1 ? 's' : ''} excluded)` : ''}</td>
+                    <td>${mae.mean.toFixed(decimals)} ± ${mae.std.toFixed(decimals)}</td>
+                    <td>${rmse.mean.toFixed(decimals)} ± ${rmse.std.toFixed(decimals)}</td>
+                    <td>${this.formatMetric('mase', mase.mean)} ± ${this.formatMetric('mase', mase.std)}</td>
+                    <td>${this.formatMetric('directionalAccuracy', directionalAccuracy.mean)} ± ${this.formatMetric('directionalAccuracy', directionalAccuracy.std)}</td>
+                </tr></tfoot>
+            </table>`;
+    }
+
+    /**
+     * Render ranked leaderboard entries for the selected asset
+     * metrics is LEADERBOARD_METRICS; sortKey marks the ranking column
+     */
+    renderLeaderboard(entries, metrics, sortKey, cryptoKey) {
+        if (!this.elements.leaderboard) return;
+        
+        if (this.elements.leaderboardSort && this.elements.leaderboardSort.options.length === 0) {
+            this.elements.leaderboardSort.innerHTML = Object.entries(metrics)
+                .map(([key, metric]) => `<option value="${key}"${key === sortKey ? ' selected' : ''}>${metric.label}</option>`)
+                .join('');
+        }
+        if (entries.length === 0) {
+            this.elements.leaderboard.textContent = 'Train models or run baselines to compare them on the same test period';
+            return;
+        }
+        
+        const decimals = this.getDecimalPlaces(CRYPTO_CONFIG[cryptoKey].basePrice) + 3;
+        const keys = Object.keys(metrics);
+        const cell = (key, value) => (key === 'mae' || key === 'rmse' ? value.toFixed(decimals) : this.formatMetric(key, value));
+        let rank = 0;
+        const rows = entries.map((entry, i) => {
+            rank = i > 0 && entries[i - 1].horizon === entry.horizon ? rank + 1 : 1;
+            return `
+            <tr${entry.kind === 'baseline' ? ' class="baseline-row"' : ''}>
+                <td>${rank}. ${this.escapeHtml(entry.label)}</td>
+                <td>${entry.horizon}</td>
+                ${keys.map(key => `<td>${cell(key, entry[key])}</td>`).join('')}
+            </tr>`;
+        }).join('');
+        
+        const header = keys
+            .map(key => `<th>${metrics[key].label}${key === sortKey ? ' ▾' : ''}</th>`)
+            .join('');
+        this.elements.leaderboard.innerHTML = `
+            <table class="results-table">
+                <thead><tr><th>${CRYPTO_CONFIG[cryptoKey].name} Model</th><th>Steps</th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    /**
+     * Selected leaderboard ranking metric
+     */
+    getLeaderboardSort() {
+        return this.elements.leaderboardSort && this.elements.leaderboardSort.value
+            ? this.elements.leaderboardSort.value
+            : 'mae';
+    }
+
+    /**
+     * List saved models for an asset side by side, with load, rename and delete controls
+     * handlers: { onLoad(id), onRename(id, name), onDelete(id) }
+     */
+    renderSavedModels(records, cryptoKey, handlers) {
+        if (!this.elements.savedModels) return;
+        
+        if (records.length === 0) {
+            this.elements.savedModels.textContent = `No saved ${CRYPTO_CONFIG[cryptoKey].name} models yet`;
+            return;
+        }
+        
+        // The lowest MAE per horizon is highlighted so runs are easy to compare
+        const best = {};
+        records.forEach(record => {
+            if (!(record.horizon in best) || record.metrics.mae < best[record.horizon]) best[record.horizon] = record.metrics.mae;
+        });
+        
+        const decimals = this.getDecimalPlaces(CRYPTO_CONFIG[cryptoKey].basePrice) + 3;
+        const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+        const table = document.createElement('table');
+        table.className = 'results-table';
+        table.innerHTML = '<thead><tr><th>Name</th><th>Model</th><th>Steps</th><th>Trained on</th>' +
+            '<th>MAE</th><th>MASE</th><th>Direction</th><th>Saved</th><th></th></tr></thead>';
+        const body = document.createElement('tbody');
+        
+        records.forEach(record => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><input type="text" data-role="name"></td>
+                <td>${record.modelType.toUpperCase()} (${record.strategy})</td>
+                <td>${record.horizon}</td>
+                <td>${formatDate(record.trainRange.from)}–${formatDate(record.trainRange.to)} (${record.trainRange.rows})</td>
+                <td${record.metrics.mae === best[record.horizon] ? ' class="best"' : ''}>${record.metrics.mae.toFixed(decimals)}</td>
+                <td>${this.formatMetric('mase', record.metrics.mase)}</td>
+                <td>${this.formatMetric('directionalAccuracy', record.metrics.directionalAccuracy)}</td>
+                <td>${new Date(record.savedAt).toLocaleString()}</td>
+                <td><button data-role="load">Load</button> <button data-role="delete">Delete</button></td>`;
+            
+            const name = row.querySelector('[data-role="name"]');
+            name.value = record.name;
+            name.title = 'Edit to rename';
+            name.onchange = () => handlers.onRename(record.id, name.value);
+            row.querySelector('[data-role="load"]').onclick = () => handlers.onLoad(record.id);
+            row.querySelector('[data-role="delete"]').onclick = () => {
+                if (window.confirm(`Delete saved model "${record.name}"?`)) handlers.onDelete(record.id);
+            };
+            body.appendChild(row);
+        });
+        
+        table.appendChild(body);
+        this.elements.savedModels.innerHTML = '';
+        this.elements.savedModels.appendChild(table);
+    }
+
+    /**
+     * Render one text field per search dimension holding its comma-separated candidate values
+     */
+    renderSearchSpace(space) {
+        if (!this.elements.tuningSpace) return;
+        
+        this.elements.tuningSpace.innerHTML = '';
+        Object.entries(space).forEach(([key, values]) => {
+            const row = document.createElement('label');
+            row.className = 'feature-step';
+            row.appendChild(document.createTextNode(key));
+            
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = values.join(', ');
+            input.dataset.param = key;
+            row.appendChild(input);
+            this.elements.tuningSpace.appendChild(row);
+        });
+        
+        if (this.elements.tuneTrials && !this.elements.tuneTrials.value) {
+            this.elements.tuneTrials.value = TUNING_CONFIG.trials;
+        }
+    }
+
+    /**
+     * Read { method, trials, space } back from the search panel; empty fields drop that dimension
+     */
+    readSearchSpace() {
+        const space = {};
+        if (this.elements.tuningSpace) {
+            this.elements.tuningSpace.querySelectorAll('input[data-param]').forEach(input => {
+                space[input.dataset.param] = input.value.split(',')
+                    .map(value => value.trim())
+                    .filter(value => value !== '')
+                    .map(Number);
+            });
+        }
+        
+        return {
+            method: this.elements.tuneMethod ? this.elements.tuneMethod.value : TUNING_CONFIG.method,
+            trials: this.elements.tuneTrials && this.elements.tuneTrials.value
+                ? Number(this.elements.tuneTrials.value)
+                : TUNING_CONFIG.trials,
+            space: space
+        };
+    }
+
+    /**
+     * Render ranked search trials with the best configuration and its apply/save actions
+     * result comes from HyperparameterTuner.run; handlers: { onApply(), onSave(name) }
+     */
+    renderTuningResults(result, modelType, cryptoKey, handlers) {
+        if (!this.elements.tuningResults) return;
+        
+        if (!result) {
+            this.elements.tuningResults.innerHTML = '';
+            return;
+        }
+        
+        const decimals = this.getDecimalPlaces(CRYPTO_CONFIG[cryptoKey].basePrice) + 3;
+        const keys = Object.keys(result.best.hyperparameters);
+        const methods = { grid: 'Grid search', random: 'Random search', halving: 'Successive halving' };
+        const score = (trial, key, format) => (trial.score && Number.isFinite(trial.score[key]) ? format(trial.score[key]) : '-');
+        const rows = result.trials.map((trial, i) => `
+            <tr>
+                <td>${i + 1}.</td>
+                ${keys.map(key => `<td>${trial.hyperparameters[key]}</td>`).join('')}
+                <td>${trial.epochs}</td>
+                <td${trial === result.best ? ' class="best"' : ''}>${score(trial, 'mae', v => v.toFixed(decimals))} ± ${score(trial, 'maeStd', v => v.toFixed(decimals))}</td>
+                <td>${score(trial, 'mase', v => this.formatMetric('mase', v))}</td>
+                <td>${score(trial, 'directionalAccuracy', v => this.formatMetric('directionalAccuracy', v))}</td>
+            </tr>`).join('');
+        
+        this.elements.tuningResults.innerHTML = `
+            <strong>${methods[result.method]} - ${modelType.toUpperCase()} on ${CRYPTO_CONFIG[cryptoKey].name}, ${result.trials.length} candidates</strong>
+            <table class="results-table">
+                <thead><tr><th>Rank</th>${keys.map(key => `<th>${key}</th>`).join('')}<th>Epochs</th><th>Val MAE</th><th>MASE</th><th>Direction</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="button-group">
+                <button data-role="apply">Apply Best to ${CRYPTO_CONFIG[cryptoKey].iso20022 ? 'ISO 20022' : 'Standard'} Tier</button>
+                <input type="text" data-role="preset" placeholder="Preset name">
+                <button data-role="save">Save as Preset</button>
+            </div>`;
+        
+        const name = this.elements.tuningResults.querySelector('[data-role="preset"]');
+        this.elements.tuningResults.querySelector('[data-role="apply"]').onclick = () => handlers.onApply();
+        this.elements.tuningResults.querySelector('[data-role="save"]').onclick = () => handlers.onSave(name.value);
+    }
+
+    /**
+     * Fill the preset selector with the tier default plus saved presets for the selected model
+     */
+    renderPresetOptions(names, selected = null) {
+        if (!this.elements.presetSelect) return;
+        
+        this.elements.presetSelect.innerHTML = '<option value="">Tier default</option>' + names
+            .map(name => `<option value="${this.escapeHtml(name)}"${name === selected ? ' selected' : ''}>${this.escapeHtml(name)}</option>`)
+            .join('');
+    }
+
+    /**
+     * Render backtest statistics from Backtester.simulate
+     */
+    showBacktestResults(report) {
+        if (!this.elements.backtestResults) return;
+        
+        const percent = (value) => (value === null ? '-' : `${(value * 100).toFixed(2)}%`);
+        const ratio = (value) => (value === null ? '-' : value.toFixed(2));
+        const cards = [
+            ['Total Return', percent(report.totalReturn)],
+            ['Buy & Hold', percent(report.benchmarkReturn)],
+            ['Sharpe', ratio(report.sharpe)],
+            ['Sortino', ratio(report.sortino)],
+            ['Max Drawdown', percent(report.maxDrawdown)],
+            ['Hit Rate', percent(report.hitRate)],
+            ['Turnover', ratio(report.turnover)],
+            ['Trades', String(report.trades)]
+        ];
+        
+        this.elements.backtestResults.innerHTML = cards.map(([label, value]) => `
+            <div class="metric">
+                <div class="metric-value">${value}</div>
+                <div class="metric-label">${label}</div>
+            </div>`).join('');
+    }
+
     /**
      * Update training progress
      */
     updateTrainingProgress(progressData) {
         if (!this.trainingActive || !this.elements.progressFill) return;
         
-        const { epoch, totalEpochs, progress, loss, valLoss, mae } = progressData;
+        const { epoch, totalEpochs, progress, loss, valLoss, mae, learningRate, bestEpoch, stopped } = progressData;
         
         // Update progress bar
         this.elements.progressFill.style.width = `${Math.min(progress, 100)}%`;
         
-        // Update progress text
+        // Update progress text; an early stop replaces the epoch counter with the reason
         const lossText = loss ? loss.toFixed(4) : 'N/A';
-        this.elements.trainingProgress.textContent = 
-            `Epoch ${epoch}/${totalEpochs} - Loss: ${lossText}`;
+        this.elements.trainingProgress.textContent = stopped ||
+            `Epoch ${epoch}/${totalEpochs} - Loss: ${lossText}${this.trainingPaused ? ' - Paused' : ''}`;
         
         // Update details with additional metrics if available
         if (valLoss !== undefined && mae !== undefined) {
+            const schedule = learningRate !== undefined ? ` | LR: ${learningRate.toPrecision(3)} | Best epoch: ${bestEpoch || '-'}` : '';
             this.elements.trainingDetails.textContent = 
-                `Validation Loss: ${valLoss.toFixed(4)} | MAE: ${mae.toFixed(4)}`;
+                `Validation Loss: ${valLoss.toFixed(4)} | MAE: ${mae.toFixed(4)}${schedule}`;
         }
     }
 
@@ -131,48 +497,128 @@ class UIManager {
         const crypto = CRYPTO_CONFIG[cryptoKey];
         const decimals = this.getDecimalPlaces(crypto.basePrice);
         
-        // Apply ISO20022 enhancement bonus if applicable
-        const enhancedAccuracy = crypto.iso20022 ? metrics.accuracy * 1.05 : metrics.accuracy;
-        
         // Update metric values
         if (this.elements.accuracy) {
-            this.elements.accuracy.textContent = `${enhancedAccuracy.toFixed(1)}%`;
+            this.elements.accuracy.textContent = this.formatMetric('directionalAccuracy', metrics.directionalAccuracy);
         }
         
         if (this.elements.mae) {
             this.elements.mae.textContent = `$${metrics.mae.toFixed(decimals)}`;
         }
         
-        // Update R² if available
-        if (metrics.r2 !== undefined && this.elements.r2) {
-            this.elements.r2.textContent = metrics.r2.toFixed(3);
+        if (this.elements.metricDetails) {
+            const rows = [
+                ['RMSE', `$${metrics.rmse.toFixed(decimals + 3)}`],
+                ['MAPE', this.formatMetric('mape', metrics.mape)],
+                ['sMAPE', this.formatMetric('smape', metrics.smape)],
+                ['MASE', this.formatMetric('mase', metrics.mase), 'Below 1 beats the naive forecast on the training period'],
+                ["Theil's U", this.formatMetric('theilU', metrics.theilU), 'Below 1 beats carrying the last close forward'],
+                ['Skill vs naive', this.formatMetric('skill', metrics.skill), 'MAE improvement over carrying the last close forward'],
+                ['R²', metrics.r2.toFixed(3)]
+            ].map(([label, value, title]) => `<tr${title ? ` title="${title}"` : ''}><td>${label}</td><td>${value}</td></tr>`);
+            this.elements.metricDetails.innerHTML = `
+                <table class="results-table">
+                    <tbody>${rows.join('')}</tbody>
+                </table>
+                <div style="font-size: 0.85em; opacity: 0.8;">Scored on ${metrics.sampleSize} test predictions</div>`;
         }
     }
 
+    /**
+     * Format a scale-free metric; null means it could not be computed for these predictions
+     */
+    formatMetric(key, value) {
+        if (value === null || value === undefined || !Number.isFinite(value)) return '-';
+        if (['directionalAccuracy', 'mape', 'smape', 'skill'].includes(key)) {
+            return `${(value * 100).toFixed(key === 'mape' || key === 'smape' ? 2 : 1)}%`;
+        }
+        return value.toFixed(3);
+    }
+
     /**
      * Update model information display
      */
     updateModelInfo(modelInfo) {
         if (!this.elements.modelInfo) return;
         
-        const { architecture, epochs, learningRate, enhanced, cryptoName, hiddenUnits } = modelInfo;
+        const { architecture, epochs, learningRate, cryptoName, hiddenUnits, dropout, batchSize, inputFeatures, lookback, outputs, scaling, training, history } = modelInfo;
+        const finalLoss = history && history.loss.length > 0
+            ? `• Final loss: ${history.loss[history.loss.length - 1].toFixed(5)} train` +
+              `${history.valLoss.length > 0 ? `, ${history.valLoss[history.valLoss.length - 1].toFixed(5)} validation` : ''}<br>`
+            : '';
         
         this.elements.modelInfo.innerHTML = `
             <strong>${architecture}</strong><br>
             <div style="margin-top: 10px; font-size: 0.85em; opacity: 0.9;">
                 • Training epochs: ${epochs}<br>
-                • Learning rate: ${learningRate}<br>
+                ${training ? `• ${TrainingMonitor.describe(training)}<br>` : ''}
+                ${finalLoss}
+                • Learning rate: ${learningRate}${training && training.schedule !== 'constant' ? ` (${training.schedule} schedule, ended at ${training.finalLearningRate.toPrecision(3)})` : ''}<br>
                 • Hidden units: ${hiddenUnits}<br>
-                • Enhancement: ${enhanced ? 'ISO20022 Active' : 'Standard Processing'}
-                ${enhanced ? '<br>• <span class="iso-badge">Compliance Optimized</span>' : ''}
+                ${dropout !== undefined ? `• Dropout: ${dropout}, batch size: ${batchSize}<br>` : ''}
+                ${inputFeatures ? `• Input features: ${inputFeatures}<br>` : ''}
+                ${lookback > 1 ? `• Sequence window: ${lookback} steps<br>` : ''}
+                ${outputs > 1 ? `• Output steps: ${outputs}<br>` : ''}
+                ${scaling ? `• Scaling: ${scaling}<br>` : ''}
             </div>
         `;
     }
 
+    /**
+     * Show or hide the model's loss history chart
+     */
+    showLossHistory(visible) {
+        if (this.elements.lossHistory) this.elements.lossHistory.hidden = !visible;
+    }
+
+    /**
+     * Fill the diagnostics step selector for a model predicting `steps` candles per row; hidden for single-step models
+     */
+    renderDiagnosticsSteps(steps, onSelect) {
+        if (!this.elements.diagnosticsStep) return;
+        
+        this.elements.diagnosticsStep.innerHTML = Array.from({ length: steps }, (_, step) =>
+            `<option value="${step}">${step === 0 ? 'Next candle' : `${step + 1} candles ahead`}</option>`).join('');
+        this.elements.diagnosticsStep.onchange = () => onSelect(parseInt(this.elements.diagnosticsStep.value, 10));
+        if (this.elements.diagnosticsStepGroup) this.elements.diagnosticsStepGroup.hidden = steps <= 1;
+    }
+
+    /**
+     * Summarise a ForecastMetrics.diagnostics report (timestamps are the candles predicted) and show its charts
+     */
+    updateDiagnostics(report, timestamps, cryptoKey) {
+        if (this.elements.diagnosticsCharts) this.elements.diagnosticsCharts.hidden = false;
+        if (!this.elements.diagnosticsSummary) return;
+        
+        const decimals = this.getDecimalPlaces(CRYPTO_CONFIG[cryptoKey].basePrice) + 3;
+        const worst = report.residuals.reduce((best, r, i) => (Math.abs(r) > Math.abs(report.residuals[best]) ? i : best), 0);
+        const peak = report.rollingMae.reduce((best, mae, i) => (mae > report.rollingMae[best] ? i : best), 0);
+        const date = (i) => new Date(timestamps[i]).toLocaleString();
+        const signed = (value) => `${value < 0 ? '-' : '+'}$${Math.abs(value).toFixed(decimals)}`;
+        const lean = report.bias > 0 ? 'predictions run low' : 'predictions run high';
+        
+        this.elements.diagnosticsSummary.innerHTML = `
+            <strong>Bias:</strong> ${signed(report.bias)} (${lean})<br>
+            <strong>Largest miss:</strong> ${signed(report.residuals[worst])} on ${date(worst)}<br>
+            <strong>Worst stretch:</strong> rolling MAE $${report.rollingMae[peak].toFixed(decimals)} ending ${date(peak)}
+            (test MAE $${report.mae.toFixed(decimals)})`;
+    }
+
+    /**
+     * Hide the diagnostics; models loaded from storage carry no test-period predictions to chart
+     */
+    resetDiagnostics(message = 'Train a model to see where its test-period predictions miss') {
+        if (this.elements.diagnosticsCharts) this.elements.diagnosticsCharts.hidden = true;
+        if (this.elements.diagnosticsStepGroup) this.elements.diagnosticsStepGroup.hidden = true;
+        if (this.elements.diagnosticsSummary) this.elements.diagnosticsSummary.textContent = message;
+    }
+
     /**
      * Update prediction display
+     * steps is how many candles ahead predictionValue lies (the end of the forecast path)
+     * intervals ([{ level, lower, upper }]) are the prediction intervals at that step
      */
-    updatePrediction(predictionValue, currentPrice, cryptoKey) {
+    updatePrediction(predictionValue, currentPrice, cryptoKey, steps = 1, intervals = []) {
         if (!this.elements.prediction) return;
         
         const crypto = CRYPTO_CONFIG[cryptoKey];
@@ -180,18 +626,286 @@ class UIManager {
         const change = ((predictionValue / currentPrice - 1) * 100);
         
         this.elements.prediction.textContent = `$${predictionValue.toFixed(decimals)}`;
+        if (this.elements.predictionLabel) {
+            this.elements.predictionLabel.textContent = steps > 1 ? `Price in ${steps} Candles` : 'Next Price';
+        }
         
         // Update status with prediction details
         const changeText = change > 0 ? `+${change.toFixed(2)}%` : `${change.toFixed(2)}%`;
         const changeColor = change > 0 ? '#00ff00' : '#ff6b6b';
+        const intervalText = intervals
+            .slice()
+            .sort((a, b) => a.level - b.level)
+            .map(({ level, lower, upper }) => `${Math.round(level * 100)}%: $${lower.toFixed(decimals)}–$${upper.toFixed(decimals)}`)
+            .join(', ');
         
         this.updateStatus(
-            `🔮 ${crypto.name} prediction: $${predictionValue.toFixed(decimals)} (${changeText}) 
+            `🔮 ${crypto.name} ${steps > 1 ? `${steps}-step ` : ''}prediction: $${predictionValue.toFixed(decimals)} (${changeText}) 
+            ${intervalText ? `<br><small>${intervalText}</small>` : ''}
             ${crypto.iso20022 ? '<span class="iso-badge">ISO20022</span>' : ''}`,
             'success'
         );
     }
 
+    /**
+     * Show column selectors for an imported file
+     * onApply receives { field: columnIndex } for every mapped field
+     */
+    showColumnMapping(fileName, headers, guessed, onApply) {
+        if (!this.elements.columnMapping) return;
+        
+        const fields = ['timestamp', 'open', 'high', 'low', 'close', 'volume'];
+        const required = ['timestamp', 'close'];
+        
+        this.elements.columnMappingTitle.textContent = `Map columns for ${fileName}`;
+        this.elements.mappingFields.innerHTML = '';
+        
+        fields.forEach(field => {
+            const group = document.createElement('div');
+            group.className = 'control-group';
+            
+            const label = document.createElement('label');
+            label.textContent = required.includes(field) ? `${field} *` : field;
+            
+            const select = document.createElement('select');
+            select.dataset.field = field;
+            select.innerHTML = '<option value="">(none)</option>' + headers
+                .map((header, index) => `<option value="${index}">${this.escapeHtml(String(header))}</option>`)
+                .join('');
+            select.value = guessed[field] !== undefined ? String(guessed[field]) : '';
+            
+            group.appendChild(label);
+            group.appendChild(select);
+            this.elements.mappingFields.appendChild(group);
+        });
+        
+        this.elements.applyMappingBtn.onclick = () => {
+            const columns = {};
+            this.elements.mappingFields.querySelectorAll('select').forEach(select => {
+                if (select.value !== '') {
+                    columns[select.dataset.field] = Number(select.value);
+                }
+            });
+            
+            const missing = required.filter(field => columns[field] === undefined);
+            if (missing.length > 0) {
+                this.showError(`Map the ${missing.join(' and ')} column${missing.length > 1 ? 's' : ''}`);
+                return;
+            }
+            
+            // onApply returns false when the import was refused, leaving the mapping open to retry
+            if (onApply(columns) !== false) {
+                this.hideColumnMapping();
+            }
+        };
+        this.elements.cancelMappingBtn.onclick = () => this.hideColumnMapping();
+        
+        this.elements.columnMapping.style.display = 'block';
+    }
+
+    /**
+     * Hide the column mapping panel
+     */
+    hideColumnMapping() {
+        if (this.elements.columnMapping) {
+            this.elements.columnMapping.style.display = 'none';
+        }
+    }
+
+    /**
+     * Render the feature pipeline panel from a list of { indicator, params } steps
+     */
+    renderFeaturePanel(steps, definitions) {
+        if (!this.elements.featureSteps) return;
+        
+        this.elements.featureSteps.innerHTML = '';
+        steps.forEach(step => {
+            const definition = definitions[step.indicator];
+            const row = document.createElement('label');
+            row.className = 'feature-step';
+            row.dataset.indicator = step.indicator;
+            
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = step.enabled !== false;
+            toggle.dataset.role = 'enabled';
+            row.appendChild(toggle);
+            row.appendChild(document.createTextNode(definition.label));
+            
+            Object.entries({ ...definition.params, ...step.params }).forEach(([key, value]) => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '1';
+                input.step = 'any';
+                input.value = value;
+                input.title = key;
+                input.dataset.param = key;
+                row.appendChild(document.createTextNode(` ${key}`));
+                row.appendChild(input);
+            });
+            
+            this.elements.featureSteps.appendChild(row);
+        });
+        
+        if (this.elements.featureAddSelect && this.elements.featureAddSelect.options.length === 0) {
+            this.elements.featureAddSelect.innerHTML = Object.entries(definitions)
+                .map(([key, definition]) => `<option value="${key}">${definition.label}</option>`)
+                .join('');
+        }
+        
+        this.updateFeatureSummary(steps.filter(step => step.enabled !== false).length);
+    }
+
+    /**
+     * Render a checkbox per price chart panel; onToggle(panel, visible) runs on every change
+     */
+    renderChartPanels(panels, visible, onToggle) {
+        if (!this.elements.chartPanels) return;
+        
+        this.elements.chartPanels.innerHTML = '';
+        Object.entries(panels).forEach(([key, panel]) => {
+            const row = document.createElement('label');
+            row.className = 'chart-panel-toggle';
+            
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = visible[key];
+            toggle.onchange = () => onToggle(key, toggle.checked);
+            row.appendChild(toggle);
+            row.appendChild(document.createTextNode(panel.label));
+            
+            this.elements.chartPanels.appendChild(row);
+        });
+    }
+
+    /**
+     * Render a button per range selector entry; onSelect(name) runs on click
+     */
+    renderChartRanges(ranges, onSelect) {
+        if (!this.elements.chartRanges) return;
+        
+        this.elements.chartRanges.innerHTML = '';
+        Object.keys(ranges).forEach(name => {
+            const button = document.createElement('button');
+            button.textContent = name;
+            button.onclick = () => onSelect(name);
+            this.elements.chartRanges.appendChild(button);
+        });
+    }
+
+    /**
+     * Describe the visible chart range ({ from, to, candles } or null for all candles)
+     * training says whether that range also limits the training data
+     */
+    updateChartRange(range, training) {
+        if (this.elements.resetZoomBtn) this.elements.resetZoomBtn.disabled = !range;
+        if (!this.elements.chartRange) return;
+        
+        if (!range) {
+            this.elements.chartRange.textContent = 'All candles';
+            return;
+        }
+        const format = (t) => new Date(t).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        this.elements.chartRange.textContent =
+            `${format(range.from)} – ${format(range.to)} (${range.candles} candles${training ? ', used for training' : ''})`;
+    }
+
+    /**
+     * Fill the horizon selector with the configured forecast horizons
+     */
+    renderHorizonOptions(horizons, selected) {
+        if (!this.elements.horizonSelect) return;
+        
+        this.elements.horizonSelect.innerHTML = horizons
+            .map(h => `<option value="${h}"${h === selected ? ' selected' : ''}>${h === 1 ? 'Next candle' : `${h} candles`}</option>`)
+            .join('');
+    }
+
+    /**
+     * Read { indicator, params, enabled } steps back from the feature panel
+     */
+    readFeatureSteps() {
+        if (!this.elements.featureSteps) return [];
+        
+        return Array.from(this.elements.featureSteps.querySelectorAll('.feature-step')).map(row => {
+            const params = {};
+            row.querySelectorAll('input[data-param]').forEach(input => {
+                params[input.dataset.param] = Number(input.value);
+            });
+            return {
+                indicator: row.dataset.indicator,
+                params: params,
+                enabled: row.querySelector('input[data-role="enabled"]').checked
+            };
+        });
+    }
+
+    /**
+     * Get the indicator chosen in the "Add Indicator" selector
+     */
+    getSelectedIndicator() {
+        return this.elements.featureAddSelect ? this.elements.featureAddSelect.value : null;
+    }
+
+    /**
+     * Show how many indicators are active
+     */
+    updateFeatureSummary(indicatorCount, featureCount = null) {
+        if (!this.elements.featureSummary) return;
+        
+        this.elements.featureSummary.textContent = featureCount !== null
+            ? `(${indicatorCount} indicators, ${featureCount} features)`
+            : `(${indicatorCount} indicators)`;
+    }
+
+    /**
+     * Open the browser file picker for price history import
+     */
+    openFilePicker() {
+        if (!this.elements.fileInput) return;
+        
+        // Clear the previous selection so picking the same file again still fires change
+        this.elements.fileInput.value = '';
+        this.elements.fileInput.click();
+    }
+
+    /**
+     * Open the file picker for a model bundle's files
+     */
+    openBundlePicker() {
+        if (!this.elements.bundleInput) return;
+        
+        this.elements.bundleInput.value = '';
+        this.elements.bundleInput.click();
+    }
+
+    /**
+     * Offer generated files as browser downloads
+     * files: [{ name, blob }]
+     */
+    downloadFiles(files) {
+        files.forEach(({ name, blob }) => {
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = name;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            // Revoke after the click has been handled so the download can start
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        });
+    }
+
+    /**
+     * Escape text for safe insertion into HTML
+     */
+    escapeHtml(text) {
+        return text.replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
     /**
      * Show cryptocurrency selection with ISO20022 badge
      */
@@ -206,7 +920,13 @@ class UIManager {
      * Disable control buttons during processing
      */
     disableControls() {
-        const controls = [this.elements.trainBtn, this.elements.predictBtn, this.elements.cryptoSelect, this.elements.modelSelect];
+        const controls = [
+            this.elements.trainBtn, this.elements.predictBtn, this.elements.backtestBtn, this.elements.cvBtn,
+            this.elements.baselinesBtn, this.elements.tuneBtn, this.elements.saveModelBtn,
+            this.elements.exportModelBtn, this.elements.importModelBtn, this.elements.importBtn,
+            this.elements.cryptoSelect, this.elements.modelSelect, this.elements.horizonSelect, this.elements.strategySelect,
+            this.elements.cvModeSelect
+        ];
         controls.forEach(control => {
             if (control) {
                 control.disabled = true;
@@ -219,7 +939,13 @@ class UIManager {
      * Enable control buttons after processing
      */
     enableControls() {
-        const controls = [this.elements.trainBtn, this.elements.predictBtn, this.elements.cryptoSelect, this.elements.modelSelect];
+        const controls = [
+            this.elements.trainBtn, this.elements.predictBtn, this.elements.backtestBtn, this.elements.cvBtn,
+            this.elements.baselinesBtn, this.elements.tuneBtn, this.elements.saveModelBtn,
+            this.elements.exportModelBtn, this.elements.importModelBtn, this.elements.importBtn,
+            this.elements.cryptoSelect, this.elements.modelSelect, this.elements.horizonSelect, this.elements.strategySelect,
+            this.elements.cvModeSelect
+        ];
         controls.forEach(control => {
             if (control) {
                 control.classList.remove('loading');
@@ -229,6 +955,10 @@ class UIManager {
         // Selectively enable based on application state
         if (this.elements.cryptoSelect) this.elements.cryptoSelect.disabled = false;
         if (this.elements.modelSelect) this.elements.modelSelect.disabled = false;
+        if (this.elements.horizonSelect) this.elements.horizonSelect.disabled = false;
+        if (this.elements.strategySelect) this.elements.strategySelect.disabled = false;
+        if (this.elements.cvModeSelect) this.elements.cvModeSelect.disabled = false;
+        if (this.elements.importBtn) this.elements.importBtn.disabled = false;
     }
 
     /**
@@ -244,6 +974,34 @@ class UIManager {
         if (this.elements.predictBtn) {
             this.elements.predictBtn.disabled = !modelTrained;
         }
+        
+        if (this.elements.backtestBtn) {
+            this.elements.backtestBtn.disabled = !dataLoaded;
+        }
+        
+        if (this.elements.cvBtn) {
+            this.elements.cvBtn.disabled = !dataLoaded;
+        }
+        
+        if (this.elements.tuneBtn) {
+            this.elements.tuneBtn.disabled = !dataLoaded;
+        }
+        
+        if (this.elements.baselinesBtn) {
+            this.elements.baselinesBtn.disabled = !dataLoaded;
+        }
+        
+        if (this.elements.saveModelBtn) {
+            this.elements.saveModelBtn.disabled = !modelTrained;
+        }
+        
+        if (this.elements.exportModelBtn) {
+            this.elements.exportModelBtn.disabled = !modelTrained;
+        }
+        
+        if (this.elements.importModelBtn) {
+            this.elements.importModelBtn.disabled = !dataLoaded;
+        }
     }
 
     /**
@@ -258,6 +1016,20 @@ class UIManager {
         }
     }
 
+    /**
+     * Append a timestamped entry to the system log
+     */
+    log(message, type = 'info') {
+        if (!this.elements.trainingLog) return;
+        
+        const entry = document.createElement('div');
+        entry.className = `log-entry log-${type}`;
+        entry.textContent = `[${new Date().toLocaleTimeString()}] ${message}`;
+        
+        this.elements.trainingLog.appendChild(entry);
+        this.elements.trainingLog.scrollTop = this.elements.trainingLog.scrollHeight;
+    }
+
     /**
      * Show loading state for specific operation
      */
@@ -282,11 +1054,19 @@ class UIManager {
         const defaultValue = '-';
         
         if (this.elements.accuracy) this.elements.accuracy.textContent = defaultValue;
+        if (this.elements.metricDetails) this.elements.metricDetails.innerHTML = '';
         if (this.elements.mae) this.elements.mae.textContent = defaultValue;
         if (this.elements.prediction) this.elements.prediction.textContent = defaultValue;
+        if (this.elements.predictionLabel) this.elements.predictionLabel.textContent = 'Next Price';
         if (this.elements.modelInfo) {
             this.elements.modelInfo.textContent = 'Train a model to see performance metrics';
         }
+        this.showLossHistory(false);
+        this.resetDiagnostics();
+        if (this.elements.backtestResults) {
+            this.elements.backtestResults.textContent = "Run a backtest to simulate trading the model's signals";
+        }
+        if (this.elements.cvResults) this.elements.cvResults.innerHTML = '';
     }
 
     /**
@@ -295,10 +1075,23 @@ class UIManager {
     getCurrentSelections() {
         return {
             crypto: this.elements.cryptoSelect ? this.elements.cryptoSelect.value : 'xrp',
-            model: this.elements.modelSelect ? this.elements.modelSelect.value : 'neural'
+            model: this.elements.modelSelect ? this.elements.modelSelect.value : 'neural',
+            horizon: this.elements.horizonSelect && this.elements.horizonSelect.value
+                ? Number(this.elements.horizonSelect.value)
+                : DATA_CONFIG.forecast.horizon,
+            strategy: this.elements.strategySelect ? this.elements.strategySelect.value : DATA_CONFIG.forecast.strategy,
+            cvMode: this.elements.cvModeSelect ? this.elements.cvModeSelect.value : DATA_CONFIG.crossValidation.mode,
+            preset: this.elements.presetSelect && this.elements.presetSelect.value ? this.elements.presetSelect.value : null
         };
     }
 
+    /**
+     * Point the cryptocurrency selector back at the asset the app is working on
+     */
+    setSelectedCrypto(cryptoKey) {
+        if (this.elements.cryptoSelect) this.elements.cryptoSelect.value = cryptoKey;
+    }
+
     /**
      * Check if training is currently active
      */
@@ -0,0 +1,77 @@
+/**
+ * Training Worker: runs TrainingJobs off the page's main thread
+ *
+ * Page → worker: { type: 'run', id, job, payload, settings } and { type: 'pause' | 'resume' | 'cancel', id }
+ * Worker → page: { type: 'ready' }, then per job { id, type: 'progress', progress }, { id, type: 'step', step, steps },
+ * and finally { id, type: 'result', result } or { id, type: 'error', error: { type, message } }.
+ * Payloads carry candles and pipeline steps; rows and windows are built here.
+ * Trained weights travel as a transferred ArrayBuffer inside the 'train' result.
+ */
+
+// The shared modules export themselves onto `window`
+self.window = self;
+
+importScripts('../config.js');
+importScripts(WORKER_CONFIG.tfjsUrl);
+importScripts(
+    '../errors.js',
+    '../featureSchema.js',
+    '../indicators.js',
+    '../featurePipeline.js',
+    '../dataProcessor.js',
+    '../scaler.js',
+    '../predictionIntervals.js',
+    '../metrics.js',
+    '../crossValidator.js',
+    '../trainingMonitor.js',
+    '../trainingControl.js',
+    '../modelBuilder.js',
+    '../hyperparameterTuner.js',
+    '../backtester.js',
+    '../baselines.js',
+    '../trainingJobs.js'
+);
+
+// Jobs the page may run, and the controls of running ones by id
+const JOBS = ['train', 'crossValidate', 'backtest', 'tune', 'baselines', 'forecast'];
+const controls = new Map();
+
+async function runJob({ id, job, payload, settings }) {
+    const control = new TrainingControl();
+    controls.set(id, control);
+
+    try {
+        if (!JOBS.includes(job)) {
+            throw new PlatformError(ERROR_TYPES.VALIDATION_ERROR, `Unknown training job: ${job}`);
+        }
+        TrainingJobs.applySettings(settings);
+
+        const result = await TrainingJobs[job](payload, {
+            control: control,
+            onProgress: (progress) => self.postMessage({ id, type: 'progress', progress }),
+            onStep: (step, steps) => self.postMessage({ id, type: 'step', step, steps })
+        });
+        const transfer = result && result.artifacts ? [result.artifacts.weightData] : [];
+        self.postMessage({ id, type: 'result', result }, transfer);
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: { type: error.type || ERROR_TYPES.MODEL_ERROR, message: error.message } });
+    } finally {
+        controls.delete(id);
+    }
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+    if (message.type === 'run') {
+        runJob(message);
+        return;
+    }
+
+    const control = controls.get(message.id);
+    if (!control) return;
+    if (message.type === 'pause') control.pause();
+    if (message.type === 'resume') control.resume();
+    if (message.type === 'cancel') control.cancel();
+};
+
+self.postMessage({ type: 'ready' });
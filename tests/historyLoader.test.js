@@ -0,0 +1,113 @@
+/**
+ * HistoryLoader against the recorded market_chart fixture
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./loadScripts');
+
+const HOUR = 3600000;
+const DAY = 86400000;
+
+function load() {
+    const { window, get } = loadScripts(['config.js', 'fixtures/marketChartFixture.js', 'historyLoader.js']);
+    return { HistoryLoader: window.HistoryLoader, fixture: window.MARKET_CHART_FIXTURE, DATA_CONFIG: get('DATA_CONFIG') };
+}
+
+/**
+ * Reference bucketing written independently of the loader: every price in a bucket,
+ * the latest 24h volume in it, and the open carried over from the previous close
+ */
+function expectedCandles(fixture, size) {
+    const buckets = new Map();
+    fixture.prices.forEach(([timestamp, price]) => {
+        const bucket = Math.floor(timestamp / size) * size;
+        if (!buckets.has(bucket)) buckets.set(bucket, { prices: [], volume: 0 });
+        buckets.get(bucket).prices.push(price);
+    });
+    fixture.total_volumes.forEach(([timestamp, volume]) => {
+        const bucket = buckets.get(Math.floor(timestamp / size) * size);
+        if (bucket) bucket.volume = volume;
+    });
+
+    let previousClose = null;
+    return [...buckets.keys()].sort((a, b) => a - b).map(timestamp => {
+        const { prices, volume } = buckets.get(timestamp);
+        const open = previousClose !== null ? previousClose : prices[0];
+        const close = prices[prices.length - 1];
+        previousClose = close;
+        return {
+            timestamp, open, close, volume,
+            high: Math.max(open, ...prices),
+            low: Math.min(open, ...prices)
+        };
+    });
+}
+
+function assertCandles(actual, expected) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((candle, i) => {
+        ['timestamp', 'open', 'high', 'low', 'close', 'volume'].forEach(key => {
+            assert.equal(candle[key], expected[i][key], `candle ${i} ${key}`);
+        });
+        assert.equal(candle.price, candle.close);
+        assert.equal(candle.date.getTime(), candle.timestamp);
+    });
+}
+
+test('fixture loads as one OHLCV candle per hour', async () => {
+    const { HistoryLoader, fixture } = load();
+    const candles = await HistoryLoader.fromFixture(fixture).loadHistory('ripple', { days: 7, granularity: 'hourly' });
+
+    assertCandles(candles, expectedCandles(fixture, HOUR));
+    candles.forEach((candle, i) => {
+        assert.equal(candle.timestamp % HOUR, 0);
+        if (i > 0) {
+            assert.ok(candle.timestamp > candles[i - 1].timestamp);
+            assert.equal(candle.open, candles[i - 1].close);
+        }
+        assert.ok(candle.high >= Math.max(candle.open, candle.close));
+        assert.ok(candle.low <= Math.min(candle.open, candle.close));
+    });
+});
+
+test('daily granularity requests interval=daily and buckets by day', async () => {
+    const { HistoryLoader, fixture } = load();
+    const urls = [];
+    const loader = new HistoryLoader({
+        fetchFn: async (url) => {
+            urls.push(url);
+            return { ok: true, status: 200, json: async () => fixture };
+        }
+    });
+
+    const candles = await loader.loadHistory('ripple', { days: 7, granularity: 'daily' });
+    const params = new URL(urls[0]).searchParams;
+    assert.equal(params.get('interval'), 'daily');
+    assert.equal(params.get('days'), '7');
+    assert.equal(params.get('vs_currency'), 'usd');
+    assert.ok(urls[0].includes('/coins/ripple/market_chart'));
+
+    assertCandles(candles, expectedCandles(fixture, DAY));
+    candles.forEach(candle => assert.equal(candle.timestamp % DAY, 0));
+});
+
+test('hourly requests leave the interval to CoinGecko', () => {
+    const { HistoryLoader } = load();
+    const params = new URL(new HistoryLoader().buildUrl('ripple', 30, 'hourly')).searchParams;
+    assert.equal(params.has('interval'), false);
+});
+
+test('failed responses and empty payloads are rejected', async () => {
+    const { HistoryLoader } = load();
+    const failing = new HistoryLoader({ fetchFn: async () => ({ ok: false, status: 429 }) });
+    await assert.rejects(failing.loadHistory('ripple'), /status 429/);
+    await assert.rejects(HistoryLoader.fromFixture({ prices: [] }).loadHistory('ripple'), /no prices/);
+});
+
+test('unknown granularities are rejected before fetching', async () => {
+    const { HistoryLoader, fixture, DATA_CONFIG } = load();
+    assert.equal(DATA_CONFIG.granularities.weekly, undefined);
+    await assert.rejects(HistoryLoader.fromFixture(fixture).loadHistory('ripple', { granularity: 'weekly' }), /Unknown granularity/);
+});
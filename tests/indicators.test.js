@@ -0,0 +1,117 @@
+/**
+ * Streaming indicators against reference values
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./loadScripts');
+
+const { window, get } = loadScripts(['config.js', 'indicators.js']);
+const { StreamingEMA, StreamingRSI, StreamingMACD, IndicatorEngine } = window;
+
+const candles = (closes) => closes.map(price => ({ price, close: price, open: price, high: price, low: price, volume: 0 }));
+
+function assertSeries(actual, expected, tolerance = 1e-9) {
+    assert.equal(actual.length, expected.length);
+    expected.forEach((value, i) => {
+        if (value === null) {
+            assert.equal(actual[i], null, `index ${i} should still be warming up`);
+        } else {
+            assert.ok(Math.abs(actual[i] - value) <= tolerance, `index ${i}: expected ${value}, got ${actual[i]}`);
+        }
+    });
+}
+
+// Wilder's 14-period example (as tabulated by StockCharts). The published RSI column rounds the averages;
+// these are the exact values, e.g. the first is 100 - 100 / (1 + (3.34 / 14) / (1.40 / 14)) = 70.46
+const WILDER_CLOSES = [
+    44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28,
+    46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57,
+    43.42, 42.66, 43.13
+];
+const WILDER_RSI = [
+    70.46, 66.25, 66.48, 69.35, 66.29, 57.92, 62.88, 63.21, 56.01, 62.34,
+    54.67, 50.39, 40.02, 41.49, 41.90, 45.50, 37.32, 33.09, 37.79
+];
+
+test('EMA is seeded with the SMA of its first period values', () => {
+    const ema = new StreamingEMA(3);
+    // seed (2 + 4 + 6) / 3 = 4, then alpha = 0.5: 0.5 * 8 + 0.5 * 4 = 6, 0.5 * 4 + 0.5 * 6 = 5
+    assertSeries([2, 4, 6, 8, 4].map(x => ema.update(x)), [null, null, 4, 6, 5]);
+});
+
+test('EMA with a Wilder alpha smooths by 1 / period', () => {
+    const ema = new StreamingEMA(2, 1 / 2);
+    // seed (1 + 3) / 2 = 2, then 0.5 * 7 + 0.5 * 2 = 4.5
+    assertSeries([1, 3, 7].map(x => ema.update(x)), [null, 2, 4.5]);
+});
+
+test('Wilder RSI matches the 14-period reference series', () => {
+    const rsi = new StreamingRSI(14);
+    const series = WILDER_CLOSES.map(price => rsi.update(price));
+
+    // One change per close after the first, so the first value lands on index 14
+    assertSeries(series, [...new Array(14).fill(null), ...WILDER_RSI], 0.005);
+    assertSeries(new IndicatorEngine(candles(WILDER_CLOSES)).rsi(14), series);
+});
+
+test('RSI is 100 with no losses and 50 on a flat series', () => {
+    const rising = new StreamingRSI(3);
+    assert.equal([1, 2, 3, 4].map(p => rising.update(p))[3], 100);
+    const flat = new StreamingRSI(3);
+    assert.equal([5, 5, 5, 5].map(p => flat.update(p))[3], 50);
+});
+
+test('MACD line, signal and histogram match a hand-worked example', () => {
+    // fast EMA(2): -, 2, 2, 4, 4, 16/3   slow EMA(3): -, -, 2, 3.5, 3.75, 4.875
+    // MACD: 0, 0.5, 0.25, 11/24   signal EMA(2) of MACD: -, 0.25, 0.25, 7/18
+    const macd = new StreamingMACD(2, 3, 2);
+    const values = [1, 3, 2, 5, 4, 6].map(price => macd.update(price));
+
+    assertSeries(values.map(v => v.macd), [null, null, 0, 0.5, 0.25, 11 / 24]);
+    assertSeries(values.map(v => v.signal), [null, null, null, 0.25, 0.25, 7 / 18]);
+    assertSeries(values.map(v => v.histogram), [null, null, null, 0.25, 0, 11 / 24 - 7 / 18]);
+});
+
+test('default MACD warms up after slow - 1 candles and its signal after slow + signal - 2', () => {
+    const closes = Array.from({ length: 60 }, (_, i) => 100 + 10 * Math.sin(i / 4) + i * 0.3);
+    const { macd, signal, histogram } = new IndicatorEngine(candles(closes)).macd(12, 26, 9);
+
+    assert.equal(macd.findIndex(v => v !== null), 25);
+    assert.equal(signal.findIndex(v => v !== null), 33);
+    assert.equal(histogram.findIndex(v => v !== null), 33);
+    [macd, signal, histogram].forEach(series => {
+        assert.ok(series.slice(series.findIndex(v => v !== null)).every(Number.isFinite));
+    });
+
+    // MACD equals the difference of the engine's own EMAs once both exist
+    const engine = new IndicatorEngine(candles(closes));
+    const fast = engine.ema(12);
+    const slow = engine.ema(26);
+    assertSeries(macd, closes.map((_, i) => (slow[i] === null ? null : fast[i] - slow[i])));
+    assertSeries(histogram, macd.map((value, i) => (signal[i] === null ? null : value - signal[i])));
+});
+
+test('engine series start with one null per warm-up candle', () => {
+    const engine = new IndicatorEngine(candles(WILDER_CLOSES));
+    assert.equal(engine.sma(5).findIndex(v => v !== null), 4);
+    assert.equal(engine.ema(10).findIndex(v => v !== null), 9);
+    assert.equal(engine.rsi(14).findIndex(v => v !== null), 14);
+    assert.equal(engine.bollinger(20).upper.findIndex(v => v !== null), 19);
+});
+
+test('volatility annualizes over calendar days at the candle spacing', () => {
+    // Log returns alternate +r and -r, so their population standard deviation is r
+    const r = 0.01;
+    const closes = Array.from({ length: 11 }, (_, i) => 100 * Math.exp(i % 2 === 0 ? 0 : r));
+    const { daysPerYear, granularities } = get('DATA_CONFIG');
+    const volatilityAt = (interval) => {
+        const data = candles(closes).map((candle, i) => ({ ...candle, timestamp: i * interval }));
+        return new IndicatorEngine(data).volatility(10)[10];
+    };
+
+    assert.ok(Math.abs(volatilityAt(granularities.hourly) - r * Math.sqrt(daysPerYear * 24)) < 1e-9);
+    assert.ok(Math.abs(volatilityAt(granularities.daily) - r * Math.sqrt(daysPerYear)) < 1e-9);
+    assert.equal(IndicatorEngine.periodsPerYear(granularities['4h']), daysPerYear * 6);
+});
@@ -0,0 +1,27 @@
+/**
+ * Test helper: load the platform's browser scripts into a sandbox that stands in for `window`
+ * Scripts share one global scope, as they do on the page, so their top-level consts are visible to each other.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', 'js');
+
+function loadScripts(files, globals = {}) {
+    const sandbox = vm.createContext({
+        console, URL, URLSearchParams, AbortController, setTimeout, clearTimeout,
+        ...globals
+    });
+    sandbox.window = sandbox;
+    files.forEach(file => {
+        const filename = path.join(ROOT, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), sandbox, { filename });
+    });
+
+    // Script-scope consts (configs, fixtures) are not properties of the sandbox, so read them by evaluation
+    return { window: sandbox, get: (name) => vm.runInContext(name, sandbox) };
+}
+
+module.exports = { loadScripts };